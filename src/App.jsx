@@ -1,10 +1,25 @@
-import { useMemo } from 'react';
+import { useMemo, useState } from 'react';
 import ExpressionInput from './components/ExpressionInput';
 import TokenTable from './components/TokenTable';
+import LexerDfaView from './components/LexerDfaView';
 import StepLog from './components/StepLog';
+import ParseTrace from './components/ParseTrace';
+import LRTrace from './components/LRTrace';
 import ParseTreeView from './components/ParseTreeView';
 import GrammarReference from './components/GrammarReference';
+import FirstFollowPanel from './components/FirstFollowPanel';
+import GrammarEditor from './components/GrammarEditor';
+import GrammarTransform from './components/GrammarTransform';
+import EvaluatorPanel from './components/EvaluatorPanel';
+import ThreeAddressCode from './components/ThreeAddressCode';
+import VirtualMachine from './components/VirtualMachine';
+import NotationPanel from './components/NotationPanel';
+import OptimizerPanel from './components/OptimizerPanel';
+import DerivativePanel from './components/DerivativePanel';
+import TypeCheckPanel from './components/TypeCheckPanel';
 import { useParser } from './hooks/useParser';
+import { GRAMMAR, LR_GRAMMAR } from './compiler/grammar';
+import { formatBNF } from './compiler/bnf';
 import './App.css';
 
 /**
@@ -19,25 +34,70 @@ export default function App() {
     setInput,
     tokens,
     parseTree,
+    treeLayouts,
+    ast,
+    bindings,
+    setBinding,
+    evaluation,
+    threeAddressCode,
+    notation,
+    optimization,
+    derivative,
+    changeDerivativeVariable,
+    typeCheck,
+    strictTypes,
+    setStrictTypes,
+    bytecode,
+    execution,
+    vmStep,
+    setVmStep,
+    lexStep,
+    setLexStep,
     steps,
     error,
     errorPos,
+    errors,
+    parsedInput,
     isParsed,
+    isParsing,
+    liveMode,
+    setLiveMode,
+    maxDepth,
+    setMaxDepth,
     activeStep,
     setActiveStep,
     isAnimating,
+    parserMode,
+    changeParserMode,
+    grammarText,
+    setGrammarText,
+    customGrammar,
+    grammarTransformation,
+    applyGrammarTransformation,
     handleParse,
+    cancelParse,
     handleReset,
     animateSteps,
+    animateExecution,
+    animateLexing,
   } = useParser();
 
-  // Determine active grammar rule from the current step
-  const activeRule = useMemo(() => {
+  // Parse tree nodes behind the hovered three-address instruction
+  const [highlightedNodeIds, setHighlightedNodeIds] = useState(null);
+
+  // Determine the active step and its grammar rule
+  const currentStep = useMemo(() => {
     if (activeStep >= 0 && activeStep < steps.length) {
-      return steps[activeStep].rule;
+      return steps[activeStep];
     }
     return null;
   }, [activeStep, steps]);
+  const activeRule = currentStep ? currentStep.rule : null;
+
+  // The grammar panels follow whichever grammar is being parsed with
+  let activeGrammar = GRAMMAR;
+  if (parserMode === 'lr') activeGrammar = LR_GRAMMAR;
+  if (parserMode === 'custom' && customGrammar.grammar) activeGrammar = customGrammar.grammar;
 
   return (
     <div className="app">
@@ -62,7 +122,20 @@ export default function App() {
         <div className="main-grid">
           {/* ── Sidebar ── */}
           <aside className="sidebar">
-            <GrammarReference activeRule={activeRule} />
+            <GrammarReference activeRule={activeRule} grammar={activeGrammar} />
+            <FirstFollowPanel step={currentStep} grammar={activeGrammar} />
+            <GrammarEditor
+              grammarText={grammarText}
+              onGrammarTextChange={setGrammarText}
+              analysis={customGrammar}
+              isActive={parserMode === 'custom'}
+              onUseGrammar={() => changeParserMode('custom')}
+              onRestoreDefault={() => setGrammarText(formatBNF(GRAMMAR))}
+            />
+            <GrammarTransform
+              transformation={grammarTransformation}
+              onApply={applyGrammarTransformation}
+            />
 
             {/* How It Works Card */}
             <div className="info-card">
@@ -73,11 +146,11 @@ export default function App() {
               <ul className="info-list">
                 <li>
                   <span className="info-bullet">1.</span>
-                  <span><strong>Lexical Analysis</strong> — The input string is broken into tokens (numbers, operators, parentheses, identifiers).</span>
+                  <span><strong>Lexical Analysis</strong> — A DFA generated from the token rules breaks the input string into tokens (numbers, operators, parentheses, identifiers).</span>
                 </li>
                 <li>
                   <span className="info-bullet">2.</span>
-                  <span><strong>Recursive Descent Parsing</strong> — The parser applies grammar rules top-down, starting from E, using one lookahead token.</span>
+                  <span><strong>Recursive Descent Parsing</strong> — The parser applies grammar rules top-down, starting from Program, using one lookahead token.</span>
                 </li>
                 <li>
                   <span className="info-bullet">3.</span>
@@ -85,7 +158,7 @@ export default function App() {
                 </li>
                 <li>
                   <span className="info-bullet">4.</span>
-                  <span><strong>Error Detection</strong> — The parser reports syntax errors with the exact position and expected token.</span>
+                  <span><strong>Error Detection</strong> — The parser reports syntax errors with the exact line, column and expected token, then recovers in panic mode to find the rest.</span>
                 </li>
               </ul>
             </div>
@@ -107,7 +180,19 @@ export default function App() {
                 </li>
                 <li>
                   <span className="info-bullet">•</span>
-                  <span>Operators: <code>+</code> <code>-</code> <code>*</code> <code>/</code></span>
+                  <span>Operators: <code>+</code> <code>-</code> <code>*</code> <code>/</code> <code>^</code></span>
+                </li>
+                <li>
+                  <span className="info-bullet">•</span>
+                  <span>Unary signs: <code>-3</code>, <code>-(a+b)</code></span>
+                </li>
+                <li>
+                  <span className="info-bullet">•</span>
+                  <span>Function calls: <code>sin(x)</code>, <code>max(a, b, c)</code></span>
+                </li>
+                <li>
+                  <span className="info-bullet">•</span>
+                  <span>Statements: <code>x = 3; y = x * 2; y + 1</code></span>
                 </li>
                 <li>
                   <span className="info-bullet">•</span>
@@ -124,29 +209,111 @@ export default function App() {
               input={input}
               onInputChange={setInput}
               onParse={handleParse}
+              onCancel={cancelParse}
               onReset={handleReset}
               onAnimate={animateSteps}
               error={error}
               errorPos={errorPos}
+              errors={errors}
+              parsedInput={parsedInput}
               isParsed={isParsed}
+              isParsing={isParsing}
+              liveMode={liveMode}
+              onLiveModeChange={setLiveMode}
+              maxDepth={maxDepth}
+              onMaxDepthChange={setMaxDepth}
               isAnimating={isAnimating}
               hasSteps={steps.length > 0}
+              parserMode={parserMode}
+              onParserModeChange={changeParserMode}
             />
 
             {/* Tokens + Steps Side by Side */}
             {tokens.length > 0 && (
               <div className="results-grid">
-                <TokenTable tokens={tokens} />
-                <StepLog
-                  steps={steps}
-                  activeStep={activeStep}
-                  onStepClick={setActiveStep}
-                />
+                <TokenTable tokens={tokens} activeIndex={lexStep} onRowClick={setLexStep} />
+                {parserMode === 'table' && (
+                  <ParseTrace
+                    steps={steps}
+                    activeStep={activeStep}
+                    onStepClick={setActiveStep}
+                  />
+                )}
+                {parserMode === 'lr' && (
+                  <LRTrace
+                    steps={steps}
+                    activeStep={activeStep}
+                    onStepClick={setActiveStep}
+                  />
+                )}
+                {(parserMode === 'recursive' || parserMode === 'custom') && (
+                  <StepLog
+                    steps={steps}
+                    activeStep={activeStep}
+                    onStepClick={setActiveStep}
+                  />
+                )}
               </div>
             )}
 
+            {/* Lexer DFA */}
+            <LexerDfaView
+              tokens={tokens}
+              step={lexStep}
+              onStepChange={setLexStep}
+              onRun={animateLexing}
+              isAnimating={isAnimating}
+            />
+
+            {/* Variable Bindings + Result */}
+            <EvaluatorPanel
+              ast={ast}
+              bindings={bindings}
+              onBindingChange={setBinding}
+              evaluation={evaluation}
+            />
+
+            {/* Static Types */}
+            <TypeCheckPanel
+              typeCheck={typeCheck}
+              strict={strictTypes}
+              onStrictChange={setStrictTypes}
+            />
+
+            {/* Three-Address Code */}
+            <ThreeAddressCode
+              code={threeAddressCode}
+              onHighlight={setHighlightedNodeIds}
+            />
+
+            {/* Postfix / Prefix */}
+            <NotationPanel notation={notation} />
+
+            {/* Optimizer */}
+            <OptimizerPanel ast={ast} optimization={optimization} />
+
+            {/* Symbolic Differentiation */}
+            <DerivativePanel derivative={derivative} onVariableChange={changeDerivativeVariable} />
+
+            {/* Stack Machine */}
+            <VirtualMachine
+              code={bytecode}
+              execution={execution}
+              step={vmStep}
+              onStepChange={setVmStep}
+              onRun={animateExecution}
+              isAnimating={isAnimating}
+            />
+
             {/* Parse Tree */}
-            <ParseTreeView tree={parseTree} />
+            <ParseTreeView
+              tree={parseTree}
+              ast={ast}
+              layouts={treeLayouts}
+              animateChangesOnly={liveMode}
+              highlightIds={highlightedNodeIds}
+              nodeTypes={typeCheck?.types}
+            />
           </main>
         </div>
       </div>
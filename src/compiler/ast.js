@@ -0,0 +1,431 @@
+/**
+ * ============================================================
+ * ABSTRACT SYNTAX TREE BUILDER
+ * ============================================================
+ *
+ * Converts the concrete parse tree produced by the parser into
+ * a compact abstract syntax tree (AST). The concrete tree keeps
+ * every grammar symbol (E', T', ε, parentheses) which is ideal
+ * for teaching, but later stages only care about the operators
+ * and their operands.
+ *
+ * The right-recursive E' / T' chains are folded back into
+ * left-associative binary nodes, so  a - b - c  becomes
+ *   BinaryExpr(-, BinaryExpr(-, a, b), c)
+ * while P' already nests to the right, so  a ^ b ^ c  becomes
+ *   BinaryExpr(^, a, BinaryExpr(^, b, c))
+ *
+ * AST node shapes:
+ *   { type: 'Program',       body: Array, start, end, id }
+ *   { type: 'Assignment',    target: Identifier, value, start, end, id }
+ *   { type: 'BinaryExpr',    op, left, right, start, end, id }
+ *   { type: 'UnaryExpr',     op, argument, start, end, id }
+ *   { type: 'CallExpr',      callee, arguments: Array, start, end, id }
+ *   { type: 'NumberLiteral', value: number, raw, numberType: 'int'|'float', start, end, id }
+ *   { type: 'Identifier',    name, typeAnnotation?, start, end, id }
+ *
+ * An annotated statement ( x: int  or  x: int = 3 ) puts its
+ * annotation on the Identifier — the statement itself or the
+ * Assignment's target — as { name: string, start, line, column, end }.
+ *
+ * start / end are character offsets into the source input, and
+ * line / column locate start for messages; all are taken from
+ * the tokens stored on the parse tree leaves. Every node also
+ * carries line and column, left out of the shapes above.
+ * ============================================================
+ */
+
+import { TokenType, isNumberType } from './tokenizer';
+
+/**
+ * Creates an AST node. Ids are given once the whole tree is built
+ * (see numberNodes), so building keeps no state between calls.
+ */
+function createAstNode(type, props) {
+    return { type, ...props };
+}
+
+/**
+ * Gives the nodes of a finished AST ids in post-order, children
+ * before their parents, which is the order they are created in.
+ */
+function numberNodes(root) {
+    let nodeId = 0;  // Unique ID counter for AST nodes
+    const visit = (node) => {
+        astChildren(node).forEach(visit);
+        node.id = nodeId++;
+    };
+    visit(root);
+    return root;
+}
+
+/**
+ * Start offset, line and column of a node beginning at a token.
+ */
+function tokenStart(token) {
+    return { start: token.pos, line: token.line, column: token.column };
+}
+
+/**
+ * Start offset, line and column of a node beginning where another node does.
+ */
+function nodeStart(node) {
+    return { start: node.start, line: node.line, column: node.column };
+}
+
+/**
+ * Builds a BinaryExpr spanning from the left to the right operand.
+ */
+function createBinary(op, left, right) {
+    return createAstNode('BinaryExpr', {
+        op,
+        left,
+        right,
+        ...nodeStart(left),
+        end: right.end,
+    });
+}
+
+/**
+ * Program → Stmt Stmts
+ * Stmts   → ; Stmts' | ε
+ * Stmts'  → Stmt Stmts | ε
+ */
+function buildProgram(node) {
+    const [firstStmt, stmtsNode] = node.children;
+    const body = [buildStmt(firstStmt)];
+
+    // Stmts → ; Stmts' with Stmts' → Stmt Stmts; a trailing ';' adds nothing
+    let current = stmtsNode;
+    while (current.children.length === 2 && current.children[1].children.length === 2) {
+        const [stmtNode, stmtsNode] = current.children[1].children;
+        body.push(buildStmt(stmtNode));
+        current = stmtsNode;
+    }
+
+    return createAstNode('Program', {
+        body,
+        ...nodeStart(body[0]),
+        end: body[body.length - 1].end,
+    });
+}
+
+/**
+ * Stmt  → E Stmt'
+ * Stmt' → = E | : id Init | ε
+ * Init  → = E | ε
+ */
+function buildStmt(node) {
+    const [eNode, stmtPrimeNode] = node.children;
+    let expr = buildE(eNode);
+
+    // Stmt' → ε — expression statement
+    if (stmtPrimeNode.children.length === 1) return expr;
+
+    // Stmt' → : id Init — the parser guarantees expr is an Identifier
+    let valueNode = stmtPrimeNode.children[1];
+    if (stmtPrimeNode.children.length === 3) {
+        const [, typeNode, initNode] = stmtPrimeNode.children;
+        const typeAnnotation = {
+            name: typeNode.token.value,
+            ...tokenStart(typeNode.token),
+            end: typeNode.token.end,
+        };
+        expr = { ...expr, typeAnnotation, end: typeAnnotation.end };
+
+        // Init → ε — a declaration
+        if (initNode.children.length === 1) return expr;
+        valueNode = initNode.children[1];
+    }
+
+    // Stmt' → = E, Init → = E
+    const value = buildE(valueNode);
+    return createAstNode('Assignment', {
+        target: expr,
+        value,
+        ...nodeStart(expr),
+        end: value.end,
+    });
+}
+
+/**
+ * E → T E'
+ */
+function buildE(node) {
+    const [tNode, ePrimeNode] = node.children;
+    return foldPrime(buildT(tNode), ePrimeNode, buildT);
+}
+
+/**
+ * T → P T'
+ */
+function buildT(node) {
+    const [pNode, tPrimeNode] = node.children;
+    return foldPrime(buildP(pNode), tPrimeNode, buildP);
+}
+
+/**
+ * Walks an E' or T' chain, folding each operator onto the
+ * accumulated left operand to restore left associativity.
+ *
+ * @param {Object}   left      - AST built so far
+ * @param {Object}   primeNode - The E' or T' parse tree node
+ * @param {Function} buildOperand - buildT for E', buildP for T'
+ */
+function foldPrime(left, primeNode, buildOperand) {
+    let result = left;
+    let current = primeNode;
+
+    // Prime → op Operand Prime | ε
+    while (current.children.length === 3) {
+        const [opNode, operandNode, nextPrime] = current.children;
+        result = createBinary(opNode.label, result, buildOperand(operandNode));
+        current = nextPrime;
+    }
+
+    return result;
+}
+
+/**
+ * P → - P | + P | F P'
+ * P' → ^ P | ε
+ */
+function buildP(node) {
+    const [first, second] = node.children;
+
+    // P → F P'
+    if (first.label === 'F') {
+        const base = buildF(first);
+        // P' → ε
+        if (second.children.length === 1) return base;
+        // P' → ^ P — right operand is a whole P, keeping ^ right-associative
+        const [caretNode, exponentNode] = second.children;
+        return createBinary(caretNode.label, base, buildP(exponentNode));
+    }
+
+    // P → - P | + P
+    const argument = buildP(second);
+    return createAstNode('UnaryExpr', {
+        op: first.label,
+        argument,
+        ...tokenStart(first.token),
+        end: argument.end,
+    });
+}
+
+/**
+ * F → ( E ) | id Call | number
+ */
+function buildF(node) {
+    // F → ( E ) — parentheses only affect grouping, but the
+    // span widens to cover them
+    if (node.children.length === 3) {
+        const [lparenNode, eNode, rparenNode] = node.children;
+        return {
+            ...buildE(eNode),
+            ...tokenStart(lparenNode.token),
+            end: rparenNode.token.end,
+        };
+    }
+
+    const leaf = node.children[0];
+    const token = leaf.token;
+
+    if (isNumberType(token.type)) {
+        return createAstNode('NumberLiteral', {
+            value: token.numericValue,
+            raw: token.value,
+            numberType: token.type === TokenType.INT ? 'int' : 'float',
+            ...tokenStart(token),
+            end: token.end,
+        });
+    }
+
+    // F → id Call
+    const callNode = node.children[1];
+    if (callNode.children.length === 3) {
+        const [, argsNode, rparenNode] = callNode.children;
+        return createAstNode('CallExpr', {
+            callee: token.value,
+            arguments: buildArgs(argsNode),
+            ...tokenStart(token),
+            end: rparenNode.token.end,
+        });
+    }
+
+    return createAstNode('Identifier', {
+        name: token.value,
+        ...tokenStart(token),
+        end: token.end,
+    });
+}
+
+/**
+ * Args → E Args' | ε
+ * Args' → , E Args' | ε
+ *
+ * Flattens the argument chain into an array of ASTs.
+ */
+function buildArgs(argsNode) {
+    const args = [];
+    if (argsNode.children.length === 1) return args;
+
+    const [firstArg, rest] = argsNode.children;
+    args.push(buildE(firstArg));
+
+    let current = rest;
+    while (current.children.length === 3) {
+        args.push(buildE(current.children[1]));
+        current = current.children[2];
+    }
+    return args;
+}
+
+// ─────────────────────────────────────────────────────
+//  Public API
+// ─────────────────────────────────────────────────────
+
+/**
+ * Builds an AST from the concrete parse tree.
+ *
+ * @param {Object|null} tree - Root Program node returned by parse()
+ * @returns {Object|null} The Program AST, or null when there is no tree
+ */
+export function buildAST(tree) {
+    if (!tree) return null;
+    return numberNodes(buildProgram(tree));
+}
+
+/**
+ * Whether a statement is a declaration without a value ( n: int ),
+ * which only states a type: it reads nothing and has no value.
+ *
+ * @param {Object} stmt - A statement of a Program's body
+ * @returns {boolean}
+ */
+export function isDeclaration(stmt) {
+    return stmt.type === 'Identifier' && Boolean(stmt.typeAnnotation);
+}
+
+/**
+ * The child nodes of an AST node, left to right.
+ *
+ * @param {Object} ast
+ * @returns {Array<Object>}
+ */
+export function astChildren(ast) {
+    switch (ast.type) {
+        case 'Program':
+            return ast.body;
+        case 'Assignment':
+            return [ast.target, ast.value];
+        case 'BinaryExpr':
+            return [ast.left, ast.right];
+        case 'UnaryExpr':
+            return [ast.argument];
+        case 'CallExpr':
+            return ast.arguments;
+        default:
+            return [];
+    }
+}
+
+/**
+ * The label an AST node is drawn with: its operator, function,
+ * literal or name.
+ *
+ * @param {Object} ast
+ * @returns {string}
+ */
+export function astLabel(ast) {
+    switch (ast.type) {
+        case 'Program':
+            return 'Program';
+        case 'Assignment':
+            return '=';
+        case 'BinaryExpr':
+        case 'UnaryExpr':
+            return ast.op;
+        case 'CallExpr':
+            return `${ast.callee}()`;
+        case 'NumberLiteral':
+            return ast.raw;
+        case 'Identifier':
+            return ast.typeAnnotation ? `${ast.name}: ${ast.typeAnnotation.name}` : ast.name;
+        default:
+            throw new Error(`Unknown AST node type: ${ast.type}`);
+    }
+}
+
+/**
+ * Converts an AST into the { label, children, id } shape used by
+ * computeTreeLayout, so ParseTreeView can draw it like a parse tree.
+ * Operators become internal nodes; literals and identifiers are leaves.
+ * Display nodes keep the id and source location of their AST node.
+ *
+ * @param {Object|null} ast - AST root from buildAST()
+ * @returns {Object|null}
+ */
+export function astToDisplayTree(ast) {
+    if (!ast) return null;
+
+    return {
+        label: astLabel(ast),
+        id: ast.id,
+        line: ast.line,
+        column: ast.column,
+        children: astChildren(ast).map(astToDisplayTree),
+    };
+}
+
+// Binding strength of each node kind when printing, loosest first
+const PRINT_PRECEDENCE = { '=': 0, '+': 1, '-': 1, '*': 2, '/': 2, unary: 3, '^': 4, atom: 5 };
+
+function printPrecedence(node) {
+    switch (node.type) {
+        case 'Assignment': return PRINT_PRECEDENCE['='];
+        case 'BinaryExpr': return PRINT_PRECEDENCE[node.op];
+        case 'UnaryExpr': return PRINT_PRECEDENCE.unary;
+        // A negative literal reads like a unary minus: (-2) ^ 2
+        case 'NumberLiteral': return node.value < 0 ? PRINT_PRECEDENCE.unary : PRINT_PRECEDENCE.atom;
+        default: return PRINT_PRECEDENCE.atom;
+    }
+}
+
+/**
+ * Prints an AST back as source text, with only the parentheses
+ * the grammar needs, e.g. BinaryExpr(*, BinaryExpr(+, a, b), c)
+ * prints as "(a + b) * c".
+ *
+ * @param {Object} ast - AST node from buildAST() or a later pass
+ * @returns {string}
+ */
+export function formatAST(ast) {
+    const wrap = (node, needsParens) => (needsParens ? `(${formatAST(node)})` : formatAST(node));
+
+    switch (ast.type) {
+        case 'Program':
+            return ast.body.map(formatAST).join('; ');
+        case 'Assignment':
+            return `${formatAST(ast.target)} = ${formatAST(ast.value)}`;
+        case 'BinaryExpr': {
+            const prec = PRINT_PRECEDENCE[ast.op];
+            const rightAssoc = ast.op === '^';
+            const left = wrap(ast.left, printPrecedence(ast.left) < prec
+                || (rightAssoc && printPrecedence(ast.left) === prec));
+            const right = wrap(ast.right, printPrecedence(ast.right) < prec
+                || (!rightAssoc && printPrecedence(ast.right) === prec));
+            return `${left} ${ast.op} ${right}`;
+        }
+        case 'UnaryExpr':
+            return `${ast.op}${wrap(ast.argument, printPrecedence(ast.argument) < PRINT_PRECEDENCE.unary)}`;
+        case 'CallExpr':
+            return `${ast.callee}(${ast.arguments.map(formatAST).join(', ')})`;
+        case 'NumberLiteral':
+            return ast.raw;
+        case 'Identifier':
+            return ast.typeAnnotation ? `${ast.name}: ${ast.typeAnnotation.name}` : ast.name;
+        default:
+            throw new Error(`Unknown AST node type: ${ast.type}`);
+    }
+}
@@ -0,0 +1,151 @@
+/**
+ * ============================================================
+ * BNF GRAMMAR READER
+ * ============================================================
+ *
+ * Reads grammars typed by the user in a simple BNF notation and
+ * produces the same grammar object as grammar.js, so it can be
+ * analysed (FIRST / FOLLOW, LL(1) table) and parsed with.
+ *
+ * Notation, one non-terminal per line:
+ *   E  → T E'
+ *   E' → + T E' | - T E' | ε
+ *
+ *   - '→', '->' and '::=' are all accepted as the arrow
+ *   - alternatives are separated by '|'; a line starting with
+ *     '|' adds alternatives to the previous non-terminal
+ *   - 'ε', 'eps' or an empty alternative is the empty string
+ *   - symbols are separated by spaces; every symbol that never
+ *     appears on a left-hand side is a terminal
+ *   - lines starting with '#' or '//' are comments
+ *   - the first left-hand side is the start symbol
+ *
+ * Terminals must be something the tokenizer can produce: 'id',
+ * 'number', or one of the operator / punctuation lexemes.
+ * ============================================================
+ */
+
+import { EPSILON, END_MARKER } from './grammar';
+
+// Terminals the tokenizer can produce, in display order
+const KNOWN_TERMINALS = [
+    'id', 'number', '+', '-', '*', '/', '^', '(', ')', ',', '=', ':', ';',
+];
+
+const ARROW = /\s*(?:→|->|::=)\s*/;
+const EPSILON_NAMES = [EPSILON, 'eps', 'epsilon'];
+
+/**
+ * Splits one alternative into its symbols; ε becomes [].
+ */
+function readAlternative(text) {
+    const symbols = text.trim().split(/\s+/).filter(Boolean);
+    if (symbols.length === 1 && EPSILON_NAMES.includes(symbols[0])) return [];
+    return symbols;
+}
+
+// ─────────────────────────────────────────────────────
+//  Public API
+// ─────────────────────────────────────────────────────
+
+/**
+ * Reads a BNF grammar.
+ *
+ * @param {string} text - The grammar source
+ * @returns {{ grammar: Object|null, errors: Array<{ line: number, message: string }> }}
+ *          grammar is null when there are errors
+ */
+export function parseBNF(text) {
+    const errors = [];
+    const productions = [];
+    const nonTerminals = [];
+    let currentLhs = null;
+
+    text.split('\n').forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        const lineNumber = index + 1;
+        if (line === '' || line.startsWith('#') || line.startsWith('//')) return;
+
+        let lhs;
+        let body;
+
+        if (line.startsWith('|')) {
+            if (!currentLhs) {
+                errors.push({ line: lineNumber, message: "Alternative '|' before any production" });
+                return;
+            }
+            lhs = currentLhs;
+            body = line.slice(1);
+        } else {
+            const parts = line.split(ARROW);
+            if (parts.length !== 2) {
+                errors.push({ line: lineNumber, message: "Expected a production like 'A → α | β'" });
+                return;
+            }
+            lhs = parts[0].trim();
+            body = parts[1];
+            if (!lhs || /\s/.test(lhs)) {
+                errors.push({ line: lineNumber, message: `Invalid left-hand side '${lhs}'` });
+                return;
+            }
+        }
+
+        currentLhs = lhs;
+        if (!nonTerminals.includes(lhs)) nonTerminals.push(lhs);
+
+        for (const alternative of body.split('|')) {
+            productions.push({ lhs, rhs: readAlternative(alternative), line: lineNumber });
+        }
+    });
+
+    if (productions.length === 0 && errors.length === 0) {
+        errors.push({ line: 1, message: 'The grammar has no productions' });
+    }
+
+    // Every remaining symbol is a terminal and must be one the tokenizer produces
+    const terminals = [];
+    for (const { rhs, line } of productions) {
+        for (const symbol of rhs) {
+            if (nonTerminals.includes(symbol) || terminals.includes(symbol)) continue;
+            if (!KNOWN_TERMINALS.includes(symbol)) {
+                errors.push({
+                    line,
+                    message: `Unknown terminal '${symbol}' — use id, number or one of ${KNOWN_TERMINALS.slice(2).join(' ')}`,
+                });
+                continue;
+            }
+            terminals.push(symbol);
+        }
+    }
+
+    if (errors.length > 0) return { grammar: null, errors };
+
+    return {
+        grammar: {
+            start: nonTerminals[0],
+            nonTerminals,
+            terminals: [...KNOWN_TERMINALS.filter((t) => terminals.includes(t)), END_MARKER],
+            productions: productions.map(({ lhs, rhs }) => ({ lhs, rhs })),
+        },
+        errors,
+    };
+}
+
+/**
+ * Writes a grammar back out in BNF, one line per non-terminal.
+ *
+ * @param {Object} grammar
+ * @returns {string}
+ */
+export function formatBNF(grammar) {
+    const width = Math.max(...grammar.nonTerminals.map((nt) => nt.length));
+
+    return grammar.nonTerminals
+        .map((nt) => {
+            const alternatives = grammar.productions
+                .filter((prod) => prod.lhs === nt)
+                .map((prod) => (prod.rhs.length > 0 ? prod.rhs.join(' ') : EPSILON));
+            return `${nt.padEnd(width)} → ${alternatives.join(' | ')}`;
+        })
+        .join('\n');
+}
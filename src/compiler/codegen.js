@@ -0,0 +1,257 @@
+/**
+ * ============================================================
+ * THREE-ADDRESS CODE GENERATOR
+ * ============================================================
+ *
+ * Walks the concrete parse tree produced by parse() and emits
+ * three-address code: every instruction has at most one operator
+ * on its right-hand side, and intermediate results go into
+ * temporaries numbered in evaluation order.
+ *
+ *   a + b * c   →   t1 = b * c
+ *                   t2 = a + t1
+ *
+ * Operands are evaluated left to right, so a temporary is always
+ * defined before it is used. Identifiers and numbers are used as
+ * operands directly, and a unary + emits nothing. Function calls
+ * use the classic param / call form:
+ *
+ *   max(a, b)   →   param a
+ *                   param b
+ *                   t1 = call max, 2
+ *
+ * Every instruction records the ids of the parse tree nodes that
+ * produced it, so the tree view can highlight its subtree.
+ *
+ * Instruction shape:
+ *   { text: string, nodeIds: Array<number> }
+ * ============================================================
+ */
+
+/**
+ * Collects the ids of every node in a subtree.
+ */
+function subtreeIds(node, ids = []) {
+    ids.push(node.id);
+    for (const child of node.children) subtreeIds(child, ids);
+    return ids;
+}
+
+/**
+ * Returns the leftmost leaf of a subtree.
+ */
+function firstLeaf(node) {
+    return node.children.length === 0 ? node : firstLeaf(node.children[0]);
+}
+
+/**
+ * Creates a generator for one parse tree. Temporaries are numbered
+ * and code is emitted per generator, so runs never share state.
+ *
+ * @returns {{ genProgram: Function, instructions: Array }}
+ */
+function createGenerator() {
+    let tempCount = 0;        // Temporaries t1, t2, ... in evaluation order
+    const instructions = [];  // Code emitted so far
+
+    /**
+     * Returns a fresh temporary name.
+     */
+    function newTemp() {
+        tempCount++;
+        return `t${tempCount}`;
+    }
+
+    /**
+     * Appends an instruction.
+     */
+    function emit(text, nodeIds) {
+        instructions.push({ text, nodeIds });
+    }
+
+    /**
+     * Program → Stmt Stmts
+     * Stmts   → ; Stmts' | ε
+     * Stmts'  → Stmt Stmts | ε
+     */
+    function genProgram(node) {
+        const [firstStmt, stmtsNode] = node.children;
+        genStmt(firstStmt);
+
+        let current = stmtsNode;
+        while (current.children.length === 2 && current.children[1].children.length === 2) {
+            const [stmtNode, stmtsNode] = current.children[1].children;
+            genStmt(stmtNode);
+            current = stmtsNode;
+        }
+    }
+
+    /**
+     * Stmt  → E Stmt'
+     * Stmt' → = E | : id Init | ε
+     * Init  → = E | ε
+     *
+     * A type annotation generates no code of its own.
+     */
+    function genStmt(node) {
+        const [eNode, stmtPrimeNode] = node.children;
+
+        // Stmt' → ε, Init → ε — the value is left in the last temporary
+        const valueNode = stmtPrimeNode.children.length === 3
+            ? stmtPrimeNode.children[2].children[1]
+            : stmtPrimeNode.children[1];
+        if (!valueNode) {
+            genE(eNode);
+            return;
+        }
+
+        // Stmt' → = E, Init → = E — the parser guarantees the target is an identifier
+        const value = genE(valueNode);
+        emit(`${firstLeaf(eNode).label} = ${value.place}`, subtreeIds(node));
+    }
+
+    /**
+     * E → T E'
+     *
+     * @returns {{ place: string, nodeIds: Array<number> }}
+     *          place: the operand holding the value (temporary, name or number)
+     */
+    function genE(node) {
+        const [tNode, ePrimeNode] = node.children;
+        const { place } = genPrime(genT(tNode), ePrimeNode, genT);
+        return { place, nodeIds: subtreeIds(node) };
+    }
+
+    /**
+     * T → P T'
+     */
+    function genT(node) {
+        const [pNode, tPrimeNode] = node.children;
+        const { place } = genPrime(genP(pNode), tPrimeNode, genP);
+        return { place, nodeIds: subtreeIds(node) };
+    }
+
+    /**
+     * Walks an E' or T' chain left to right, emitting one instruction
+     * per operator so the chain stays left-associative.
+     *
+     * @param {Object}   left       - { place, nodeIds } of the first operand
+     * @param {Object}   primeNode  - The E' or T' parse tree node
+     * @param {Function} genOperand - genT for E', genP for T'
+     */
+    function genPrime(left, primeNode, genOperand) {
+        let result = left;
+        let current = primeNode;
+
+        // Prime → op Operand Prime | ε
+        while (current.children.length === 3) {
+            const [opNode, operandNode, nextPrime] = current.children;
+            const right = genOperand(operandNode);
+            const temp = newTemp();
+            const nodeIds = [...result.nodeIds, current.id, opNode.id, ...right.nodeIds];
+
+            emit(`${temp} = ${result.place} ${opNode.label} ${right.place}`, nodeIds);
+            result = { place: temp, nodeIds };
+            current = nextPrime;
+        }
+
+        return result;
+    }
+
+    /**
+     * P → - P | + P | F P'
+     * P' → ^ P | ε
+     */
+    function genP(node) {
+        const [first, second] = node.children;
+
+        // P → F P'
+        if (first.label === 'F') {
+            const base = genF(first);
+            // P' → ε
+            if (second.children.length === 1) return { place: base.place, nodeIds: subtreeIds(node) };
+            // P' → ^ P — the exponent is a whole P, keeping ^ right-associative
+            const exponent = genP(second.children[1]);
+            const temp = newTemp();
+            emit(`${temp} = ${base.place} ^ ${exponent.place}`, subtreeIds(node));
+            return { place: temp, nodeIds: subtreeIds(node) };
+        }
+
+        // P → + P — the sign changes nothing
+        const argument = genP(second);
+        if (first.label === '+') return { place: argument.place, nodeIds: subtreeIds(node) };
+
+        // P → - P
+        const temp = newTemp();
+        emit(`${temp} = -${argument.place}`, subtreeIds(node));
+        return { place: temp, nodeIds: subtreeIds(node) };
+    }
+
+    /**
+     * F → ( E ) | id Call | number
+     */
+    function genF(node) {
+        // F → ( E )
+        if (node.children.length === 3) {
+            return { place: genE(node.children[1]).place, nodeIds: subtreeIds(node) };
+        }
+
+        const leaf = node.children[0];
+
+        // F → id Call, with Call → ( Args )
+        const callNode = node.children[1];
+        if (callNode && callNode.children.length === 3) {
+            const args = genArgs(callNode.children[1]);
+            for (const arg of args) {
+                emit(`param ${arg.place}`, arg.nodeIds);
+            }
+            const temp = newTemp();
+            emit(`${temp} = call ${leaf.label}, ${args.length}`, subtreeIds(node));
+            return { place: temp, nodeIds: subtreeIds(node) };
+        }
+
+        // F → id | number — used as an operand directly
+        return { place: leaf.label, nodeIds: subtreeIds(node) };
+    }
+
+    /**
+     * Args → E Args' | ε
+     * Args' → , E Args' | ε
+     *
+     * Evaluates every argument before any is passed.
+     */
+    function genArgs(argsNode) {
+        if (argsNode.children.length === 1) return [];
+
+        const [firstArg, rest] = argsNode.children;
+        const args = [genE(firstArg)];
+
+        let current = rest;
+        while (current.children.length === 3) {
+            args.push(genE(current.children[1]));
+            current = current.children[2];
+        }
+        return args;
+    }
+
+    return { genProgram, instructions };
+}
+
+// ─────────────────────────────────────────────────────
+//  Public API
+// ─────────────────────────────────────────────────────
+
+/**
+ * Generates three-address code from a parse tree.
+ *
+ * @param {Object|null} tree - Root Program node returned by parse()
+ *                             (must be free of error nodes)
+ * @returns {Array<{ text: string, nodeIds: Array<number> }>}
+ */
+export function generateThreeAddressCode(tree) {
+    if (!tree) return [];
+
+    const { genProgram, instructions } = createGenerator();
+    genProgram(tree);
+    return instructions;
+}
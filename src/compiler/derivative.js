@@ -0,0 +1,391 @@
+/**
+ * ============================================================
+ * SYMBOLIC DIFFERENTIATION
+ * ============================================================
+ *
+ * Builds the derivative of an expression with respect to one
+ * identifier as a new AST, by the usual rules of calculus:
+ *
+ *   Constant        d/dx c            = 0
+ *   Variable        d/dx x            = 1
+ *   Sum             d/dx (u ± v)      = u' ± v'
+ *   Constant multiple  d/dx (c * u)   = c * u'
+ *   Product         d/dx (u * v)      = u' * v + u * v'
+ *   Quotient        d/dx (u / v)      = (u' * v - u * v') / v ^ 2
+ *   Power           d/dx (u ^ n)      = n * u ^ (n - 1) * u'
+ *   Exponential     d/dx (a ^ v)      = a ^ v * log(a) * v'
+ *   General power   d/dx (u ^ v)      = u ^ v * (v' * log(u) + v * u' / u)
+ *   Chain           d/dx f(u)         = f'(u) * u'
+ *
+ * "Constant" means any subtree that does not mention x. The raw
+ * derivative is then cleaned up by the optimizer, so x ^ 3 comes
+ * out as 3 * x ^ 2 rather than 3 * x ^ (3 - 1) * 1.
+ *
+ * Each statement contributes one derivative: an assignment y = e
+ * that of e, and a declaration without a value ( n: int ) none.
+ * The values of earlier assignments are substituted first, so in
+ * x = 3; y = x * 2; y + 1 the last statement is differentiated as
+ * x * 2 + 1. Assignments to x itself are not substituted: x stays
+ * the variable being differentiated by.
+ *
+ * Substituted values are shared, not copied, so a value used twice
+ * is worked through once. Written out, though, it doubles: after
+ * a = x; a = a * a; a = a * a; ... each statement's value is twice
+ * as long as the last. The steps show every expression in full, so
+ * once they would show more than MAX_SHOWN_NODES nodes in all, the
+ * statement being differentiated is reported as an error instead.
+ *
+ * Every rule application is logged in the same shape as the
+ * parser's step log:
+ *   { rule: string, action: "d/dx u → u'", token: null,
+ *     tokenType: null, depth: number, timestamp: number }
+ * ============================================================
+ */
+
+import { formatAST, isDeclaration } from './ast';
+import { optimize } from './optimizer';
+import { formatLocation } from './location';
+
+/**
+ * Custom error class for expressions that cannot be differentiated,
+ * includes position info.
+ */
+class DerivativeError extends Error {
+    constructor(message, pos) {
+        super(message);
+        this.name = 'DerivativeError';
+        this.pos = pos;
+    }
+}
+
+// Most AST nodes the steps of one program may show, counting an
+// expression as often as it is shown: enough for a sum of 1000 terms
+const MAX_SHOWN_NODES = 2500000;
+
+// ─────────────────────────────────────────────────────
+//  Node construction — new nodes span the node they came from
+// ─────────────────────────────────────────────────────
+
+function makeNode(source, type, props) {
+    const { start, line, column, end } = source;
+    return { type, ...props, start, line, column, end };
+}
+
+const num = (source, value) => makeNode(source, 'NumberLiteral', {
+    value,
+    raw: String(value),
+    numberType: Number.isInteger(value) ? 'int' : 'float',
+});
+const binary = (source, op, left, right) => makeNode(source, 'BinaryExpr', { op, left, right });
+const negate = (source, argument) => makeNode(source, 'UnaryExpr', { op: '-', argument });
+const call = (source, callee, args) => makeNode(source, 'CallExpr', { callee, arguments: args });
+
+/**
+ * Outer derivatives f'(u) of the differentiable built-in functions.
+ */
+const CHAIN_RULES = {
+    sin: (u) => call(u, 'cos', [u]),
+    cos: (u) => negate(u, call(u, 'sin', [u])),
+    tan: (u) => binary(u, '/', num(u, 1), binary(u, '^', call(u, 'cos', [u]), num(u, 2))),
+    sqrt: (u) => binary(u, '/', num(u, 1), binary(u, '*', num(u, 2), call(u, 'sqrt', [u]))),
+    exp: (u) => call(u, 'exp', [u]),
+    log: (u) => binary(u, '/', num(u, 1), u),
+    abs: (u) => binary(u, '/', u, call(u, 'abs', [u])),
+};
+
+/**
+ * The operands of an expression node.
+ */
+function operandsOf(node) {
+    switch (node.type) {
+        case 'BinaryExpr': return [node.left, node.right];
+        case 'UnaryExpr': return [node.argument];
+        case 'CallExpr': return node.arguments;
+        default: return [];
+    }
+}
+
+/**
+ * Works out measure(node, operand values) for a node and every
+ * node under it not yet in `memo`, operands first. Shared subtrees
+ * are measured once, and the walk keeps a stack of its own, so
+ * neither long nor deep expressions are a problem.
+ */
+function measureAll(root, memo, measure) {
+    const pending = [root];
+    while (pending.length > 0) {
+        const node = pending[pending.length - 1];
+        if (memo.has(node)) {
+            pending.pop();
+            continue;
+        }
+        const operands = operandsOf(node);
+        const unmeasured = operands.filter((operand) => !memo.has(operand));
+        if (unmeasured.length > 0) {
+            pending.push(...unmeasured);
+            continue;
+        }
+        memo.set(node, measure(node, operands.map((operand) => memo.get(operand))));
+        pending.pop();
+    }
+    return memo.get(root);
+}
+
+// ─────────────────────────────────────────────────────
+//  Differentiation
+// ─────────────────────────────────────────────────────
+
+/**
+ * Creates a differentiator by one identifier. The rules applied
+ * are logged to its own steps, so differentiations never share state.
+ *
+ * @param {string} variable - Name of the identifier being differentiated by
+ * @returns {{ deriveStatement: Function, steps: Array }}
+ */
+function createDifferentiator(variable) {
+    const steps = [];  // Rules applied so far
+    const dependent = new WeakMap();  // Node → whether it mentions the variable
+    const sizes = new WeakMap();  // Node → its number of nodes, written out
+    let shown = 0;  // Nodes the steps show so far
+    let statement = null;  // The statement being differentiated
+
+    /**
+     * Whether a subtree mentions the variable being differentiated by.
+     */
+    const dependsOnVariable = (node) => measureAll(node, dependent, (n, operands) => (
+        n.type === 'Identifier' ? n.name === variable : operands.includes(true)
+    ));
+
+    const sizeOf = (node) => measureAll(node, sizes, (n, operands) => (
+        operands.reduce((total, size) => total + size, 1)
+    ));
+
+    /**
+     * Counts an expression the steps will show. Each node is counted
+     * as derive() starts on it, so the deeper it goes, the faster the
+     * count grows: the limit also keeps it well short of a stack overflow.
+     */
+    function show(node) {
+        shown += sizeOf(node);
+        if (shown > MAX_SHOWN_NODES) {
+            throw new DerivativeError(
+                `Cannot differentiate the statement at ${formatLocation(statement)}: its derivative grows too large to show`,
+                statement.start
+            );
+        }
+    }
+
+    /**
+     * Records a rule application and returns its result.
+     */
+    function apply(rule, node, result, depth) {
+        show(result);
+        steps.push({
+            rule,
+            action: `d/d${variable} ${formatAST(node)} → ${formatAST(result)}`,
+            token: null,
+            tokenType: null,
+            line: node.line,
+            column: node.column,
+            depth,
+            timestamp: steps.length,
+        });
+        return result;
+    }
+
+    /**
+     * Differentiates an expression node.
+     */
+    function derive(node, depth) {
+        show(node);
+        if (!dependsOnVariable(node)) return apply('Constant rule', node, num(node, 0), depth);
+
+        switch (node.type) {
+            case 'Identifier':
+                return apply('Variable rule', node, num(node, 1), depth);
+
+            case 'UnaryExpr': {
+                const du = derive(node.argument, depth + 1);
+                const result = node.op === '-' ? negate(node, du) : du;
+                return apply('Sign rule', node, result, depth);
+            }
+
+            case 'CallExpr':
+                return deriveCall(node, depth);
+
+            case 'BinaryExpr':
+                return deriveBinary(node, depth);
+
+            default:
+                throw new Error(`Unknown AST node type: ${node.type}`);
+        }
+    }
+
+    function deriveBinary(node, depth) {
+        const { op, left: u, right: v } = node;
+
+        switch (op) {
+            case '+':
+            case '-': {
+                const result = binary(node, op, derive(u, depth + 1), derive(v, depth + 1));
+                return apply(op === '+' ? 'Sum rule' : 'Difference rule', node, result, depth);
+            }
+
+            case '*': {
+                // c * u and u * c need only one derivative
+                if (!dependsOnVariable(u)) {
+                    return apply('Constant multiple rule', node, binary(node, '*', u, derive(v, depth + 1)), depth);
+                }
+                if (!dependsOnVariable(v)) {
+                    return apply('Constant multiple rule', node, binary(node, '*', derive(u, depth + 1), v), depth);
+                }
+                const du = derive(u, depth + 1);
+                const dv = derive(v, depth + 1);
+                const result = binary(node, '+', binary(node, '*', du, v), binary(node, '*', u, dv));
+                return apply('Product rule', node, result, depth);
+            }
+
+            case '/': {
+                if (!dependsOnVariable(v)) {
+                    return apply('Constant multiple rule', node, binary(node, '/', derive(u, depth + 1), v), depth);
+                }
+                const du = derive(u, depth + 1);
+                const dv = derive(v, depth + 1);
+                const result = binary(node, '/',
+                    binary(node, '-', binary(node, '*', du, v), binary(node, '*', u, dv)),
+                    binary(node, '^', v, num(node, 2)));
+                return apply('Quotient rule', node, result, depth);
+            }
+
+            case '^':
+                return derivePower(node, u, v, depth);
+
+            default:
+                throw new Error(`Unknown operator: ${op}`);
+        }
+    }
+
+    /**
+     * u ^ v, also used for pow(u, v).
+     */
+    function derivePower(node, u, v, depth) {
+        // u ^ n — n * u ^ (n - 1) * u'
+        if (!dependsOnVariable(v)) {
+            const du = derive(u, depth + 1);
+            const result = binary(node, '*',
+                binary(node, '*', v, binary(node, '^', u, binary(node, '-', v, num(node, 1)))),
+                du);
+            return apply('Power rule', node, result, depth);
+        }
+
+        // a ^ v — a ^ v * log(a) * v'
+        if (!dependsOnVariable(u)) {
+            const dv = derive(v, depth + 1);
+            const result = binary(node, '*', binary(node, '*', node, call(node, 'log', [u])), dv);
+            return apply('Exponential rule', node, result, depth);
+        }
+
+        // u ^ v — u ^ v * (v' * log(u) + v * u' / u)
+        const du = derive(u, depth + 1);
+        const dv = derive(v, depth + 1);
+        const result = binary(node, '*', node, binary(node, '+',
+            binary(node, '*', dv, call(node, 'log', [u])),
+            binary(node, '/', binary(node, '*', v, du), u)));
+        return apply('General power rule', node, result, depth);
+    }
+
+    function deriveCall(node, depth) {
+        const { callee, arguments: args } = node;
+
+        if (callee === 'pow' && args.length === 2) return derivePower(node, args[0], args[1], depth);
+
+        if (!Object.hasOwn(CHAIN_RULES, callee) || args.length !== 1) {
+            throw new DerivativeError(
+                `Cannot differentiate '${callee}' at ${formatLocation(node)}`,
+                node.start
+            );
+        }
+
+        const [u] = args;
+        const du = derive(u, depth + 1);
+        return apply('Chain rule', node, binary(node, '*', CHAIN_RULES[callee](u), du), depth);
+    }
+
+    /**
+     * Differentiates the value of a statement, which may be the
+     * statement itself.
+     */
+    function deriveStatement(stmt, value) {
+        statement = stmt;
+        return derive(value, 0);
+    }
+
+    return { deriveStatement, steps };
+}
+
+/**
+ * Replaces the identifiers that have a definition by their values.
+ * Subtrees without any are returned as they are.
+ */
+function substitute(node, definitions) {
+    switch (node.type) {
+        case 'Identifier':
+            return definitions.has(node.name) ? definitions.get(node.name) : node;
+        case 'BinaryExpr': {
+            const left = substitute(node.left, definitions);
+            const right = substitute(node.right, definitions);
+            return left === node.left && right === node.right ? node : { ...node, left, right };
+        }
+        case 'UnaryExpr': {
+            const argument = substitute(node.argument, definitions);
+            return argument === node.argument ? node : { ...node, argument };
+        }
+        case 'CallExpr': {
+            const args = node.arguments.map((arg) => substitute(arg, definitions));
+            return args.every((arg, i) => arg === node.arguments[i]) ? node : { ...node, arguments: args };
+        }
+        default:
+            return node;
+    }
+}
+
+// ─────────────────────────────────────────────────────
+//  Public API
+// ─────────────────────────────────────────────────────
+
+/**
+ * Differentiates a program with respect to one identifier and
+ * simplifies the result, one derivative per statement with a value.
+ *
+ * @param {Object} ast  - AST root from buildAST(); not modified
+ * @param {string} name - Identifier to differentiate by
+ * @returns {{ ast: Object|null, steps: Array, simplifySteps: Array,
+ *             error: string|null, errorPos: number|null }}
+ *          steps: the differentiation rules applied;
+ *          simplifySteps: the optimizer's rewrites of the raw derivative
+ */
+export function differentiate(ast, name) {
+    const { deriveStatement, steps } = createDifferentiator(name);
+    const definitions = new Map(); // Assigned name → its value, in terms of the free variables
+
+    try {
+        const body = [];
+        for (const stmt of ast.body) {
+            if (isDeclaration(stmt)) continue;
+
+            const value = substitute(stmt.type === 'Assignment' ? stmt.value : stmt, definitions);
+            body.push(deriveStatement(stmt, value));
+            if (stmt.type === 'Assignment' && stmt.target.name !== name) {
+                definitions.set(stmt.target.name, value);
+            }
+        }
+        const raw = makeNode(ast, 'Program', { body });
+        const simplified = optimize(raw);
+        return { ast: simplified.ast, steps, simplifySteps: simplified.steps, error: null, errorPos: null };
+    } catch (err) {
+        if (err instanceof DerivativeError) {
+            return { ast: null, steps, simplifySteps: [], error: err.message, errorPos: err.pos };
+        }
+        throw err; // Re-throw unexpected errors
+    }
+}
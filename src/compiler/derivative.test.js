@@ -0,0 +1,33 @@
+import { describe, expect, it } from 'vitest';
+import { tokenize } from './tokenizer';
+import { parse } from './parser';
+import { buildAST, formatAST } from './ast';
+import { differentiate } from './derivative';
+
+const astOf = (input) => buildAST(parse(tokenize(input).tokens).tree);
+
+describe('differentiate', () => {
+    it('works through a sum of 1000 terms', () => {
+        const result = differentiate(astOf(Array(1000).fill('x').join(' + ')), 'x');
+
+        expect(result.error).toBeNull();
+        expect(formatAST(result.ast)).toBe('1000');
+    });
+
+    it('stops at the statement whose derivative grows too large to show', () => {
+        // Each statement's value, written out, is twice as long as the last
+        const input = `a = x; ${'a = a * a; '.repeat(40)}a`;
+        const result = differentiate(astOf(input), 'x');
+
+        expect(result.ast).toBeNull();
+        expect(result.error).toMatch(/^Cannot differentiate the statement at line 1, column \d+: its derivative grows too large/);
+        expect(input.slice(result.errorPos)).toMatch(/^a = a \* a;/);
+    });
+
+    it('stops at a long product chain instead of running out of memory', () => {
+        const result = differentiate(astOf(Array(1000).fill('x').join(' * ')), 'x');
+
+        expect(result.error).toMatch(/^Cannot differentiate the statement at line 1, column 1:/);
+        expect(result.errorPos).toBe(0);
+    });
+});
@@ -0,0 +1,125 @@
+/**
+ * ============================================================
+ * DFA STATE DIAGRAM LAYOUT
+ * ============================================================
+ *
+ * Computes x,y coordinates for the states of a DFA (see
+ * lexerGenerator.js for the shape) and SVG paths for its
+ * transitions, drawn left to right:
+ *
+ *   1. Breadth-first search from the start state gives every
+ *      state a column: the fewest characters needed to reach it
+ *   2. States are stacked in their column in id order
+ *   3. Transitions bend slightly, so a pair of opposite moves
+ *      between two states do not overlap; a move from a state to
+ *      itself is a loop above it
+ * ============================================================
+ */
+
+const COLUMN_WIDTH = 130;
+const ROW_HEIGHT = 64;
+const MARGIN = 50;
+export const STATE_RADIUS = 18;
+const BEND = 0.18;  // Curve offset as a fraction of the edge length
+
+/**
+ * Computes layout positions for the states and transitions of a DFA.
+ *
+ * @param {Object} dfa - { start, states: [{ id, accepts, transitions: [{ to, ranges }] }] }
+ * @param {Function} [isShown] - Filters states out of the diagram
+ * @returns {{ nodes: Array, edges: Array, width: number, height: number }}
+ *   nodes: Array of { id, accepts, x, y, column }
+ *   edges: Array of { from, to, ranges, path, labelX, labelY }
+ */
+export function computeDfaLayout(dfa, isShown = () => true) {
+    if (!dfa) return { nodes: [], edges: [], width: 0, height: 0 };
+
+    // Step 1: Columns by breadth-first distance from the start state
+    const column = new Map([[dfa.start, 0]]);
+    const queue = [dfa.start];
+    while (queue.length > 0) {
+        const id = queue.shift();
+        for (const { to } of dfa.states[id].transitions) {
+            if (!column.has(to) && isShown(dfa.states[to])) {
+                column.set(to, column.get(id) + 1);
+                queue.push(to);
+            }
+        }
+    }
+
+    // Step 2: Stack each column's states in id order
+    const rows = [];
+    const nodes = dfa.states
+        .filter((state) => column.has(state.id))
+        .map((state) => {
+            const c = column.get(state.id);
+            rows[c] = (rows[c] ?? 0) + 1;
+            return {
+                id: state.id,
+                accepts: state.accepts,
+                column: c,
+                x: MARGIN + c * COLUMN_WIDTH,
+                y: MARGIN + (rows[c] - 1) * ROW_HEIGHT,
+            };
+        });
+    const byId = new Map(nodes.map((node) => [node.id, node]));
+
+    // Step 3: Paths for the transitions between shown states
+    const edges = [];
+    for (const node of nodes) {
+        for (const { to, ranges } of dfa.states[node.id].transitions) {
+            const target = byId.get(to);
+            if (!target) continue;
+            edges.push({ from: node.id, to, ranges, ...edgePath(node, target) });
+        }
+    }
+
+    const maxRows = Math.max(...rows.filter(Boolean));
+    return {
+        nodes,
+        edges,
+        width: MARGIN * 2 + (rows.length - 1) * COLUMN_WIDTH + 60,
+        height: MARGIN * 2 + (maxRows - 1) * ROW_HEIGHT,
+    };
+}
+
+/**
+ * SVG path and label position of a transition, ending at the rim
+ * of the target state so the arrowhead stays visible.
+ */
+function edgePath(from, to) {
+    if (from.id === to.id) {
+        const { x, y } = from;
+        const r = STATE_RADIUS;
+        return {
+            path: `M ${x - 8} ${y - r + 2} C ${x - 26} ${y - r - 30}, ${x + 26} ${y - r - 30}, ${x + 8} ${y - r + 2}`,
+            labelX: x,
+            labelY: y - r - 28,
+        };
+    }
+
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const length = Math.hypot(dx, dy);
+
+    // Control point off the midpoint, to the left of the direction of travel
+    const cx = (from.x + to.x) / 2 + dy * BEND;
+    const cy = (from.y + to.y) / 2 - dx * BEND;
+
+    // Trim both ends to the state circles, along the tangents
+    const trim = (px, py, towardX, towardY) => {
+        const tx = towardX - px;
+        const ty = towardY - py;
+        const t = Math.hypot(tx, ty) || length;
+        return [px + (tx / t) * STATE_RADIUS, py + (ty / t) * STATE_RADIUS];
+    };
+    const [sx, sy] = trim(from.x, from.y, cx, cy);
+    const [ex, ey] = trim(to.x, to.y, cx, cy);
+
+    return {
+        path: `M ${sx} ${sy} Q ${cx} ${cy} ${ex} ${ey}`,
+        // The curve passes halfway between the midpoint and the control point
+        labelX: (from.x + to.x) / 4 + cx / 2,
+        labelY: (from.y + to.y) / 4 + cy / 2,
+    };
+}
@@ -0,0 +1,231 @@
+/**
+ * ============================================================
+ * EXPRESSION EVALUATOR
+ * ============================================================
+ *
+ * Walks the abstract syntax tree produced by the AST builder and
+ * computes a numeric result. Identifiers are looked up in a
+ * bindings object supplied by the caller, e.g. { x: 3, y: 4 }.
+ * Statements run in order; assignments add to a copy of the
+ * bindings and the program's value is that of its last statement.
+ * A declaration without a value ( n: int ) is skipped.
+ *
+ * Function calls are resolved against a fixed table of built-in
+ * math functions (sin, max, sqrt, ...).
+ *
+ * Runtime errors are reported with the source position of the
+ * offending node, mirroring how the parser reports syntax errors:
+ *   - Unbound identifier  → position of the identifier
+ *   - Division by zero    → position of the divisor
+ *   - Unknown function / wrong argument count → position of the call
+ * ============================================================
+ */
+
+import { isDeclaration } from './ast';
+import { formatLocation } from './location';
+
+// Built-in functions: arity is the exact argument count,
+// or null for variadic functions that need at least one argument
+export const BUILTIN_FUNCTIONS = {
+    sin:   { fn: Math.sin,   arity: 1 },
+    cos:   { fn: Math.cos,   arity: 1 },
+    tan:   { fn: Math.tan,   arity: 1 },
+    sqrt:  { fn: Math.sqrt,  arity: 1 },
+    abs:   { fn: Math.abs,   arity: 1 },
+    log:   { fn: Math.log,   arity: 1 },
+    exp:   { fn: Math.exp,   arity: 1 },
+    floor: { fn: Math.floor, arity: 1 },
+    ceil:  { fn: Math.ceil,  arity: 1 },
+    round: { fn: Math.round, arity: 1 },
+    pow:   { fn: Math.pow,   arity: 2 },
+    min:   { fn: Math.min,   arity: null },
+    max:   { fn: Math.max,   arity: null },
+    // Conversions between the type checker's int and float
+    int:   { fn: Math.trunc, arity: 1 },
+    float: { fn: Number,     arity: 1 },
+};
+
+/**
+ * Custom error class for runtime errors, includes position info.
+ */
+class RuntimeError extends Error {
+    constructor(message, pos) {
+        super(message);
+        this.name = 'RuntimeError';
+        this.pos = pos;
+    }
+}
+
+/**
+ * Throws a descriptive runtime error for the given AST node.
+ */
+function runtimeError(message, node) {
+    throw new RuntimeError(
+        `Runtime Error at ${formatLocation(node)}: ${message}`,
+        node.start
+    );
+}
+
+/**
+ * Recursively evaluates an AST node. Assignments are recorded both
+ * in `bindings`, for later reads, and in `variables`, which holds
+ * only the values the program assigned.
+ */
+function evaluateNode(node, bindings, variables) {
+    switch (node.type) {
+        case 'Program': {
+            let value = null;
+            for (const stmt of node.body) {
+                if (!isDeclaration(stmt)) value = evaluateNode(stmt, bindings, variables);
+            }
+            return value;
+        }
+
+        case 'Assignment': {
+            const value = evaluateNode(node.value, bindings, variables);
+            bindings[node.target.name] = value;
+            variables[node.target.name] = value;
+            return value;
+        }
+
+        case 'NumberLiteral':
+            return node.value;
+
+        case 'Identifier': {
+            if (!Object.hasOwn(bindings, node.name)) {
+                runtimeError(`Unbound identifier '${node.name}'`, node);
+            }
+            const value = Number(bindings[node.name]);
+            if (Number.isNaN(value)) {
+                runtimeError(`Identifier '${node.name}' is not bound to a number`, node);
+            }
+            return value;
+        }
+
+        case 'UnaryExpr': {
+            const argument = evaluateNode(node.argument, bindings, variables);
+            return node.op === '-' ? -argument : argument;
+        }
+
+        case 'CallExpr': {
+            if (!Object.hasOwn(BUILTIN_FUNCTIONS, node.callee)) {
+                runtimeError(`Unknown function '${node.callee}'`, node);
+            }
+            const arityError = checkArity(node.callee, node.arguments.length);
+            if (arityError) runtimeError(arityError, node);
+            return BUILTIN_FUNCTIONS[node.callee].fn(...node.arguments.map((arg) => evaluateNode(arg, bindings, variables)));
+        }
+
+        case 'BinaryExpr': {
+            const left = evaluateNode(node.left, bindings, variables);
+            const right = evaluateNode(node.right, bindings, variables);
+
+            switch (node.op) {
+                case '+': return left + right;
+                case '-': return left - right;
+                case '*': return left * right;
+                case '^': return left ** right;
+                case '/':
+                    if (right === 0) {
+                        runtimeError('Division by zero', node.right);
+                    }
+                    return left / right;
+                default:
+                    throw new Error(`Unknown operator: ${node.op}`);
+            }
+        }
+
+        default:
+            throw new Error(`Unknown AST node type: ${node.type}`);
+    }
+}
+
+// ─────────────────────────────────────────────────────
+//  Public API
+// ─────────────────────────────────────────────────────
+
+/**
+ * Evaluates an AST against a set of variable bindings.
+ * The caller's bindings object is never modified.
+ *
+ * @param {Object} ast      - AST root from buildAST()
+ * @param {Object} bindings - Map of identifier name → number (or numeric string)
+ * @returns {{ value: number|null, variables: Object, error: string|null, errorPos: number|null }}
+ *          variables: Values assigned by the program, by name
+ */
+export function evaluate(ast, bindings = {}) {
+    const env = { ...bindings };
+    const variables = {};  // Values assigned by the program being evaluated
+
+    try {
+        return {
+            value: evaluateNode(ast, env, variables),
+            variables,
+            error: null,
+            errorPos: null,
+        };
+    } catch (err) {
+        if (err instanceof RuntimeError) {
+            return { value: null, variables, error: err.message, errorPos: err.pos };
+        }
+        throw err; // Re-throw unexpected errors
+    }
+}
+
+/**
+ * Checks the argument count of a call to a built-in function.
+ *
+ * @param {string} callee - A key of BUILTIN_FUNCTIONS
+ * @param {number} count  - Number of arguments passed
+ * @returns {string|null} The error message, or null when the count is valid
+ */
+export function checkArity(callee, count) {
+    const { arity } = BUILTIN_FUNCTIONS[callee];
+    if (arity !== null && count !== arity) {
+        return `'${callee}' expects ${arity} argument(s), but got ${count}`;
+    }
+    if (arity === null && count === 0) {
+        return `'${callee}' expects at least 1 argument`;
+    }
+    return null;
+}
+
+/**
+ * Returns the distinct identifier names an AST reads before the
+ * program assigns them (its free variables), in order of first
+ * appearance. These are the names the caller has to bind.
+ *
+ * @param {Object|null} ast - AST root from buildAST()
+ * @returns {Array<string>}
+ */
+export function collectIdentifiers(ast) {
+    const names = [];
+    const assigned = new Set();
+
+    function visit(node) {
+        if (!node) return;
+        if (node.type === 'Program') {
+            node.body.filter((stmt) => !isDeclaration(stmt)).forEach(visit);
+        }
+        if (node.type === 'Assignment') {
+            visit(node.value);
+            assigned.add(node.target.name);
+        }
+        if (node.type === 'Identifier' && !assigned.has(node.name) && !names.includes(node.name)) {
+            names.push(node.name);
+        }
+        if (node.type === 'UnaryExpr') {
+            visit(node.argument);
+        }
+        if (node.type === 'CallExpr') {
+            node.arguments.forEach(visit);
+        }
+        if (node.type === 'BinaryExpr') {
+            visit(node.left);
+            visit(node.right);
+        }
+    }
+
+    visit(ast);
+    return names;
+}
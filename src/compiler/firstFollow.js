@@ -0,0 +1,155 @@
+/**
+ * ============================================================
+ * FIRST AND FOLLOW SETS
+ * ============================================================
+ *
+ * Computes the FIRST and FOLLOW sets of a context-free grammar
+ * (see grammar.js for the shape) by fixed-point iteration:
+ *
+ *   FIRST(X)  — terminals that can begin a string derived from X,
+ *               plus ε when X can derive the empty string
+ *   FOLLOW(A) — terminals that can appear immediately after A in
+ *               some sentential form, with $ for end of input
+ *
+ * Together they justify every choice an LL(1) parser makes:
+ *   A → α is chosen on lookahead a when a ∈ FIRST(α), or
+ *   when α ⇒* ε and a ∈ FOLLOW(A).
+ * ============================================================
+ */
+
+import { EPSILON, END_MARKER } from './grammar';
+
+/**
+ * Computes FIRST(A) for every non-terminal A.
+ *
+ * @param {Object} grammar
+ * @returns {Object<string, Set<string>>}
+ */
+export function computeFirstSets(grammar) {
+    const first = {};
+    for (const nt of grammar.nonTerminals) {
+        first[nt] = new Set();
+    }
+
+    let changed = true;
+    while (changed) {
+        changed = false;
+        for (const { lhs, rhs } of grammar.productions) {
+            const before = first[lhs].size;
+            for (const symbol of firstOfSequence(rhs, first, grammar)) {
+                first[lhs].add(symbol);
+            }
+            if (first[lhs].size !== before) changed = true;
+        }
+    }
+
+    return first;
+}
+
+/**
+ * Computes FIRST(α) for a sequence of grammar symbols.
+ * Contains ε when every symbol in α can derive ε (or α is empty).
+ *
+ * @param {Array<string>} symbols
+ * @param {Object<string, Set<string>>} first - FIRST sets of non-terminals
+ * @param {Object} grammar
+ * @returns {Set<string>}
+ */
+export function firstOfSequence(symbols, first, grammar) {
+    const result = new Set();
+
+    for (const symbol of symbols) {
+        if (!grammar.nonTerminals.includes(symbol)) {
+            result.add(symbol);
+            return result;
+        }
+
+        for (const terminal of first[symbol]) {
+            if (terminal !== EPSILON) result.add(terminal);
+        }
+        if (!first[symbol].has(EPSILON)) return result;
+    }
+
+    result.add(EPSILON);
+    return result;
+}
+
+/**
+ * Computes FOLLOW(A) for every non-terminal A.
+ *
+ * @param {Object} grammar
+ * @param {Object<string, Set<string>>} first - Result of computeFirstSets()
+ * @returns {Object<string, Set<string>>}
+ */
+export function computeFollowSets(grammar, first) {
+    const follow = {};
+    for (const nt of grammar.nonTerminals) {
+        follow[nt] = new Set();
+    }
+    follow[grammar.start].add(END_MARKER);
+
+    let changed = true;
+    while (changed) {
+        changed = false;
+        for (const { lhs, rhs } of grammar.productions) {
+            rhs.forEach((symbol, index) => {
+                if (!grammar.nonTerminals.includes(symbol)) return;
+
+                const before = follow[symbol].size;
+                const rest = firstOfSequence(rhs.slice(index + 1), first, grammar);
+
+                // A → α B β : FIRST(β) \ {ε} ⊆ FOLLOW(B)
+                for (const terminal of rest) {
+                    if (terminal !== EPSILON) follow[symbol].add(terminal);
+                }
+                // A → α B β with β ⇒* ε : FOLLOW(A) ⊆ FOLLOW(B)
+                if (rest.has(EPSILON)) {
+                    for (const terminal of follow[lhs]) {
+                        follow[symbol].add(terminal);
+                    }
+                }
+
+                if (follow[symbol].size !== before) changed = true;
+            });
+        }
+    }
+
+    return follow;
+}
+
+/**
+ * Explains why production A → α was chosen on a lookahead terminal.
+ *
+ * @param {{ lhs: string, rhs: Array<string> }} prod
+ * @param {string} lookahead - Grammar terminal of the lookahead token
+ * @param {Object} sets      - { first, follow } from the compute functions
+ * @param {Object} grammar
+ * @returns {{ set: 'FIRST'|'FOLLOW', symbol: string, terminal: string }|null}
+ *          set/symbol: the entry that justified the choice, e.g.
+ *          FOLLOW of "E'" for E' → ε; null when neither set applies
+ */
+export function explainChoice(prod, lookahead, { first, follow }, grammar) {
+    const firstOfRhs = firstOfSequence(prod.rhs, first, grammar);
+
+    if (firstOfRhs.has(lookahead)) {
+        return { set: 'FIRST', symbol: prod.rhs.join(' '), terminal: lookahead };
+    }
+    if (firstOfRhs.has(EPSILON) && follow[prod.lhs]?.has(lookahead)) {
+        return { set: 'FOLLOW', symbol: prod.lhs, terminal: lookahead };
+    }
+    return null;
+}
+
+/**
+ * Explains why an SLR parser reduced by A → α on a lookahead:
+ * it only reduces when the lookahead can follow A.
+ *
+ * @param {{ lhs: string, rhs: Array<string> }} prod
+ * @param {string} lookahead - Grammar terminal of the lookahead token
+ * @param {Object} sets      - { follow } from computeFollowSets()
+ * @returns {{ set: 'FOLLOW', symbol: string, terminal: string }|null}
+ */
+export function explainReduction(prod, lookahead, { follow }) {
+    if (!follow[prod.lhs]?.has(lookahead)) return null;
+    return { set: 'FOLLOW', symbol: prod.lhs, terminal: lookahead };
+}
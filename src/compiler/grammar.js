@@ -0,0 +1,212 @@
+/**
+ * ============================================================
+ * GRAMMAR DEFINITION
+ * ============================================================
+ *
+ * A data description of the LL(1) grammar implemented by the
+ * recursive descent functions in parser.js, for the stages that
+ * analyse the grammar itself (FIRST / FOLLOW sets), and of the
+ * original left-recursive grammar used by the bottom-up parser.
+ *
+ * Symbols are strings. Terminals use their lexeme ('+', '(', ...)
+ * except for the token classes 'id' and 'number'; '$' marks the
+ * end of input. An ε production has an empty right-hand side.
+ *
+ * Production shape:
+ *   { lhs: string, rhs: Array<string> }
+ * ============================================================
+ */
+
+import { TokenType, isNumberType } from './tokenizer';
+
+export const EPSILON = 'ε';
+export const END_MARKER = '$';
+
+/**
+ * Builds a production from its textual right-hand side,
+ * e.g. production("E'", "+ T E'") or production("E'", 'ε').
+ */
+function production(lhs, rhs) {
+    return { lhs, rhs: rhs === EPSILON ? [] : rhs.split(' ') };
+}
+
+export const GRAMMAR = {
+    start: 'Program',
+    nonTerminals: [
+        'Program', 'Stmts', "Stmts'", 'Stmt', "Stmt'", 'Init',
+        'E', "E'", 'T', "T'", 'P', "P'", 'F',
+        'Call', 'Args', "Args'",
+    ],
+    terminals: [
+        'id', 'number', '+', '-', '*', '/', '^',
+        '(', ')', ',', '=', ':', ';', END_MARKER,
+    ],
+    productions: [
+        production('Program', 'Stmt Stmts'),
+        production('Stmts', "; Stmts'"),
+        production('Stmts', EPSILON),
+        production("Stmts'", 'Stmt Stmts'),
+        production("Stmts'", EPSILON),
+        production('Stmt', "E Stmt'"),
+        production("Stmt'", '= E'),
+        production("Stmt'", ': id Init'),
+        production("Stmt'", EPSILON),
+        production('Init', '= E'),
+        production('Init', EPSILON),
+        production('E', "T E'"),
+        production("E'", "+ T E'"),
+        production("E'", "- T E'"),
+        production("E'", EPSILON),
+        production('T', "P T'"),
+        production("T'", "* P T'"),
+        production("T'", "/ P T'"),
+        production("T'", EPSILON),
+        production('P', '- P'),
+        production('P', '+ P'),
+        production('P', "F P'"),
+        production("P'", '^ P'),
+        production("P'", EPSILON),
+        production('F', '( E )'),
+        production('F', 'id Call'),
+        production('F', 'number'),
+        production('Call', '( Args )'),
+        production('Call', EPSILON),
+        production('Args', "E Args'"),
+        production('Args', EPSILON),
+        production("Args'", ", E Args'"),
+        production("Args'", EPSILON),
+    ],
+};
+
+/**
+ * The same language before left recursion was removed, as a
+ * bottom-up (SLR) parser takes it. Left recursion gives + - * /
+ * their left associativity directly; P → F ^ P keeps ^ right-
+ * associative, and assignment needs no semantic check because
+ * the parser can wait until it sees '=' or ':' before committing.
+ * As in the LL(1) grammar, the last statement may be followed by ';'.
+ */
+export const LR_GRAMMAR = {
+    start: 'Program',
+    nonTerminals: ['Program', 'Stmts', 'Stmt', 'E', 'T', 'P', 'F', 'Args'],
+    terminals: [
+        'id', 'number', '+', '-', '*', '/', '^',
+        '(', ')', ',', '=', ':', ';', END_MARKER,
+    ],
+    productions: [
+        production('Program', 'Stmts ;'),
+        production('Program', 'Stmts'),
+        production('Stmts', 'Stmts ; Stmt'),
+        production('Stmts', 'Stmt'),
+        production('Stmt', 'id = E'),
+        production('Stmt', 'id : id = E'),
+        production('Stmt', 'id : id'),
+        production('Stmt', 'E'),
+        production('E', 'E + T'),
+        production('E', 'E - T'),
+        production('E', 'T'),
+        production('T', 'T * P'),
+        production('T', 'T / P'),
+        production('T', 'P'),
+        production('P', '- P'),
+        production('P', '+ P'),
+        production('P', 'F ^ P'),
+        production('P', 'F'),
+        production('F', '( E )'),
+        production('F', 'id ( Args )'),
+        production('F', 'id ( )'),
+        production('F', 'id'),
+        production('F', 'number'),
+        production('Args', 'Args , E'),
+        production('Args', 'E'),
+    ],
+};
+
+/**
+ * Maps a token to the grammar terminal it stands for.
+ *
+ * @param {string} type  - One of the TokenType values
+ * @param {string} value - The token's raw value
+ * @returns {string}
+ */
+export function terminalForToken(type, value) {
+    if (type === TokenType.ID) return 'id';
+    if (isNumberType(type)) return 'number';
+    if (type === TokenType.EOF) return END_MARKER;
+    return value;
+}
+
+/**
+ * Describes a set of expected terminals for an error message,
+ * in grammar order: "'+'", or "one of '+', '-' or end of input".
+ *
+ * @param {Array<string>} terminals
+ * @param {Object} [grammar=GRAMMAR]
+ * @returns {string}
+ */
+export function describeExpected(terminals, grammar = GRAMMAR) {
+    const names = grammar.terminals
+        .filter((t) => terminals.includes(t))
+        .map((t) => (t === END_MARKER ? 'end of input' : `'${t}'`));
+    return names.length > 1
+        ? `one of ${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}`
+        : names[0];
+}
+
+/**
+ * Formats a production as it appears in the step log,
+ * e.g. "E' → + T E'" or "E' → ε".
+ */
+export function productionText({ lhs, rhs }) {
+    return `${lhs} → ${rhs.length > 0 ? rhs.join(' ') : EPSILON}`;
+}
+
+/**
+ * Parses a step-log rule such as "E' → + T E'" back into a
+ * production. Returns null for log entries that are not productions.
+ *
+ * @param {string} rule
+ * @returns {{ lhs: string, rhs: Array<string> }|null}
+ */
+export function parseProductionText(rule) {
+    const parts = rule.split(' → ');
+    if (parts.length !== 2) return null;
+    return production(parts[0], parts[1]);
+}
+
+// Most stack entries and input symbols a parse trace row keeps, so
+// a trace grows in step with the input however long it is
+export const TRACE_WINDOW = 24;
+
+/**
+ * The input column of a table-driven or shift-reduce trace row:
+ * the next TRACE_WINDOW input symbols from a position ($ for the
+ * end of input), and how many are left in all.
+ *
+ * @param {Array} tokens - Tokens from the tokenizer (ending in EOF)
+ * @param {number} index - Position of the lookahead token
+ * @returns {{ inputAhead: Array<string>, inputLeft: number }}
+ */
+export function upcomingInput(tokens, index) {
+    return {
+        inputAhead: tokens
+            .slice(index, index + TRACE_WINDOW)
+            .map((t) => (t.type === TokenType.EOF ? END_MARKER : t.value)),
+        inputLeft: tokens.length - index,
+    };
+}
+
+/**
+ * Formats the stack and input columns of a trace row, marking the
+ * stack entries and input symbols it leaves out with "…".
+ *
+ * @param {{ stackTop: Array<string>, stackDepth: number,
+ *           inputAhead: Array<string>, inputLeft: number }} row
+ * @returns {{ stack: string, input: string }}
+ */
+export function formatTraceColumns({ stackTop, stackDepth, inputAhead, inputLeft }) {
+    return {
+        stack: `${stackDepth > stackTop.length ? '… ' : ''}${stackTop.join(' ')}`,
+        input: `${inputAhead.join(' ')}${inputLeft > inputAhead.length ? ' …' : ''}`,
+    };
+}
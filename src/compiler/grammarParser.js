@@ -0,0 +1,176 @@
+/**
+ * ============================================================
+ * GENERIC GRAMMAR-DRIVEN PARSER
+ * ============================================================
+ *
+ * Parses a token stream with any LL(1) grammar supplied as data
+ * (see grammar.js / bnf.js), instead of the hand-written rule
+ * functions in parser.js. It is still recursive descent: one
+ * recursive call per non-terminal, but the production to expand
+ * is looked up in the LL(1) parse table rather than coded by hand.
+ *
+ * Its output has the same shape as parse() in parser.js — a parse
+ * tree of { label, children, id, token? } nodes and a step log of
+ * { rule, action, token, tokenType, line, column, depth } entries —
+ * so it feeds the existing token table, step log and tree view
+ * unchanged.
+ * ============================================================
+ */
+
+import { TokenType } from './tokenizer';
+import { EPSILON, END_MARKER, terminalForToken, describeExpected, productionText } from './grammar';
+import { buildParseTable } from './predictiveParser';
+import { formatLocation } from './location';
+import { DEFAULT_MAX_DEPTH } from './parser';
+
+/**
+ * Custom error class for parse errors, includes position info and,
+ * for a token that does not fit, a description of what would have.
+ */
+class ParseError extends Error {
+    constructor(message, token, expected = null) {
+        super(message);
+        this.name = 'ParseError';
+        this.pos = token.pos;
+        this.line = token.line;
+        this.column = token.column;
+        this.expected = expected;
+    }
+}
+
+// Rules a parse tree may have besides the maxDepth levels that
+// parse() counts: the rules the first token starts (Program → Stmt
+// → E → T → P → F in the built-in grammar) and the ε rules that end
+// the last statement
+const START_RULES = 8;
+
+// ─────────────────────────────────────────────────────
+//  Public API
+// ─────────────────────────────────────────────────────
+
+/**
+ * Parses a token array with a user-supplied LL(1) grammar.
+ *
+ * @param {Array}  tokens  - Tokens from the tokenizer (ending in EOF)
+ * @param {Object} grammar - Grammar object, e.g. from parseBNF()
+ * @param {Object} [options]
+ * @param {number} [options.maxDepth=DEFAULT_MAX_DEPTH] - Most grammar
+ *        rules that may be nested inside each other, besides the few
+ *        the first token starts; deeper input is a syntax error
+ * @returns {{ tree: Object|null, steps: Array, error: string|null, errorPos: number|null, errors: Array }}
+ */
+export function parseWithGrammar(tokens, grammar, { maxDepth = DEFAULT_MAX_DEPTH } = {}) {
+    const { table, conflicts } = buildParseTable(grammar);
+    if (conflicts.length > 0) {
+        const message = 'Grammar is not LL(1): resolve the parse table conflicts before parsing';
+        return { tree: null, steps: [], error: message, errorPos: null, errors: [{ message, pos: null, line: null, column: null, expected: null }] };
+    }
+
+    let index = 0;
+    let nodeId = 0;
+    let depth = 0;
+    const maxRules = maxDepth + START_RULES;
+    const steps = [];
+
+    const peek = () => tokens[index];
+    const createNode = (label, children = [], token = null) => {
+        const node = { label, children, id: nodeId++ };
+        if (token) node.token = token;
+        return node;
+    };
+    const logStep = (rule, action) => {
+        const token = peek();
+        steps.push({
+            rule,
+            action,
+            token: token.value,
+            tokenType: token.type,
+            line: token.line,
+            column: token.column,
+            depth,
+            timestamp: steps.length,
+        });
+    };
+    const syntaxError = (expectedTerminals) => {
+        const token = peek();
+        const got = token.type === TokenType.EOF ? 'end of input' : `'${token.value}'`;
+        const expected = describeExpected(expectedTerminals, grammar);
+        return new ParseError(
+            `Syntax Error at ${formatLocation(token)}: Expected ${expected}, but found ${got}`,
+            token,
+            expected
+        );
+    };
+
+    /**
+     * Expands one non-terminal using the production in M[A, lookahead].
+     */
+    function parseNonTerminal(nt) {
+        depth++;
+        const token = peek();
+        if (depth > maxRules) {
+            throw new ParseError(
+                `Syntax Error at ${formatLocation(token)}: Input is too long or nested too deeply (more than ${maxDepth} levels of grammar rules)`,
+                token
+            );
+        }
+        const prodIndex = table[nt][terminalForToken(token.type, token.value)];
+        if (prodIndex === undefined) {
+            throw syntaxError(Object.keys(table[nt]));
+        }
+
+        const prod = grammar.productions[prodIndex];
+        const rule = productionText(prod);
+
+        if (prod.rhs.length === 0) {
+            logStep(rule, 'Epsilon (no match needed)');
+            depth--;
+            return createNode(nt, [createNode(EPSILON)]);
+        }
+
+        logStep(rule, `Enter ${nt}`);
+        // A plain loop, so each nested rule takes one stack frame
+        const children = [];
+        for (const symbol of prod.rhs) {
+            if (grammar.nonTerminals.includes(symbol)) {
+                children.push(parseNonTerminal(symbol));
+                continue;
+            }
+
+            const current = peek();
+            if (terminalForToken(current.type, current.value) !== symbol) {
+                throw syntaxError([symbol]);
+            }
+            logStep(rule, `Match '${current.value}'`);
+            index++;
+            children.push(createNode(current.value, [], current));
+        }
+        logStep(rule, `Exit ${nt}`);
+
+        depth--;
+        return createNode(nt, children);
+    }
+
+    try {
+        const tree = parseNonTerminal(grammar.start);
+
+        if (peek().type !== TokenType.EOF) {
+            throw syntaxError([END_MARKER]);
+        }
+
+        logStep('✓ Parse Complete', 'Input parsed successfully!');
+        return { tree, steps, error: null, errorPos: null, errors: [] };
+    } catch (err) {
+        if (err instanceof ParseError) {
+            logStep('✗ Parse Error', err.message);
+            return {
+                tree: null,
+                steps,
+                error: err.message,
+                errorPos: err.pos,
+                errors: [{ message: err.message, pos: err.pos, line: err.line, column: err.column, expected: err.expected }],
+            };
+        }
+        throw err; // Re-throw unexpected errors
+    }
+}
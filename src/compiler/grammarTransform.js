@@ -0,0 +1,302 @@
+/**
+ * ============================================================
+ * GRAMMAR TRANSFORMATIONS
+ * ============================================================
+ *
+ * Rewrites a grammar into a form a top-down parser can use,
+ * recording every rewrite so it can be shown step by step:
+ *
+ *   1. Left-recursion elimination
+ *        A → A α | β          becomes   A  → β A'
+ *                                        A' → α A' | ε
+ *      Indirect recursion (A → B α, B → A β) is first turned
+ *      into direct recursion by substituting B's productions
+ *      into A, in the order the non-terminals are listed.
+ *
+ *   2. Left factoring
+ *        A → α β₁ | α β₂ | γ  becomes   A  → α A' | γ
+ *                                        A' → β₁ | β₂
+ *
+ * This is exactly how the E' / T' rules in parser.js were derived
+ * from E → E + T | T and T → T * F | F.
+ *
+ * Left recursion hidden behind a nullable prefix (A → B A with
+ * B ⇒* ε) is not detected, as in the textbook algorithm.
+ *
+ * Step shape:
+ *   { kind: 'substitute' | 'left-recursion' | 'left-factor' | 'cycle',
+ *     nonTerminal: string, description: string,
+ *     removed: Array<Production>, added: Array<Production> }
+ * ============================================================
+ */
+
+import { productionText } from './grammar';
+
+/**
+ * Copies a grammar deeply enough for the rewrites to mutate it.
+ */
+function cloneGrammar(grammar) {
+    return {
+        ...grammar,
+        nonTerminals: [...grammar.nonTerminals],
+        terminals: [...grammar.terminals],
+        productions: grammar.productions.map((prod) => ({ lhs: prod.lhs, rhs: [...prod.rhs] })),
+    };
+}
+
+/**
+ * Returns a fresh non-terminal name for A: A', A'', ...
+ */
+function freshName(base, nonTerminals) {
+    let name = `${base}'`;
+    while (nonTerminals.includes(name)) name += "'";
+    return name;
+}
+
+/**
+ * Whether `target` can appear as the leftmost symbol of some
+ * sentential form derived from `from`.
+ */
+function leftReaches(from, target, grammar) {
+    const seen = new Set();
+    const pending = [from];
+
+    while (pending.length > 0) {
+        const nt = pending.pop();
+        if (nt === target) return true;
+        if (seen.has(nt)) continue;
+        seen.add(nt);
+
+        for (const { lhs, rhs } of grammar.productions) {
+            if (lhs === nt && grammar.nonTerminals.includes(rhs[0])) {
+                pending.push(rhs[0]);
+            }
+        }
+    }
+    return false;
+}
+
+/**
+ * Replaces A's productions in place, keeping their position in
+ * the production list so the rules read in their original order.
+ */
+function replaceProductions(grammar, lhs, newProductions) {
+    const firstIndex = grammar.productions.findIndex((prod) => prod.lhs === lhs);
+    if (firstIndex === -1) {
+        grammar.productions.push(...newProductions);
+        return;
+    }
+    const others = grammar.productions.filter((prod) => prod.lhs !== lhs);
+    const insertAt = grammar.productions
+        .slice(0, firstIndex)
+        .filter((prod) => prod.lhs !== lhs).length;
+
+    grammar.productions = [
+        ...others.slice(0, insertAt),
+        ...newProductions,
+        ...others.slice(insertAt),
+    ];
+}
+
+/**
+ * Adds a new non-terminal right after an existing one.
+ */
+function addNonTerminal(grammar, after, name, productions) {
+    grammar.nonTerminals.splice(grammar.nonTerminals.indexOf(after) + 1, 0, name);
+
+    const lastIndex = grammar.productions.map((prod) => prod.lhs).lastIndexOf(after);
+    const insertAt = lastIndex === -1 ? grammar.productions.length : lastIndex + 1;
+    grammar.productions.splice(insertAt, 0, ...productions);
+}
+
+/**
+ * Returns the longest common prefix of several symbol sequences.
+ */
+function commonPrefix(sequences) {
+    const prefix = [];
+    for (let i = 0; sequences.every((seq) => i < seq.length && seq[i] === sequences[0][i]); i++) {
+        prefix.push(sequences[0][i]);
+    }
+    return prefix;
+}
+
+/**
+ * Formats productions for a step description, e.g. "E → E + T | T".
+ */
+function describeProductions(productions) {
+    return `${productions[0].lhs} → ${productions
+        .map((prod) => productionText(prod).split(' → ')[1])
+        .join(' | ')}`;
+}
+
+// ─────────────────────────────────────────────────────
+//  Rewrites
+// ─────────────────────────────────────────────────────
+
+/**
+ * Removes direct left recursion from A.
+ */
+function eliminateDirectRecursion(grammar, nt, steps) {
+    let own = grammar.productions.filter((prod) => prod.lhs === nt);
+
+    // A → A derives nothing new and would make A' → A' — drop it
+    const cycles = own.filter((prod) => prod.rhs.length === 1 && prod.rhs[0] === nt);
+    if (cycles.length > 0) {
+        own = own.filter((prod) => !cycles.includes(prod));
+        replaceProductions(grammar, nt, own);
+        steps.push({
+            kind: 'cycle',
+            nonTerminal: nt,
+            description: `Drop ${nt} → ${nt}: it derives nothing new`,
+            removed: cycles,
+            added: [],
+        });
+    }
+
+    const recursive = own.filter((prod) => prod.rhs[0] === nt);
+    if (recursive.length === 0) return;
+
+    const others = own.filter((prod) => prod.rhs[0] !== nt);
+    const prime = freshName(nt, grammar.nonTerminals);
+
+    const newOwn = others.map((prod) => ({ lhs: nt, rhs: [...prod.rhs, prime] }));
+    const primeProductions = [
+        ...recursive.map((prod) => ({ lhs: prime, rhs: [...prod.rhs.slice(1), prime] })),
+        { lhs: prime, rhs: [] },
+    ];
+
+    replaceProductions(grammar, nt, newOwn);
+    addNonTerminal(grammar, nt, prime, primeProductions);
+
+    steps.push({
+        kind: 'left-recursion',
+        nonTerminal: nt,
+        description: `Remove direct left recursion from ${describeProductions(own)} with a new ${prime}`,
+        removed: own,
+        added: [...newOwn, ...primeProductions],
+    });
+}
+
+/**
+ * Substitutes B's productions into every A → B γ, for the
+ * non-terminals B listed before A that lead back to A.
+ */
+function substituteEarlier(grammar, nt, earlier, steps) {
+    for (const b of earlier) {
+        const own = grammar.productions.filter((prod) => prod.lhs === nt);
+        const viaB = own.filter((prod) => prod.rhs[0] === b);
+        if (viaB.length === 0 || !leftReaches(b, nt, grammar)) continue;
+
+        const bProductions = grammar.productions.filter((prod) => prod.lhs === b);
+        const newOwn = own.flatMap((prod) => (prod.rhs[0] === b
+            ? bProductions.map((bProd) => ({ lhs: nt, rhs: [...bProd.rhs, ...prod.rhs.slice(1)] }))
+            : [prod]));
+
+        replaceProductions(grammar, nt, newOwn);
+        steps.push({
+            kind: 'substitute',
+            nonTerminal: nt,
+            description: `${nt} is indirectly left-recursive through ${b}: substitute ${describeProductions(bProductions)} into ${nt}`,
+            removed: viaB,
+            added: newOwn.filter((prod) => !own.includes(prod)),
+        });
+    }
+}
+
+/**
+ * Factors out the longest prefix shared by two or more of A's
+ * alternatives. Returns true if A was rewritten.
+ */
+function leftFactorOnce(grammar, nt, steps) {
+    const own = grammar.productions.filter((prod) => prod.lhs === nt);
+
+    for (const prod of own) {
+        if (prod.rhs.length === 0) continue;
+        const group = own.filter((other) => other.rhs[0] === prod.rhs[0]);
+        if (group.length < 2) continue;
+
+        const prefix = commonPrefix(group.map((other) => other.rhs));
+        const prime = freshName(nt, grammar.nonTerminals);
+
+        const factored = { lhs: nt, rhs: [...prefix, prime] };
+        const newOwn = own.flatMap((other) => {
+            if (other === group[0]) return [factored];
+            return group.includes(other) ? [] : [other];
+        });
+        const primeProductions = group.map((other) => ({ lhs: prime, rhs: other.rhs.slice(prefix.length) }));
+
+        replaceProductions(grammar, nt, newOwn);
+        addNonTerminal(grammar, nt, prime, primeProductions);
+
+        steps.push({
+            kind: 'left-factor',
+            nonTerminal: nt,
+            description: `Left-factor the common prefix '${prefix.join(' ')}' of ${describeProductions(group)}`,
+            removed: group,
+            added: [factored, ...primeProductions],
+        });
+        return true;
+    }
+    return false;
+}
+
+// ─────────────────────────────────────────────────────
+//  Public API
+// ─────────────────────────────────────────────────────
+
+/**
+ * Removes direct and indirect left recursion.
+ *
+ * @param {Object} grammar - Not modified
+ * @returns {{ grammar: Object, steps: Array }}
+ */
+export function eliminateLeftRecursion(grammar) {
+    const result = cloneGrammar(grammar);
+    const steps = [];
+    const order = [...grammar.nonTerminals];
+
+    order.forEach((nt, i) => {
+        substituteEarlier(result, nt, order.slice(0, i), steps);
+        eliminateDirectRecursion(result, nt, steps);
+    });
+
+    return { grammar: result, steps };
+}
+
+/**
+ * Left-factors every non-terminal until no two alternatives
+ * share a first symbol.
+ *
+ * @param {Object} grammar - Not modified
+ * @returns {{ grammar: Object, steps: Array }}
+ */
+export function leftFactor(grammar) {
+    const result = cloneGrammar(grammar);
+    const steps = [];
+
+    let changed = true;
+    while (changed) {
+        changed = false;
+        for (const nt of [...result.nonTerminals]) {
+            while (leftFactorOnce(result, nt, steps)) changed = true;
+        }
+    }
+
+    return { grammar: result, steps };
+}
+
+/**
+ * Removes left recursion and then left-factors, returning the
+ * rewritten grammar and every rewrite step in order.
+ *
+ * @param {Object} grammar - Not modified
+ * @returns {{ grammar: Object, steps: Array }}
+ */
+export function transformGrammar(grammar) {
+    const recursionFree = eliminateLeftRecursion(grammar);
+    const factored = leftFactor(recursionFree.grammar);
+    return {
+        grammar: factored.grammar,
+        steps: [...recursionFree.steps, ...factored.steps],
+    };
+}
@@ -0,0 +1,594 @@
+/**
+ * ============================================================
+ * LEXER GENERATOR
+ * ============================================================
+ *
+ * Builds a scanner from an ordered list of token rules, each a
+ * name and a regular expression, in three classic steps:
+ *
+ *   1. Thompson's construction — every rule's regex becomes an
+ *      NFA fragment; a new start state has an ε-move to each
+ *   2. Subset construction — every DFA state is the ε-closure
+ *      of a set of NFA states
+ *   3. Minimisation — Moore's partition refinement merges states
+ *      that accept the same token name and agree on every move
+ *
+ * Scanning follows the longest match (maximal munch) rule; when
+ * two rules match the same longest lexeme, the earlier rule wins.
+ *
+ * Supported regex syntax:
+ *   literal characters, '.', escapes (\d \w \s \n \t \r \\ \. …)
+ *   character classes [a-z_] and negated classes [^*]
+ *   grouping ( ), alternation |, repetition * + ?
+ *
+ * Characters are UTF-16 code units. Transitions are labelled with
+ * symbol classes: the disjoint code unit ranges that every range in
+ * the rules can be cut into, so the DFA needs one column per class
+ * rather than one per character.
+ *
+ * The minimised DFA has the shape:
+ *   { start: 0,
+ *     states: [{ id, accepts: string|null, transitions: [{ to, ranges }] }],
+ *     stats: { nfaStates, dfaStates, minimizedStates } }
+ * ranges are [lo, hi] code unit pairs, inclusive.
+ * ============================================================
+ */
+
+const MAX_CODE_UNIT = 0xffff;
+
+const ESCAPE_CLASSES = {
+    d: [[48, 57]],
+    w: [[48, 57], [65, 90], [95, 95], [97, 122]],
+    // The same characters as JavaScript's \s: ASCII and Unicode
+    // spaces, line and paragraph separators and the BOM
+    s: [
+        [9, 13], [32, 32], [0xa0, 0xa0], [0x1680, 0x1680], [0x2000, 0x200a],
+        [0x2028, 0x2029], [0x202f, 0x202f], [0x205f, 0x205f], [0x3000, 0x3000], [0xfeff, 0xfeff],
+    ],
+};
+
+const ESCAPE_CHARACTERS = { n: '\n', t: '\t', r: '\r', f: '\f', v: '\v' };
+
+/**
+ * Custom error class for invalid token rules, includes position info.
+ */
+class RegexError extends Error {
+    constructor(message, pos) {
+        super(message);
+        this.name = 'RegexError';
+        this.pos = pos;
+    }
+}
+
+// ─────────────────────────────────────────────────────
+//  Regex parsing
+// ─────────────────────────────────────────────────────
+
+/**
+ * Sorts and merges overlapping or adjacent ranges.
+ */
+function normalizeRanges(ranges) {
+    const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+    const merged = [];
+    for (const [lo, hi] of sorted) {
+        const last = merged[merged.length - 1];
+        if (last && lo <= last[1] + 1) last[1] = Math.max(last[1], hi);
+        else merged.push([lo, hi]);
+    }
+    return merged;
+}
+
+/**
+ * Every code unit not in the given ranges.
+ */
+function complementRanges(ranges) {
+    const result = [];
+    let next = 0;
+    for (const [lo, hi] of normalizeRanges(ranges)) {
+        if (lo > next) result.push([next, lo - 1]);
+        next = hi + 1;
+    }
+    if (next <= MAX_CODE_UNIT) result.push([next, MAX_CODE_UNIT]);
+    return result;
+}
+
+function charRange(char) {
+    const code = char.charCodeAt(0);
+    return [[code, code]];
+}
+
+/**
+ * Parses a regex into a tree of
+ *   { type: 'set', ranges } | { type: 'empty' }
+ *   { type: 'concat' | 'alt', parts } | { type: 'star' | 'plus' | 'optional', body }
+ *
+ * alt    → concat ('|' concat)*
+ * concat → repeat*
+ * repeat → atom ('*' | '+' | '?')*
+ * atom   → '(' alt ')' | '[' class ']' | '.' | '\' escape | char
+ */
+function parseRegex(source) {
+    let pos = 0;
+
+    const fail = (message, at = pos) => {
+        throw new RegexError(`${message} at character ${at + 1} of /${source}/`, at);
+    };
+
+    // Reads one character of a class or atom, resolving escapes to ranges
+    const readEscape = () => {
+        const char = source[pos + 1];
+        if (char === undefined) fail('Dangling \\');
+        pos += 2;
+        if (ESCAPE_CLASSES[char]) return ESCAPE_CLASSES[char];
+        return charRange(ESCAPE_CHARACTERS[char] ?? char);
+    };
+
+    const parseClass = () => {
+        const open = pos;
+        pos++; // '['
+        const negated = source[pos] === '^';
+        if (negated) pos++;
+
+        const ranges = [];
+        while (source[pos] !== ']') {
+            if (pos >= source.length) fail("Unclosed '['", open);
+
+            const from = source[pos] === '\\' ? readEscape() : charRange(source[pos++]);
+            // a-z: a range between two single characters
+            if (source[pos] === '-' && source[pos + 1] !== ']' && from.length === 1 && from[0][0] === from[0][1]) {
+                pos++;
+                const to = source[pos] === '\\' ? readEscape() : charRange(source[pos++]);
+                if (to[0][0] < from[0][0]) fail('Range out of order', pos - 1);
+                ranges.push([from[0][0], to[0][0]]);
+            } else {
+                ranges.push(...from);
+            }
+        }
+        pos++; // ']'
+
+        if (ranges.length === 0) fail('Empty character class', open);
+        return { type: 'set', ranges: negated ? complementRanges(ranges) : normalizeRanges(ranges) };
+    };
+
+    const parseAtom = () => {
+        const char = source[pos];
+        if (char === '(') {
+            const open = pos;
+            pos++;
+            const inner = parseAlt();
+            if (source[pos] !== ')') fail("Unclosed '('", open);
+            pos++;
+            return inner;
+        }
+        if (char === '[') return parseClass();
+        if (char === '.') {
+            pos++;
+            return { type: 'set', ranges: complementRanges(charRange('\n')) };
+        }
+        if (char === '\\') return { type: 'set', ranges: normalizeRanges(readEscape()) };
+        if ('*+?'.includes(char)) fail(`Nothing to repeat before '${char}'`);
+        if (char === ')') fail("Unmatched ')'");
+        pos++;
+        return { type: 'set', ranges: charRange(char) };
+    };
+
+    const parseRepeat = () => {
+        let node = parseAtom();
+        const quantifiers = { '*': 'star', '+': 'plus', '?': 'optional' };
+        while (quantifiers[source[pos]]) {
+            node = { type: quantifiers[source[pos]], body: node };
+            pos++;
+        }
+        return node;
+    };
+
+    const parseConcat = () => {
+        const parts = [];
+        while (pos < source.length && source[pos] !== '|' && source[pos] !== ')') {
+            parts.push(parseRepeat());
+        }
+        if (parts.length === 0) return { type: 'empty' };
+        return parts.length === 1 ? parts[0] : { type: 'concat', parts };
+    };
+
+    function parseAlt() {
+        const parts = [parseConcat()];
+        while (source[pos] === '|') {
+            pos++;
+            parts.push(parseConcat());
+        }
+        return parts.length === 1 ? parts[0] : { type: 'alt', parts };
+    }
+
+    const tree = parseAlt();
+    if (pos < source.length) fail("Unmatched ')'");
+    return tree;
+}
+
+// ─────────────────────────────────────────────────────
+//  Thompson's construction
+// ─────────────────────────────────────────────────────
+
+/**
+ * NFA states are { moves: [{ ranges, to }], epsilon: [to], accepts: number|null },
+ * accepts being the index of the rule the state accepts.
+ */
+function createNFA() {
+    const states = [];
+    const addState = () => {
+        states.push({ moves: [], epsilon: [], accepts: null });
+        return states.length - 1;
+    };
+    return { states, addState };
+}
+
+/**
+ * Builds the fragment { start, end } for a regex tree; end has no moves yet.
+ */
+function buildFragment(node, nfa) {
+    const { states, addState } = nfa;
+    const start = addState();
+    let end;
+
+    switch (node.type) {
+        case 'empty':
+            end = addState();
+            states[start].epsilon.push(end);
+            break;
+
+        case 'set':
+            end = addState();
+            states[start].moves.push({ ranges: node.ranges, to: end });
+            break;
+
+        case 'concat': {
+            let current = start;
+            for (const part of node.parts) {
+                const fragment = buildFragment(part, nfa);
+                states[current].epsilon.push(fragment.start);
+                current = fragment.end;
+            }
+            end = current;
+            break;
+        }
+
+        case 'alt':
+            end = addState();
+            for (const part of node.parts) {
+                const fragment = buildFragment(part, nfa);
+                states[start].epsilon.push(fragment.start);
+                states[fragment.end].epsilon.push(end);
+            }
+            break;
+
+        case 'star':
+        case 'plus':
+        case 'optional': {
+            end = addState();
+            const body = buildFragment(node.body, nfa);
+            states[start].epsilon.push(body.start);
+            if (node.type !== 'plus') states[start].epsilon.push(end);
+            states[body.end].epsilon.push(end);
+            if (node.type !== 'optional') states[body.end].epsilon.push(body.start);
+            break;
+        }
+
+        default:
+            throw new Error(`Unknown regex node type: ${node.type}`);
+    }
+
+    return { start, end };
+}
+
+// ─────────────────────────────────────────────────────
+//  Symbol classes
+// ─────────────────────────────────────────────────────
+
+/**
+ * Cuts the code unit range into the intervals between every range
+ * boundary used by the NFA. Returns the sorted interval starts;
+ * interval i spans starts[i] … starts[i + 1] - 1.
+ */
+function symbolClassStarts(nfaStates) {
+    const boundaries = new Set([0]);
+    for (const state of nfaStates) {
+        for (const { ranges } of state.moves) {
+            for (const [lo, hi] of ranges) {
+                boundaries.add(lo);
+                if (hi < MAX_CODE_UNIT) boundaries.add(hi + 1);
+            }
+        }
+    }
+    return [...boundaries].sort((a, b) => a - b);
+}
+
+/**
+ * Index of the symbol class containing a code unit (binary search).
+ */
+function classOf(code, starts) {
+    let low = 0;
+    let high = starts.length - 1;
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (starts[mid] <= code) low = mid;
+        else high = mid - 1;
+    }
+    return low;
+}
+
+/**
+ * The symbol classes a set of ranges covers.
+ */
+function classesOf(ranges, starts) {
+    const classes = [];
+    for (const [lo, hi] of ranges) {
+        for (let c = classOf(lo, starts); c < starts.length && starts[c] <= hi; c++) {
+            classes.push(c);
+        }
+    }
+    return classes;
+}
+
+/**
+ * The code unit ranges a set of symbol classes covers, merged.
+ */
+function rangesOf(classes, starts) {
+    return normalizeRanges(classes.map((c) => [
+        starts[c],
+        c + 1 < starts.length ? starts[c + 1] - 1 : MAX_CODE_UNIT,
+    ]));
+}
+
+// ─────────────────────────────────────────────────────
+//  Subset construction
+// ─────────────────────────────────────────────────────
+
+function epsilonClosure(stateIds, nfaStates) {
+    const closure = new Set(stateIds);
+    const pending = [...stateIds];
+    while (pending.length > 0) {
+        for (const next of nfaStates[pending.pop()].epsilon) {
+            if (!closure.has(next)) {
+                closure.add(next);
+                pending.push(next);
+            }
+        }
+    }
+    return [...closure].sort((a, b) => a - b);
+}
+
+/**
+ * Builds the DFA as { accepts: [ruleIndex|null], next: [Map<class, state>] }.
+ * A DFA state accepts the earliest rule among its NFA states.
+ */
+function subsetConstruction(nfaStart, nfaStates, classCount, starts) {
+    // Symbol classes each NFA state moves on, computed once
+    const movesByClass = nfaStates.map((state) => state.moves.map(({ ranges, to }) => ({
+        classes: new Set(classesOf(ranges, starts)),
+        to,
+    })));
+
+    const accepts = [];
+    const next = [];
+    const index = new Map();
+    const sets = [];
+
+    const addState = (set) => {
+        const key = set.join(',');
+        if (index.has(key)) return index.get(key);
+        const id = sets.length;
+        index.set(key, id);
+        sets.push(set);
+        const rules = set.map((s) => nfaStates[s].accepts).filter((rule) => rule !== null);
+        accepts.push(rules.length > 0 ? Math.min(...rules) : null);
+        next.push(new Map());
+        return id;
+    };
+
+    addState(epsilonClosure([nfaStart], nfaStates));
+    for (let id = 0; id < sets.length; id++) {
+        for (let c = 0; c < classCount; c++) {
+            const targets = [];
+            for (const s of sets[id]) {
+                for (const move of movesByClass[s]) {
+                    if (move.classes.has(c)) targets.push(move.to);
+                }
+            }
+            if (targets.length > 0) next[id].set(c, addState(epsilonClosure(targets, nfaStates)));
+        }
+    }
+
+    return { accepts, next };
+}
+
+// ─────────────────────────────────────────────────────
+//  Minimisation
+// ─────────────────────────────────────────────────────
+
+/**
+ * Moore's algorithm: start from blocks of states accepting the same
+ * token name (or nothing), then split blocks whose states move to
+ * different blocks on some class, until no block splits.
+ * Missing moves go to an implicit dead state, block -1.
+ *
+ * @returns {number[]} The block of every DFA state
+ */
+function minimize(dfa, names, classCount) {
+    const initial = new Map();
+    let block = dfa.accepts.map((rule) => {
+        const key = rule === null ? '' : names[rule];
+        if (!initial.has(key)) initial.set(key, initial.size);
+        return initial.get(key);
+    });
+    let blockCount = initial.size;
+
+    for (;;) {
+        const signatures = new Map();
+        const refined = dfa.next.map((moves, state) => {
+            const targets = [];
+            for (let c = 0; c < classCount; c++) {
+                targets.push(moves.has(c) ? block[moves.get(c)] : -1);
+            }
+            const signature = `${block[state]}|${targets.join(',')}`;
+            if (!signatures.has(signature)) signatures.set(signature, signatures.size);
+            return signatures.get(signature);
+        });
+        if (signatures.size === blockCount) return block;
+        block = refined;
+        blockCount = signatures.size;
+    }
+}
+
+// ─────────────────────────────────────────────────────
+//  Public API
+// ─────────────────────────────────────────────────────
+
+/**
+ * Generates a scanner from ordered token rules.
+ *
+ * @param {Array<{ name: string, pattern: string }>} rules - Earlier rules win ties
+ * @returns {{ dfa: Object, match: Function, trace: Function }}
+ *          dfa:   The minimised DFA (see the header for its shape)
+ *          match: (input, pos) → { rule, length } for the longest
+ *                 lexeme at pos, or null when none matches
+ *          trace: (text) → the DFA states visited reading text from
+ *                 the start state, stopping early on a missing move
+ * @throws {RegexError} For an invalid pattern
+ */
+export function buildLexer(rules) {
+    // 1. One NFA with an ε-move from its start to each rule's fragment
+    const nfa = createNFA();
+    const nfaStart = nfa.addState();
+    rules.forEach((rule, ruleIndex) => {
+        let tree;
+        try {
+            tree = parseRegex(rule.pattern);
+        } catch (err) {
+            if (err instanceof RegexError) err.message = `Token rule ${rule.name}: ${err.message}`;
+            throw err;
+        }
+        const fragment = buildFragment(tree, nfa);
+        nfa.states[nfaStart].epsilon.push(fragment.start);
+        nfa.states[fragment.end].accepts = ruleIndex;
+    });
+
+    // 2. Subset construction over the symbol classes
+    const starts = symbolClassStarts(nfa.states);
+    const classCount = starts.length;
+    const dfa = subsetConstruction(nfaStart, nfa.states, classCount, starts);
+
+    // 3. Merge equivalent states, numbering blocks breadth-first from the start
+    const names = rules.map((rule) => rule.name);
+    const block = minimize(dfa, names, classCount);
+    const representative = [];
+    block.forEach((b, state) => {
+        if (representative[b] === undefined) representative[b] = state;
+    });
+
+    const number = new Map([[block[0], 0]]);
+    const order = [block[0]];
+    for (let i = 0; i < order.length; i++) {
+        const moves = dfa.next[representative[order[i]]];
+        for (const target of [...moves.keys()].sort((a, b) => a - b).map((c) => block[moves.get(c)])) {
+            if (!number.has(target)) {
+                number.set(target, order.length);
+                order.push(target);
+            }
+        }
+    }
+
+    // Transition table by minimised state and symbol class
+    const table = order.map((b) => {
+        const row = new Array(classCount).fill(-1);
+        for (const [c, target] of dfa.next[representative[b]]) row[c] = number.get(block[target]);
+        return row;
+    });
+    const acceptRule = order.map((b) => dfa.accepts[representative[b]]);
+
+    const states = order.map((b, id) => {
+        // Group the classes leading to each target state
+        const classesByTarget = new Map();
+        table[id].forEach((to, c) => {
+            if (to === -1) return;
+            if (!classesByTarget.has(to)) classesByTarget.set(to, []);
+            classesByTarget.get(to).push(c);
+        });
+        return {
+            id,
+            accepts: acceptRule[id] === null ? null : names[acceptRule[id]],
+            transitions: [...classesByTarget].map(([to, classes]) => ({ to, ranges: rangesOf(classes, starts) })),
+        };
+    });
+
+    const step = (state, char) => table[state][classOf(char.charCodeAt(0), starts)];
+
+    // Only the last accepting state is remembered; trace() gives the path
+    const match = (input, pos) => {
+        let state = 0;
+        let accepted = -1;
+        let length = 0;
+        for (let i = pos; i < input.length; i++) {
+            state = step(state, input[i]);
+            if (state === -1) break;
+            if (acceptRule[state] !== null) {
+                accepted = acceptRule[state];
+                length = i - pos + 1;
+            }
+        }
+        return accepted === -1 ? null : { rule: rules[accepted], length };
+    };
+
+    const trace = (text) => {
+        const visited = [0];
+        for (let i = 0; i < text.length; i++) {
+            const state = step(visited[visited.length - 1], text[i]);
+            if (state === -1) break;
+            visited.push(state);
+        }
+        return visited;
+    };
+
+    return {
+        dfa: {
+            start: 0,
+            states,
+            stats: {
+                nfaStates: nfa.states.length,
+                dfaStates: dfa.accepts.length,
+                minimizedStates: states.length,
+            },
+        },
+        match,
+        trace,
+    };
+}
+
+/**
+ * Describes a set of code unit ranges for a transition label,
+ * e.g. "0-9 a-f", or "not * /" when the set covers most characters.
+ *
+ * @param {Array<[number, number]>} ranges
+ * @returns {string}
+ */
+export function describeRanges(ranges) {
+    const show = (code) => {
+        const char = String.fromCharCode(code);
+        const names = { '\n': '\\n', '\t': '\\t', '\r': '\\r', '\f': '\\f', '\v': '\\v', ' ': '␣' };
+        return names[char] ?? char;
+    };
+    // Two neighbouring characters read better listed than as a range
+    const list = (rs) => rs
+        .map(([lo, hi]) => {
+            if (lo === hi) return show(lo);
+            if (hi === lo + 1) return `${show(lo)} ${show(hi)}`;
+            return `${show(lo)}-${show(hi)}`;
+        })
+        .join(' ');
+
+    const size = ranges.reduce((total, [lo, hi]) => total + hi - lo + 1, 0);
+    if (size > MAX_CODE_UNIT / 2) {
+        const missing = complementRanges(ranges);
+        return missing.length === 0 ? 'any' : `not ${list(missing)}`;
+    }
+    return list(ranges);
+}
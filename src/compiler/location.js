@@ -0,0 +1,93 @@
+/**
+ * ============================================================
+ * SOURCE LOCATIONS
+ * ============================================================
+ *
+ * Tokens, tree nodes and errors keep the character offset they
+ * start at (pos / start) for highlighting, plus a 1-based line
+ * and column for messages, since programs can span many lines:
+ *
+ *   Syntax Error at line 3, column 5: Expected ')', but found ';'
+ *
+ *     3 | y = (x + 1;
+ *       |         ^
+ * ============================================================
+ */
+
+/**
+ * Returns the offset at which every line of the source starts.
+ */
+function lineStarts(source) {
+    const starts = [0];
+    for (let i = 0; i < source.length; i++) {
+        if (source[i] === '\n') starts.push(i + 1);
+    }
+    return starts;
+}
+
+// ─────────────────────────────────────────────────────
+//  Public API
+// ─────────────────────────────────────────────────────
+
+/**
+ * Builds a function that maps offsets in `source` to line and
+ * column, for callers that locate many offsets (the tokenizer).
+ *
+ * @param {string} source
+ * @returns {(offset: number) => { line: number, column: number }}
+ */
+export function createLocator(source) {
+    const starts = lineStarts(source);
+
+    return (offset) => {
+        // Binary search for the last line starting at or before offset
+        let low = 0;
+        let high = starts.length - 1;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (starts[mid] <= offset) low = mid;
+            else high = mid - 1;
+        }
+        return { line: low + 1, column: offset - starts[low] + 1 };
+    };
+}
+
+/**
+ * Maps one offset in `source` to its line and column.
+ *
+ * @param {string} source
+ * @param {number} offset
+ * @returns {{ line: number, column: number }}
+ */
+export function locate(source, offset) {
+    return createLocator(source)(offset);
+}
+
+/**
+ * Formats the location of a token, node or error for a message,
+ * e.g. "line 3, column 5".
+ *
+ * @param {{ line: number, column: number }} location
+ * @returns {string}
+ */
+export function formatLocation({ line, column }) {
+    return `line ${line}, column ${column}`;
+}
+
+/**
+ * Extracts the source line containing an offset, with a caret
+ * line underneath pointing at it. Tabs before the caret are kept
+ * so it lines up however tabs are displayed.
+ *
+ * @param {string} source
+ * @param {number} offset
+ * @param {number} [length=1] - Number of characters to underline
+ * @returns {{ line: number, column: number, text: string, caret: string }}
+ */
+export function caretExcerpt(source, offset, length = 1) {
+    const { line, column } = locate(source, offset);
+    const text = source.split('\n')[line - 1] ?? '';
+    const padding = text.slice(0, column - 1).replace(/[^\t]/g, ' ');
+    const width = Math.max(1, Math.min(length, text.length - column + 1));
+    return { line, column, text, caret: `${padding}${'^'.repeat(width)}` };
+}
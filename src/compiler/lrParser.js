@@ -0,0 +1,323 @@
+/**
+ * ============================================================
+ * SLR(1) SHIFT-REDUCE PARSER
+ * ============================================================
+ *
+ * A bottom-up counterpart to the top-down parsers. It works on
+ * the original left-recursive grammar (LR_GRAMMAR in grammar.js)
+ * and builds the tree from the leaves up:
+ *
+ *   1. LR(0) item sets — each state is a set of items A → α • β
+ *      (how much of a production has been seen), built by closure
+ *      and goto from the augmented start item Program' → • Program
+ *   2. SLR action / goto table —
+ *        shift on a when some item has • a
+ *        reduce A → α on every a ∈ FOLLOW(A) when A → α • is in the state
+ *        accept on $ when Program' → Program • is in the state
+ *   3. The driver keeps a stack of states (and the symbols and
+ *      subtrees between them) and repeatedly shifts the lookahead
+ *      or reduces a handle on top of the stack.
+ *
+ * Each trace row has the same shape as the predictive parser's:
+ *   { stackTop: Array<string>, stackDepth: number,
+ *     inputAhead: Array<string>, inputLeft: number, action: string,
+ *     rule: string, token: string, tokenType: string, line: number,
+ *     column: number, depth: number, state: number }
+ * stackTop holds the top TRACE_WINDOW stack entries ("symbol
+ * state") out of stackDepth, and inputAhead the next TRACE_WINDOW
+ * input symbols out of inputLeft, as in predictiveParser.js. rule
+ * is the production reduced ('' for shift/accept/error rows) and
+ * state is the state on top of the stack.
+ * ============================================================
+ */
+
+import { TokenType } from './tokenizer';
+import { checkNesting, DEFAULT_MAX_DEPTH } from './parser';
+import { LR_GRAMMAR, END_MARKER, terminalForToken, describeExpected, productionText, TRACE_WINDOW, upcomingInput } from './grammar';
+import { computeFirstSets, computeFollowSets } from './firstFollow';
+import { formatLocation } from './location';
+
+/**
+ * Custom error class for parse errors, includes position info and,
+ * for a token that does not fit, a description of what would have.
+ */
+class ParseError extends Error {
+    constructor(message, token, expected = null) {
+        super(message);
+        this.name = 'ParseError';
+        this.pos = token.pos;
+        this.line = token.line;
+        this.column = token.column;
+        this.expected = expected;
+    }
+}
+
+/**
+ * Adds the production S' → S, so accepting is a reduction like any other.
+ * Production 0 of the result is the new one.
+ */
+function augment(grammar) {
+    const start = `${grammar.start}'`;
+    return {
+        ...grammar,
+        start,
+        nonTerminals: [start, ...grammar.nonTerminals],
+        productions: [{ lhs: start, rhs: [grammar.start] }, ...grammar.productions],
+    };
+}
+
+function itemKey({ prod, dot }) {
+    return `${prod}.${dot}`;
+}
+
+/**
+ * Closes a set of items: for every item A → α • B β, adds B → • γ
+ * for each production of B.
+ */
+function closure(kernel, grammar) {
+    const items = [...kernel];
+    const seen = new Set(items.map(itemKey));
+
+    for (let i = 0; i < items.length; i++) {
+        const { prod, dot } = items[i];
+        const next = grammar.productions[prod].rhs[dot];
+        if (!grammar.nonTerminals.includes(next)) continue;
+
+        grammar.productions.forEach((candidate, index) => {
+            if (candidate.lhs !== next) return;
+            const item = { prod: index, dot: 0 };
+            if (seen.has(itemKey(item))) return;
+            seen.add(itemKey(item));
+            items.push(item);
+        });
+    }
+
+    return items;
+}
+
+// ─────────────────────────────────────────────────────
+//  Public API
+// ─────────────────────────────────────────────────────
+
+/**
+ * Builds the canonical collection of LR(0) item sets.
+ *
+ * @param {Object} grammar
+ * @returns {{ states: Array<{ items: Array<{ prod: number, dot: number }>, transitions: Object<string, number> }>,
+ *             grammar: Object }}
+ *          grammar is the augmented grammar the item indices refer to
+ */
+export function buildLR0Automaton(grammar) {
+    const augmented = augment(grammar);
+    const symbols = [...augmented.nonTerminals, ...augmented.terminals];
+
+    const states = [{ items: closure([{ prod: 0, dot: 0 }], augmented), transitions: {} }];
+    const stateKeys = [states[0].items.map(itemKey).sort().join(' ')];
+
+    for (let i = 0; i < states.length; i++) {
+        for (const symbol of symbols) {
+            const kernel = states[i].items
+                .filter(({ prod, dot }) => augmented.productions[prod].rhs[dot] === symbol)
+                .map(({ prod, dot }) => ({ prod, dot: dot + 1 }));
+            if (kernel.length === 0) continue;
+
+            const items = closure(kernel, augmented);
+            const key = items.map(itemKey).sort().join(' ');
+            let target = stateKeys.indexOf(key);
+            if (target === -1) {
+                target = states.length;
+                states.push({ items, transitions: {} });
+                stateKeys.push(key);
+            }
+            states[i].transitions[symbol] = target;
+        }
+    }
+
+    return { states, grammar: augmented };
+}
+
+/**
+ * Builds the SLR(1) action and goto tables for a grammar.
+ *
+ * @param {Object} grammar
+ * @returns {{ action: Array<Object>, goto: Array<Object>, conflicts: Array,
+ *             states: Array, grammar: Object }}
+ *          action[s][a]: { type: 'shift', state } | { type: 'reduce', prod } | { type: 'accept' }
+ *          goto[s][A]:   the state entered after reducing to A
+ *          conflicts:    { state, terminal, actions: [existing, rejected] }
+ *          prod indices refer to the augmented grammar returned alongside
+ */
+export function buildSLRTable(grammar) {
+    const { states, grammar: augmented } = buildLR0Automaton(grammar);
+    const follow = computeFollowSets(augmented, computeFirstSets(augmented));
+
+    const action = states.map(() => ({}));
+    const gotoTable = states.map(() => ({}));
+    const conflicts = [];
+
+    const setAction = (state, terminal, entry) => {
+        const existing = action[state][terminal];
+        if (existing && describeAction(existing, augmented) !== describeAction(entry, augmented)) {
+            conflicts.push({ state, terminal, actions: [existing, entry] });
+            return; // Keep the first entry — shifts are added first, so shift wins
+        }
+        action[state][terminal] = entry;
+    };
+
+    states.forEach(({ items, transitions }, state) => {
+        for (const [symbol, target] of Object.entries(transitions)) {
+            if (augmented.nonTerminals.includes(symbol)) {
+                gotoTable[state][symbol] = target;
+            } else {
+                setAction(state, symbol, { type: 'shift', state: target });
+            }
+        }
+
+        for (const { prod, dot } of items) {
+            const { lhs, rhs } = augmented.productions[prod];
+            if (dot < rhs.length) continue;
+
+            if (prod === 0) {
+                setAction(state, END_MARKER, { type: 'accept' });
+                continue;
+            }
+            for (const terminal of follow[lhs]) {
+                setAction(state, terminal, { type: 'reduce', prod });
+            }
+        }
+    });
+
+    return { action, goto: gotoTable, conflicts, states, grammar: augmented };
+}
+
+/**
+ * Formats a table entry, e.g. "s5", "r E → E + T" or "acc".
+ *
+ * @param {Object} entry   - An action table entry
+ * @param {Object} grammar - The augmented grammar
+ * @returns {string}
+ */
+export function describeAction(entry, grammar) {
+    if (entry.type === 'shift') return `s${entry.state}`;
+    if (entry.type === 'reduce') return `r ${productionText(grammar.productions[entry.prod])}`;
+    return 'acc';
+}
+
+/**
+ * Formats an LR(0) item with a dot, e.g. "E → E • + T".
+ *
+ * @param {{ prod: number, dot: number }} item
+ * @param {Object} grammar - The augmented grammar
+ * @returns {string}
+ */
+export function itemText({ prod, dot }, grammar) {
+    const { lhs, rhs } = grammar.productions[prod];
+    return `${lhs} → ${[...rhs.slice(0, dot), '•', ...rhs.slice(dot)].join(' ')}`;
+}
+
+export const SLR_TABLE = buildSLRTable(LR_GRAMMAR);
+
+/**
+ * Parses a token array with the SLR(1) shift-reduce algorithm.
+ *
+ * @param {Array} tokens - Tokens from the tokenizer (ending in EOF)
+ * @param {Object} [options]
+ * @param {number} [options.maxDepth=DEFAULT_MAX_DEPTH] - Most levels of
+ *        grammar rules, as counted for parse() (see checkNesting)
+ * @returns {{ tree: Object|null, steps: Array, error: string|null, errorPos: number|null, errors: Array }}
+ *          steps: The Stack / Input / Action trace rows; each row keeps the
+ *                 top of the stack and the next input symbols (see
+ *                 formatTraceColumns in grammar.js)
+ */
+export function lrParse(tokens, { maxDepth = DEFAULT_MAX_DEPTH } = {}) {
+    const { action, goto: gotoTable, grammar } = SLR_TABLE;
+
+    let nodeId = 0;
+    // Stack entries: { state, symbol, node } — the bottom entry has no symbol
+    const stack = [{ state: 0, symbol: null, node: null }];
+    const trace = [];
+    let index = 0;
+
+    const record = (actionText, rule = '') => {
+        const token = tokens[index];
+        trace.push({
+            stackTop: stack
+                .slice(-TRACE_WINDOW)
+                .map((entry) => (entry.symbol ? `${entry.symbol} ${entry.state}` : `${entry.state}`)),
+            stackDepth: stack.length,
+            ...upcomingInput(tokens, index),
+            action: actionText,
+            rule,
+            token: token.value,
+            tokenType: token.type,
+            line: token.line,
+            column: token.column,
+            depth: 0,
+            state: stack[stack.length - 1].state,
+        });
+    };
+
+    try {
+        const tooDeep = checkNesting(tokens, maxDepth);
+        if (tooDeep) throw new ParseError(tooDeep.message, tooDeep.token);
+
+        for (;;) {
+            const { state } = stack[stack.length - 1];
+            const token = tokens[index];
+            const lookahead = terminalForToken(token.type, token.value);
+            const entry = action[state][lookahead];
+
+            if (!entry) {
+                const expected = describeExpected(Object.keys(action[state]), LR_GRAMMAR);
+                const got = token.type === TokenType.EOF ? 'end of input' : `'${token.value}'`;
+                throw new ParseError(
+                    `Syntax Error at ${formatLocation(token)}: Expected ${expected}, but found ${got}`,
+                    token,
+                    expected
+                );
+            }
+
+            if (entry.type === 'accept') {
+                record('Accept');
+                return { tree: stack[1].node, steps: trace, error: null, errorPos: null, errors: [] };
+            }
+
+            if (entry.type === 'shift') {
+                record(`Shift ${entry.state}`);
+                stack.push({
+                    state: entry.state,
+                    symbol: lookahead,
+                    node: { label: token.value, children: [], id: nodeId++, token },
+                });
+                index++;
+                continue;
+            }
+
+            // Reduce: pop the handle, then goto on the left-hand side
+            const prod = grammar.productions[entry.prod];
+            const below = stack[stack.length - 1 - prod.rhs.length];
+            const target = gotoTable[below.state][prod.lhs];
+            record(`Reduce ${productionText(prod)}, goto ${target}`, productionText(prod));
+
+            const handle = stack.splice(stack.length - prod.rhs.length);
+
+            stack.push({
+                state: target,
+                symbol: prod.lhs,
+                node: { label: prod.lhs, children: handle.map((e) => e.node), id: nodeId++ },
+            });
+        }
+    } catch (err) {
+        if (err instanceof ParseError) {
+            record(`Error: ${err.message}`);
+            return {
+                tree: null,
+                steps: trace,
+                error: err.message,
+                errorPos: err.pos,
+                errors: [{ message: err.message, pos: err.pos, line: err.line, column: err.column, expected: err.expected }],
+            };
+        }
+        throw err; // Re-throw unexpected errors
+    }
+}
@@ -0,0 +1,278 @@
+/**
+ * ============================================================
+ * POSTFIX / PREFIX NOTATION
+ * ============================================================
+ *
+ * Two independent routes to Reverse Polish (postfix) notation:
+ *
+ *   1. From the parse tree — fold it into the AST and print each
+ *      node after (postfix) or before (prefix) its operands.
+ *   2. Dijkstra's shunting-yard algorithm — works directly on the
+ *      token stream with an operator stack and an output queue,
+ *      knowing nothing about the grammar beyond a precedence table.
+ *
+ * Both must agree; a difference points at a precedence or
+ * associativity bug in one of them, e.g. when a new operator is
+ * added to the grammar but not to PRECEDENCE below.
+ *
+ * Notation used in both:
+ *   - unary minus / plus are written 'neg' / 'pos'
+ *   - a call is written name@argc, e.g. max(a, b) → a b max@2
+ *   - statements are separated by ';'
+ *   - type annotations ( x: int ) are left out
+ * ============================================================
+ */
+
+import { TokenType, isNumberType } from './tokenizer';
+import { buildAST } from './ast';
+import { formatLocation } from './location';
+
+/**
+ * Binary operator precedence and associativity for shunting-yard.
+ * Unary signs bind tighter than * / but looser than ^, matching
+ * P → - P | + P | F P' in the grammar, so -2^2 = -(2^2).
+ */
+const PRECEDENCE = {
+    '=': { prec: 1, assoc: 'right' },
+    '+': { prec: 2, assoc: 'left' },
+    '-': { prec: 2, assoc: 'left' },
+    '*': { prec: 3, assoc: 'left' },
+    '/': { prec: 3, assoc: 'left' },
+    neg: { prec: 4, assoc: 'right' },
+    pos: { prec: 4, assoc: 'right' },
+    '^': { prec: 5, assoc: 'right' },
+};
+
+const UNARY_NAMES = { '-': 'neg', '+': 'pos' };
+
+/**
+ * Custom error class for parse errors, includes position info.
+ */
+class ParseError extends Error {
+    constructor(message, token) {
+        super(message);
+        this.name = 'ParseError';
+        this.pos = token.pos;
+        this.line = token.line;
+        this.column = token.column;
+    }
+}
+
+/**
+ * Writes an AST node in postfix (operands first) or prefix
+ * (operator first) order, appending its symbols to `out`.
+ */
+function writeNode(node, order, out) {
+    const place = (operator, operands) => {
+        if (order === 'prefix') out.push(operator);
+        for (const operand of operands) writeNode(operand, order, out);
+        if (order === 'postfix') out.push(operator);
+    };
+
+    switch (node.type) {
+        case 'Program':
+            node.body.forEach((stmt, i) => {
+                if (i > 0) out.push(';');
+                writeNode(stmt, order, out);
+            });
+            return out;
+        case 'Assignment':
+            place('=', [node.target, node.value]);
+            return out;
+        case 'BinaryExpr':
+            place(node.op, [node.left, node.right]);
+            return out;
+        case 'UnaryExpr':
+            place(UNARY_NAMES[node.op], [node.argument]);
+            return out;
+        case 'CallExpr':
+            place(`${node.callee}@${node.arguments.length}`, node.arguments);
+            return out;
+        case 'NumberLiteral':
+            out.push(node.raw);
+            return out;
+        case 'Identifier':
+            out.push(node.name);
+            return out;
+        default:
+            throw new Error(`Unknown AST node type: ${node.type}`);
+    }
+}
+
+/**
+ * Whether a + or - token is a sign rather than a binary operator:
+ * it is when nothing that ends an operand comes right before it.
+ */
+function isUnaryPosition(previous) {
+    if (!previous) return true;
+    return !(isNumberType(previous.type) || [TokenType.ID, TokenType.RPAREN].includes(previous.type));
+}
+
+// ─────────────────────────────────────────────────────
+//  Public API
+// ─────────────────────────────────────────────────────
+
+/**
+ * Writes a parse tree in Reverse Polish (postfix) notation.
+ *
+ * @param {Object} tree - Root Program node returned by parse()
+ * @returns {string} e.g. "a b c * +"
+ */
+export function toPostfix(tree) {
+    return writeNode(buildAST(tree), 'postfix', []).join(' ');
+}
+
+/**
+ * Writes a parse tree in Polish (prefix) notation.
+ *
+ * @param {Object} tree - Root Program node returned by parse()
+ * @returns {string} e.g. "+ a * b c"
+ */
+export function toPrefix(tree) {
+    return writeNode(buildAST(tree), 'prefix', []).join(' ');
+}
+
+/**
+ * Converts a token stream to postfix with the shunting-yard algorithm.
+ *
+ * @param {Array} tokens - Tokens from the tokenizer (ending in EOF)
+ * @returns {{ postfix: string|null, trace: Array, error: string|null, errorPos: number|null }}
+ *          trace: { token, action, stack: Array<string>, output: Array<string> }
+ *                 after each action
+ */
+export function shuntingYard(tokens) {
+    const output = [];
+    // Stack entries: { symbol, token, fn?, argCount? } — '(' entries
+    // opened by a call carry the function name and count its arguments
+    const stack = [];
+    const trace = [];
+
+    const record = (token, action) => {
+        trace.push({
+            token: token.type === TokenType.EOF ? 'end' : token.value,
+            action,
+            stack: stack.map((entry) => entry.symbol),
+            output: [...output],
+        });
+    };
+
+    const top = () => stack[stack.length - 1];
+
+    // Pops operators to the output until a '(' (which stays) or the bottom
+    const popOperators = (token, shouldPop = () => true) => {
+        while (stack.length > 0 && top().symbol !== '(' && shouldPop(top())) {
+            output.push(stack.pop().symbol);
+            record(token, `Pop ${output[output.length - 1]} to output`);
+        }
+    };
+
+    const unclosedParenError = () => {
+        const paren = stack.findLast((entry) => entry.symbol === '(');
+        return new ParseError(`Mismatched parentheses: '(' at ${formatLocation(paren.token)} is never closed`, paren.token);
+    };
+
+    let token = null; // Token being processed, for error rows
+
+    try {
+        tokens.forEach((current, index) => {
+            token = current;
+            const previous = tokens[index - 1];
+
+            switch (token.type) {
+                case TokenType.INT:
+                case TokenType.FLOAT:
+                    output.push(token.value);
+                    record(token, `Output ${token.value}`);
+                    break;
+
+                case TokenType.COLON:
+                    record(token, `Skip type annotation : ${tokens[index + 1].value}`);
+                    break;
+
+                case TokenType.ID:
+                    // The type name of an annotation was skipped with its ':'
+                    if (previous?.type === TokenType.COLON) break;
+                    // An identifier followed by '(' is a function call
+                    if (tokens[index + 1]?.type === TokenType.LPAREN) {
+                        record(token, `Function ${token.value}, wait for its arguments`);
+                        break;
+                    }
+                    output.push(token.value);
+                    record(token, `Output ${token.value}`);
+                    break;
+
+                case TokenType.LPAREN: {
+                    const isCall = previous?.type === TokenType.ID;
+                    stack.push({
+                        symbol: '(',
+                        token,
+                        fn: isCall ? previous.value : null,
+                        argCount: isCall && tokens[index + 1]?.type !== TokenType.RPAREN ? 1 : 0,
+                    });
+                    record(token, isCall ? `Push ( for ${previous.value}` : 'Push (');
+                    break;
+                }
+
+                case TokenType.COMMA:
+                    popOperators(token);
+                    if (stack.length === 0 || !top().fn) {
+                        throw new ParseError(`Unexpected ',' at ${formatLocation(token)} outside a call`, token);
+                    }
+                    top().argCount++;
+                    record(token, `Next argument of ${top().fn}`);
+                    break;
+
+                case TokenType.RPAREN: {
+                    popOperators(token);
+                    if (stack.length === 0) {
+                        throw new ParseError(`Mismatched parentheses: ')' at ${formatLocation(token)} has no matching '('`, token);
+                    }
+                    const paren = stack.pop();
+                    if (paren.fn) {
+                        output.push(`${paren.fn}@${paren.argCount}`);
+                        record(token, `Pop ( and output ${paren.fn}@${paren.argCount}`);
+                    } else {
+                        record(token, 'Discard ( )');
+                    }
+                    break;
+                }
+
+                case TokenType.SEMI:
+                case TokenType.EOF:
+                    popOperators(token);
+                    if (stack.length > 0) throw unclosedParenError();
+                    if (token.type === TokenType.SEMI) {
+                        output.push(';');
+                        record(token, 'End of statement');
+                    }
+                    break;
+
+                default: {
+                    // Operators — a sign is a right-associative prefix operator
+                    const isSign = (token.type === TokenType.PLUS || token.type === TokenType.MINUS)
+                        && isUnaryPosition(previous);
+                    const symbol = isSign ? UNARY_NAMES[token.value] : token.value;
+                    const { prec, assoc } = PRECEDENCE[symbol];
+
+                    // A sign has no left operand whose operators need finishing off
+                    if (!isSign) {
+                        popOperators(token, (entry) => {
+                            const other = PRECEDENCE[entry.symbol];
+                            return other.prec > prec || (other.prec === prec && assoc === 'left');
+                        });
+                    }
+                    stack.push({ symbol, token });
+                    record(token, `Push ${symbol}`);
+                }
+            }
+        });
+
+        return { postfix: output.join(' '), trace, error: null, errorPos: null };
+    } catch (err) {
+        if (err instanceof ParseError) {
+            record(token, `Error: ${err.message}`);
+            return { postfix: null, trace, error: err.message, errorPos: err.pos };
+        }
+        throw err; // Re-throw unexpected errors
+    }
+}
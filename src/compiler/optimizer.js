@@ -0,0 +1,317 @@
+/**
+ * ============================================================
+ * EXPRESSION OPTIMIZER
+ * ============================================================
+ *
+ * Simplifies the AST bottom-up: each node's operands are
+ * simplified first, then rewrite rules are tried on the node
+ * itself until none applies.
+ *
+ *   Constant folding         2 * (3 + 4)     →  14
+ *   Additive identity        x + 0, 0 + x    →  x
+ *   Multiplicative identity  x * 1, x / 1    →  x
+ *   Zero product             x * 0           →  0
+ *   Power identity           x ^ 1 → x,  x ^ 0 → 1
+ *   Sign simplification      --x → x,  +x → x,  0 - x → -x,  -1 * x → -x
+ *   Combine like terms       2*x + 3*x → 5 * x,  x - x → 0
+ *                            (a + 2) + 3  →  a + 5
+ *
+ * Rewrites treat every variable as a finite number, so they do
+ * not always preserve the value. x * 0, x - x and x ^ 0 drop x:
+ * where x is unbound the original program fails, and where x is
+ * bound to an infinite value it gives NaN, but the optimised one
+ * gives 0 (or 1). Apart from that, results only differ by
+ * floating-point rounding.
+ *
+ * Run-time errors are never optimised away. Division by zero and
+ * other non-finite constants are left unfolded so they still fail
+ * at run time, and an operand with a division or a function call
+ * in it is never dropped.
+ *
+ * Every rewrite is logged in the same shape as the parser's
+ * step log, so StepLog can display it:
+ *   { rule: string, action: "before → after", token: null,
+ *     tokenType: null, depth: number, timestamp: number }
+ * ============================================================
+ */
+
+import { formatAST } from './ast';
+import { BUILTIN_FUNCTIONS, checkArity } from './evaluator';
+
+/**
+ * Creates a node spanning the same source as the node it replaces.
+ */
+function createLike(original, type, props) {
+    const { start, line, column, end } = original;
+    return { type, ...props, start, line, column, end };
+}
+
+function number(original, value) {
+    const numberType = Number.isInteger(value) ? 'int' : 'float';
+    return createLike(original, 'NumberLiteral', { value, raw: String(value), numberType });
+}
+
+function isNumber(node, value) {
+    return node.type === 'NumberLiteral' && (value === undefined || node.value === value);
+}
+
+/**
+ * Whether a rule may drop an operand: it has no division or call
+ * that could fail at run time and no infinite number. Variables
+ * count as finite numbers (see above).
+ */
+function canDrop(node) {
+    switch (node.type) {
+        case 'NumberLiteral': return Number.isFinite(node.value);
+        case 'Identifier': return true;
+        case 'UnaryExpr': return canDrop(node.argument);
+        case 'BinaryExpr': return node.op !== '/' && canDrop(node.left) && canDrop(node.right);
+        default: return false;
+    }
+}
+
+/**
+ * Two expressions are alike when they print the same.
+ */
+function sameExpression(a, b) {
+    return formatAST(a) === formatAST(b);
+}
+
+// ─────────────────────────────────────────────────────
+//  Rewrite rules — each returns the rewritten node or null
+// ─────────────────────────────────────────────────────
+
+const BINARY_OPERATIONS = {
+    '+': (a, b) => a + b,
+    '-': (a, b) => a - b,
+    '*': (a, b) => a * b,
+    '/': (a, b) => a / b,
+    '^': (a, b) => a ** b,
+};
+
+function foldConstants(node) {
+    let value = null;
+
+    if (node.type === 'BinaryExpr' && isNumber(node.left) && isNumber(node.right)) {
+        if (node.op === '/' && node.right.value === 0) return null; // Keep the runtime error
+        value = BINARY_OPERATIONS[node.op](node.left.value, node.right.value);
+    }
+    if (node.type === 'UnaryExpr' && isNumber(node.argument)) {
+        value = node.op === '-' ? -node.argument.value : node.argument.value;
+    }
+    if (node.type === 'CallExpr'
+        && Object.hasOwn(BUILTIN_FUNCTIONS, node.callee)
+        && !checkArity(node.callee, node.arguments.length)
+        && node.arguments.every((arg) => isNumber(arg))) {
+        value = BUILTIN_FUNCTIONS[node.callee].fn(...node.arguments.map((arg) => arg.value));
+    }
+
+    return value !== null && Number.isFinite(value) ? number(node, value) : null;
+}
+
+function additiveIdentity(node) {
+    if (node.type !== 'BinaryExpr') return null;
+    if ((node.op === '+' || node.op === '-') && isNumber(node.right, 0)) return node.left;
+    if (node.op === '+' && isNumber(node.left, 0)) return node.right;
+    return null;
+}
+
+function multiplicativeIdentity(node) {
+    if (node.type !== 'BinaryExpr') return null;
+    if ((node.op === '*' || node.op === '/') && isNumber(node.right, 1)) return node.left;
+    if (node.op === '*' && isNumber(node.left, 1)) return node.right;
+    return null;
+}
+
+function zeroProduct(node) {
+    if (node.type !== 'BinaryExpr' || node.op !== '*') return null;
+    if (isNumber(node.left, 0) && canDrop(node.right)) return number(node, 0);
+    if (isNumber(node.right, 0) && canDrop(node.left)) return number(node, 0);
+    return null;
+}
+
+function powerIdentity(node) {
+    if (node.type !== 'BinaryExpr' || node.op !== '^') return null;
+    if (isNumber(node.right, 1)) return node.left;
+    if (isNumber(node.right, 0) && canDrop(node.left)) return number(node, 1);
+    return null;
+}
+
+function simplifySigns(node) {
+    if (node.type === 'UnaryExpr' && node.op === '+') return node.argument;
+    if (node.type === 'UnaryExpr' && node.argument.type === 'UnaryExpr' && node.argument.op === '-') {
+        return node.argument.argument;
+    }
+    if (node.type === 'BinaryExpr' && node.op === '-' && isNumber(node.left, 0)) {
+        return createLike(node, 'UnaryExpr', { op: '-', argument: node.right });
+    }
+    if (node.type === 'BinaryExpr' && node.op === '*' && (isNumber(node.left, -1) || isNumber(node.right, -1))) {
+        const argument = isNumber(node.left, -1) ? node.right : node.left;
+        return createLike(node, 'UnaryExpr', { op: '-', argument });
+    }
+    return null;
+}
+
+/**
+ * Splits a term into coefficient × base: 3 * x → (3, x),
+ * -x → (-1, x), x → (1, x), 5 → (5, null).
+ */
+function splitTerm(node) {
+    if (isNumber(node)) return { coefficient: node.value, base: null };
+    if (node.type === 'BinaryExpr' && node.op === '*') {
+        if (isNumber(node.left)) return { coefficient: node.left.value, base: node.right };
+        if (isNumber(node.right)) return { coefficient: node.right.value, base: node.left };
+    }
+    if (node.type === 'UnaryExpr' && node.op === '-') return { coefficient: -1, base: node.argument };
+    return { coefficient: 1, base: node };
+}
+
+/**
+ * Builds c × base back from a coefficient and a base.
+ */
+function joinTerm(original, coefficient, base) {
+    if (base === null || coefficient === 0) return number(original, coefficient);
+    if (coefficient === 1) return base;
+    if (coefficient === -1) return createLike(original, 'UnaryExpr', { op: '-', argument: base });
+    return createLike(original, 'BinaryExpr', { op: '*', left: number(original, coefficient), right: base });
+}
+
+/**
+ * Adds two signed terms when they share a base (or are both
+ * constants). Returns the combined coefficient and base, or null.
+ */
+function addTerms(sign1, term1, sign2, term2) {
+    const a = splitTerm(term1);
+    const b = splitTerm(term2);
+
+    const bothConstant = a.base === null && b.base === null;
+    const sameBase = a.base !== null && b.base !== null && sameExpression(a.base, b.base);
+    if (!bothConstant && !sameBase) return null;
+
+    // Terms that cancel out drop their base
+    const coefficient = sign1 * a.coefficient + sign2 * b.coefficient;
+    if (coefficient === 0 && sameBase && !canDrop(a.base)) return null;
+    return { coefficient, base: a.base };
+}
+
+function combineLikeTerms(node) {
+    const isSum = (n) => n.type === 'BinaryExpr' && (n.op === '+' || n.op === '-');
+    if (!isSum(node)) return null;
+    const sign = node.op === '+' ? 1 : -1;
+
+    // 2*x + 3*x → 5 * x — plain constants are left to folding
+    if (!(isNumber(node.left) && isNumber(node.right))) {
+        const sum = addTerms(1, node.left, sign, node.right);
+        if (sum) return joinTerm(node, sum.coefficient, sum.base);
+    }
+
+    // (y ± 2*x) ± 3*x → y ± 5*x, and (a + 2) + 3 → a + 5
+    if (isSum(node.left)) {
+        const innerSign = node.left.op === '+' ? 1 : -1;
+        const sum = addTerms(innerSign, node.left.right, sign, node.right);
+        if (!sum) return null;
+        if (sum.coefficient === 0) return node.left.left;
+        return createLike(node, 'BinaryExpr', {
+            op: sum.coefficient < 0 ? '-' : '+',
+            left: node.left.left,
+            right: joinTerm(node, Math.abs(sum.coefficient), sum.base),
+        });
+    }
+    return null;
+}
+
+const RULES = [
+    { name: 'Constant folding', apply: foldConstants },
+    { name: 'Additive identity', apply: additiveIdentity },
+    { name: 'Multiplicative identity', apply: multiplicativeIdentity },
+    { name: 'Zero product', apply: zeroProduct },
+    { name: 'Power identity', apply: powerIdentity },
+    { name: 'Sign simplification', apply: simplifySigns },
+    { name: 'Combine like terms', apply: combineLikeTerms },
+];
+
+// ─────────────────────────────────────────────────────
+//  Traversal
+// ─────────────────────────────────────────────────────
+
+/**
+ * Applies rules to a node whose operands are already simplified,
+ * until none applies, logging each rewrite to `steps`.
+ */
+function rewrite(node, depth, steps) {
+    let current = node;
+
+    for (;;) {
+        const rule = RULES.find((r) => r.apply(current) !== null);
+        if (!rule) return current;
+
+        const result = rule.apply(current);
+        steps.push({
+            rule: rule.name,
+            action: `${formatAST(current)} → ${formatAST(result)}`,
+            token: null,
+            tokenType: null,
+            line: current.line,
+            column: current.column,
+            depth,
+            timestamp: steps.length,
+        });
+        // Rebuilt operands (e.g. 5 * x) are already in simplest form,
+        // so only the node itself needs another look
+        current = result;
+    }
+}
+
+/**
+ * Simplifies a node bottom-up.
+ */
+function simplify(node, depth, steps) {
+    switch (node.type) {
+        case 'Program':
+            return { ...node, body: node.body.map((stmt) => simplify(stmt, depth + 1, steps)) };
+        case 'Assignment':
+            return { ...node, value: simplify(node.value, depth + 1, steps) };
+        case 'BinaryExpr':
+            return rewrite({
+                ...node,
+                left: simplify(node.left, depth + 1, steps),
+                right: simplify(node.right, depth + 1, steps),
+            }, depth, steps);
+        case 'UnaryExpr':
+            return rewrite({ ...node, argument: simplify(node.argument, depth + 1, steps) }, depth, steps);
+        case 'CallExpr':
+            return rewrite({ ...node, arguments: node.arguments.map((arg) => simplify(arg, depth + 1, steps)) }, depth, steps);
+        default:
+            return node;
+    }
+}
+
+/**
+ * Gives every node of the optimized tree a fresh, unique id.
+ */
+function renumber(node, counter = { next: 0 }) {
+    const copy = { ...node, id: counter.next++ };
+    for (const key of ['body', 'arguments']) {
+        if (node[key]) copy[key] = node[key].map((child) => renumber(child, counter));
+    }
+    for (const key of ['target', 'value', 'left', 'right', 'argument']) {
+        if (node[key] && typeof node[key] === 'object') copy[key] = renumber(node[key], counter);
+    }
+    return copy;
+}
+
+// ─────────────────────────────────────────────────────
+//  Public API
+// ─────────────────────────────────────────────────────
+
+/**
+ * Simplifies an AST, logging every rewrite.
+ *
+ * @param {Object} ast - AST root from buildAST(); not modified
+ * @returns {{ ast: Object, steps: Array }}
+ */
+export function optimize(ast) {
+    const steps = [];  // Rewrites applied so far
+    const optimized = renumber(simplify(ast, 0, steps));
+    return { ast: optimized, steps };
+}
@@ -3,322 +3,946 @@
  * RECURSIVE DESCENT PARSER
  * ============================================================
  * 
- * Implements a top-down recursive descent parser for arithmetic
- * expressions using the following LL(1) grammar:
+ * Implements a top-down recursive descent parser for programs of
+ * arithmetic expressions and assignments using the following
+ * LL(1) grammar:
  * 
+ *   Program → Stmt Stmts
+ *   Stmts   → ; Stmts' | ε
+ *   Stmts'  → Stmt Stmts | ε
+ *   Stmt    → E Stmt'
+ *   Stmt'   → = E | : id Init | ε
+ *   Init    → = E | ε
  *   E  → T E'
  *   E' → + T E' | - T E' | ε
- *   T  → F T'
- *   T' → * F T' | / F T' | ε
- *   F  → ( E ) | id | number
+ *   T  → P T'
+ *   T' → * P T' | / P T' | ε
+ *   P  → - P | + P | F P'
+ *   P' → ^ P | ε
+ *   F  → ( E ) | id Call | number
+ *   Call  → ( Args ) | ε
+ *   Args  → E Args' | ε
+ *   Args' → , E Args' | ε
+ * 
+ * Stmts' lets the last statement be followed by a ';' as well as
+ * separated from the next one by it ( x = 3; x + 1; ).
+ * E' and T' are left-associative; P' recurses back into P,
+ * which makes exponentiation right-associative (2^3^2 = 2^(3^2)).
+ * F is left-factored on id so one lookahead token decides between
+ * a plain identifier and a function call such as max(a, b).
+ * Stmt is factored the same way: an assignment is parsed as
+ * E = E and the left-hand E is then checked to be a bare
+ * identifier, so  x = 3  needs no second lookahead token. A type
+ * annotation ( x: int  or  x: float = 2.5 ) is checked the same
+ * way; the type name is an ordinary id, validated by the type checker.
  * 
  * The parser produces:
  *   1. A parse tree (nested object structure)
  *   2. A log of parsing steps for educational visualization
  *   3. Error information with position for invalid input
  * 
+ * By default parsing stops at the first syntax error. In recovery
+ * mode the parser uses panic-mode recovery instead: it records the
+ * error, skips tokens until one in the FOLLOW set of the rule being
+ * parsed, inserts an error node ('⚠') and carries on, so every
+ * syntax error is reported alongside a partial tree.
+ * 
+ * createParser() keeps all of that state per parser instance,
+ * with the grammar rules as closures over it, so parses never
+ * share anything and several can be in progress at once.
+ * 
  * Each parse tree node has the shape:
- *   { label: string, children: Array, id: number }
+ *   { label: string, children: Array, id: number, token?: Object }
+ * Terminal leaves keep the token they were built from so later
+ * stages (e.g. the AST builder) can recover source positions.
  * 
  * Each step log entry has the shape:
- *   { rule: string, action: string, token: string, depth: number }
+ *   { rule: string, action: string, token: string, tokenType: string,
+ *     line: number, column: number, depth: number }
+ * where token, line and column describe the lookahead token.
  * ============================================================
  */
 
-import { TokenType } from './tokenizer';
-
-let tokens = [];       // Token stream from lexer
-let currentIndex = 0;  // Current position in token stream
-let steps = [];        // Parsing step log
-let nodeId = 0;        // Unique ID counter for tree nodes
-let depth = 0;         // Current recursion depth
+import { TokenType, isNumberType } from './tokenizer';
+import { formatLocation } from './location';
+
+// FOLLOW sets used as synchronizing tokens for panic-mode recovery
+const FOLLOW_E = [TokenType.RPAREN, TokenType.COMMA, TokenType.ASSIGN, TokenType.COLON, TokenType.SEMI, TokenType.EOF];
+const FOLLOW_STMT = [TokenType.SEMI, TokenType.EOF];
+const FOLLOW_T = [TokenType.PLUS, TokenType.MINUS, ...FOLLOW_E];
+const FOLLOW_P = [TokenType.STAR, TokenType.SLASH, ...FOLLOW_T];
+const FOLLOW_F = [TokenType.CARET, ...FOLLOW_P];
+
+// Most levels of grammar rules accepted by default (see
+// checkNesting): enough for a sum of 1000 terms or a program of
+// 1000 statements, and short of a stack overflow here and in the
+// later passes that walk the trees recursively.
+export const DEFAULT_MAX_DEPTH = 2500;
+
+// Grammar rules an operator, sign or separator adds to the parse
+// tree of what follows it: E' for + and -, T' for * and /, P' and P
+// for ^, P for a sign, Args' for ',' and Stmt' or Init for = and :
+const LEVELS_AFTER = {
+    [TokenType.PLUS]: 1,
+    [TokenType.MINUS]: 1,
+    [TokenType.STAR]: 1,
+    [TokenType.SLASH]: 1,
+    [TokenType.CARET]: 2,
+    [TokenType.COMMA]: 1,
+    [TokenType.ASSIGN]: 1,
+    [TokenType.COLON]: 1,
+};
+
+// Tokens that can begin a statement
+const FIRST_STMT = [TokenType.MINUS, TokenType.PLUS, TokenType.LPAREN, TokenType.ID, TokenType.INT, TokenType.FLOAT];
 
 /**
- * Returns the current token without consuming it.
+ * Custom error class for parse errors, includes position info and,
+ * for a token that does not fit, a description of what would have.
  */
-function peek() {
-    return tokens[currentIndex] || { type: TokenType.EOF, value: 'EOF', pos: -1 };
+class ParseError extends Error {
+    constructor(message, pos, token, expected = null) {
+        super(message);
+        this.name = 'ParseError';
+        this.pos = pos;
+        this.line = token?.line ?? null;
+        this.column = token?.column ?? null;
+        this.token = token;
+        this.expected = expected;
+    }
 }
 
 /**
- * Consumes the current token and advances to the next.
- * Logs the "match" action.
- * @returns {Object} The consumed token
+ * Checks whether an E subtree derives nothing but a single
+ * identifier (E → T → P → F → id with every suffix ε).
+ * Shared with the table-driven parser, which needs the same
+ * assignment-target check.
  */
-function consume() {
-    const token = tokens[currentIndex];
-    currentIndex++;
-    return token;
-}
+export function isBareIdentifier(eNode) {
+    const isEpsilon = (node) => node.children.length === 1 && node.children[0].label === 'ε';
+
+    const [tNode, ePrime] = eNode.children;
+    const [pNode, tPrime] = tNode.children;
+    const [fNode, pPrime] = pNode.children;
+    if (!isEpsilon(ePrime) || !isEpsilon(tPrime) || fNode.label !== 'F' || !isEpsilon(pPrime)) {
+        return false;
+    }
 
-/**
- * Creates a parse tree node.
- * @param {string} label - The grammar symbol or token value
- * @param {Array}  children - Child nodes
- * @returns {{ label: string, children: Array, id: number }}
- */
-function createNode(label, children = []) {
-    return { label, children, id: nodeId++ };
+    const [idNode, callNode] = fNode.children;
+    return idNode.token?.type === TokenType.ID && isEpsilon(callNode);
 }
 
 /**
- * Logs a parsing step for the step-by-step visualization.
+ * Works out ahead of parsing how deep the parse tree of a token
+ * stream can get, in grammar rules. Every parser builds the tree
+ * and every later pass walks it recursively, so this is what keeps
+ * long or deeply nested input from overflowing the stack. An open
+ * parenthesis adds the rules around the expression inside it until
+ * it is closed, and an operator, sign or separator adds the rule
+ * that continues the statement after it (x + x + x nests one E'
+ * inside the next). Each statement adds two more, for Stmts and
+ * Stmts'.
+ *
+ * The count is worked out from the tokens rather than from any one
+ * parser's stack or recursion, so all parsers accept the same
+ * input. It is an upper bound for the left-recursive LR grammar too.
+ *
+ * @param {Array} tokenArray - Tokens from the tokenizer
+ * @param {number} maxDepth - Most levels of grammar rules
+ * @returns {{ message: string, token: Object }|null} The syntax error
+ *          at the token that goes too deep, or null
  */
-function logStep(rule, action, tokenInfo = null) {
-    const token = tokenInfo || peek();
-    steps.push({
-        rule,
-        action,
-        token: token ? `${token.value}` : '',
-        tokenType: token ? token.type : '',
-        depth,
-        timestamp: steps.length,
-    });
-}
+export function checkNesting(tokenArray, maxDepth) {
+    // Levels added inside each open parenthesis, the top level first
+    const levels = [0];
+    let depth = 0;
+    let previous = null;
+
+    for (const token of tokenArray) {
+        const top = levels.length - 1;
+
+        if (token.type === TokenType.LPAREN) {
+            // E → T → P → F for the expression inside, and Call → ( Args )
+            // and Args → E Args' around it for a call's argument list
+            const rules = previous?.type === TokenType.ID ? 6 : 4;
+            levels.push(rules);
+            depth += rules;
+        } else if (token.type === TokenType.RPAREN) {
+            if (top > 0) depth -= levels.pop();
+        } else if (token.type === TokenType.SEMI) {
+            // Stmts → ; Stmts' and Stmts' → Stmt Stmts hold the next statement
+            depth += 2 - levels[top];
+            levels[top] = 0;
+        } else if (Object.hasOwn(LEVELS_AFTER, token.type)) {
+            levels[top] += LEVELS_AFTER[token.type];
+            depth += LEVELS_AFTER[token.type];
+        }
 
-/**
- * Throws a descriptive parse error.
- */
-function parseError(expected) {
-    const token = peek();
-    const posInfo = token.pos >= 0 ? ` at position ${token.pos}` : '';
-    const got = token.type === TokenType.EOF ? 'end of input' : `'${token.value}'`;
-    throw new ParseError(
-        `Syntax Error${posInfo}: Expected ${expected}, but found ${got}`,
-        token.pos,
-        token
-    );
+        if (depth > maxDepth) {
+            return {
+                message: `Syntax Error at ${formatLocation(token)}: Input is too long or nested too deeply (more than ${maxDepth} levels of grammar rules)`,
+                token,
+            };
+        }
+        previous = token;
+    }
+    return null;
 }
 
 /**
- * Custom error class for parse errors, includes position info.
+ * The plain-object form of a syntax error in parse results.
  */
-class ParseError extends Error {
-    constructor(message, pos, token) {
-        super(message);
-        this.name = 'ParseError';
-        this.pos = pos;
-        this.token = token;
-    }
+function errorInfo({ message, pos, line, column, expected }) {
+    return { message, pos, line, column, expected };
 }
 
 // ─────────────────────────────────────────────────────
-//  Grammar Rule Implementations
+//  Public API
 // ─────────────────────────────────────────────────────
 
 /**
- * E → T E'
- * 
- * The start symbol. Parses an expression consisting of
- * a term followed by an expression-prime (handles + and -).
+ * Creates a parser for one token stream. All parsing state (the
+ * position in the stream, step log, node ids, recursion depth and
+ * recorded errors) belongs to the instance, so any number of
+ * parsers can be alive at once, even when a hook of one runs
+ * another.
+ *
+ * Hooks let callers trace the parse as it happens instead of
+ * reading the step log afterwards:
+ *   onStep(step)  - called with every step entry as it is logged
+ *   onError(error) - called with every syntax error as it is
+ *                    found: { message, pos, line, column, expected }
+ *
+ * @param {Array} tokenArray - Tokens from the tokenizer
+ * @param {Object}   [options]
+ * @param {boolean}  [options.recover=false] - Use panic-mode recovery and
+ *        report every syntax error instead of stopping at the first one
+ * @param {number}   [options.maxDepth=DEFAULT_MAX_DEPTH] - Most levels of
+ *        grammar rules the parse tree may have; deeper input is a
+ *        syntax error (see checkNesting)
+ * @param {Function} [options.onStep] - Step tracing hook
+ * @param {Function} [options.onError] - Syntax error hook
+ * @returns {{ parse: Function }} parse() runs the parser from the
+ *          start of the token stream; see parse() below for its result
  */
-function parseE() {
-    depth++;
-    logStep("E → T E'", 'Enter E');
+export function createParser(tokenArray, {
+    recover = false,
+    maxDepth = DEFAULT_MAX_DEPTH,
+    onStep = null,
+    onError = null,
+} = {}) {
+    const tokens = tokenArray;  // Token stream from lexer
+    const recovering = recover; // Panic-mode recovery enabled
+    let currentIndex = 0;       // Current position in token stream
+    let steps = [];             // Parsing step log
+    let nodeId = 0;             // Unique ID counter for tree nodes
+    let depth = 0;              // Current recursion depth
+    let errors = [];            // Syntax errors recorded in recovery mode
+
+    /**
+     * Returns the current token without consuming it.
+     */
+    function peek() {
+        return tokens[currentIndex] || { type: TokenType.EOF, value: 'EOF', pos: -1 };
+    }
 
-    const tNode = parseT();
-    const ePrimeNode = parseEPrime();
+    /**
+     * Consumes the current token and advances to the next.
+     * Logs the "match" action.
+     * @returns {Object} The consumed token
+     */
+    function consume() {
+        const token = tokens[currentIndex];
+        currentIndex++;
+        return token;
+    }
 
-    const node = createNode('E', [tNode, ePrimeNode]);
-    logStep("E → T E'", 'Exit E');
-    depth--;
-    return node;
-}
+    /**
+     * Creates a parse tree node.
+     * @param {string} label - The grammar symbol or token value
+     * @param {Array}  children - Child nodes
+     * @param {Object} [token] - Source token, for terminal leaves
+     * @returns {{ label: string, children: Array, id: number, token?: Object }}
+     */
+    function createNode(label, children = [], token = null) {
+        const node = { label, children, id: nodeId++ };
+        if (token) node.token = token;
+        return node;
+    }
 
-/**
- * E' → + T E' | - T E' | ε
- * 
- * Handles addition and subtraction with left-to-right
- * associativity via right-recursive grammar transformation.
- */
-function parseEPrime() {
-    depth++;
-    const token = peek();
-
-    if (token.type === TokenType.PLUS) {
-        logStep("E' → + T E'", `Match '+'`);
-        const plusToken = consume();
-        const plusNode = createNode('+');
-        const tNode = parseT();
-        const ePrimeNode = parseEPrime();
-        const node = createNode("E'", [plusNode, tNode, ePrimeNode]);
+    /**
+     * Logs a parsing step for the step-by-step visualization.
+     */
+    function logStep(rule, action, tokenInfo = null) {
+        const token = tokenInfo || peek();
+        const step = {
+            rule,
+            action,
+            token: token ? `${token.value}` : '',
+            tokenType: token ? token.type : '',
+            line: token?.line ?? null,
+            column: token?.column ?? null,
+            depth,
+            timestamp: steps.length,
+        };
+        steps.push(step);
+        if (onStep) onStep(step);
+    }
+
+    /**
+     * Throws a descriptive parse error, or records it and returns
+     * when the parser is in recovery mode.
+     */
+    function parseError(expected) {
+        const token = peek();
+        const posInfo = token.line ? ` at ${formatLocation(token)}` : '';
+        const got = token.type === TokenType.EOF ? 'end of input' : `'${token.value}'`;
+        reportError(new ParseError(
+            `Syntax Error${posInfo}: Expected ${expected}, but found ${got}`,
+            token.pos,
+            token,
+            expected
+        ));
+    }
+
+    /**
+     * Throws the error in normal mode; in recovery mode records it,
+     * logs it and lets the caller synchronize. A second error at the
+     * same position is a cascade of the first and is not reported.
+     */
+    function reportError(err) {
+        if (!recovering) throw err;
+        if (errors.length > 0 && errors[errors.length - 1].pos === err.pos) return;
+        errors.push(err);
+        if (onError) onError(errorInfo(err));
+        logStep('✗ Syntax Error', err.message);
+    }
+
+    /**
+     * Panic-mode recovery: skips tokens until one in the synchronizing
+     * set (or EOF) is reached. The skipped tokens become the children
+     * of an error node so they stay visible in the tree.
+     * 
+     * @param {Array<string>} syncTypes - Token types to stop at
+     * @returns {Object} The '⚠' error node
+     */
+    function synchronize(syncTypes) {
+        const skipped = [];
+        while (peek().type !== TokenType.EOF && !syncTypes.includes(peek().type)) {
+            logStep('Panic mode', `Skip '${peek().value}'`);
+            const token = consume();
+            skipped.push(createNode(token.value, [], token));
+        }
+        logStep('Panic mode', `Synchronized on ${peek().type === TokenType.EOF ? 'end of input' : `'${peek().value}'`}`);
+        return createNode('⚠', skipped);
+    }
+
+    // ── Grammar rule implementations ──
+
+    /**
+     * Program → Stmt Stmts
+     * 
+     * The start symbol. A program is one or more statements
+     * separated by semicolons.
+     */
+    function parseProgram() {
+        depth++;
+        logStep('Program → Stmt Stmts', 'Enter Program');
+
+        const stmtNode = parseStmt();
+        const stmtsNode = parseStmts();
+
+        const node = createNode('Program', [stmtNode, stmtsNode]);
+        logStep('Program → Stmt Stmts', 'Exit Program');
+        depth--;
+        return node;
+    }
+
+    /**
+     * Stmts → ; Stmts' | ε
+     * 
+     * Parses the remaining semicolon-separated statements.
+     */
+    function parseStmts() {
+        depth++;
+        const token = peek();
+
+        if (token.type === TokenType.SEMI) {
+            logStep("Stmts → ; Stmts'", `Match ';'`);
+            const semiToken = consume();
+            const semiNode = createNode(';', [], semiToken);
+            const restNode = parseStmtsPrime();
+            const node = createNode('Stmts', [semiNode, restNode]);
+            depth--;
+            return node;
+        }
+
+        if (token.type !== TokenType.EOF) {
+            parseError("';' or end of input");
+
+            // Recovery: drop tokens that cannot start a statement, then
+            // continue as if the missing ';' had been there
+            const errorNode = synchronize([TokenType.SEMI, ...FIRST_STMT]);
+            if (peek().type === TokenType.SEMI || peek().type === TokenType.EOF) {
+                const node = createNode('Stmts', [errorNode, parseStmts()]);
+                depth--;
+                return node;
+            }
+            const node = createNode('Stmts', [errorNode, parseStmtsPrime()]);
+            depth--;
+            return node;
+        }
+
+        // ε (epsilon) production
+        logStep('Stmts → ε', 'Epsilon (no match needed)');
+        const node = createNode('Stmts', [createNode('ε')]);
         depth--;
         return node;
     }
 
-    if (token.type === TokenType.MINUS) {
-        logStep("E' → - T E'", `Match '-'`);
-        const minusToken = consume();
-        const minusNode = createNode('-');
+    /**
+     * Stmts' → Stmt Stmts | ε
+     * 
+     * The statement after a ';', or nothing when the ';' ends the
+     * input. Anything else is left to parseStmt() to report.
+     */
+    function parseStmtsPrime() {
+        depth++;
+
+        if (peek().type === TokenType.EOF) {
+            logStep("Stmts' → ε", 'Epsilon (no match needed)');
+            const node = createNode("Stmts'", [createNode('ε')]);
+            depth--;
+            return node;
+        }
+
+        logStep("Stmts' → Stmt Stmts", "Enter Stmts'");
+        const stmtNode = parseStmt();
+        const stmtsNode = parseStmts();
+        const node = createNode("Stmts'", [stmtNode, stmtsNode]);
+        logStep("Stmts' → Stmt Stmts", "Exit Stmts'");
+        depth--;
+        return node;
+    }
+
+    /**
+     * Stmt → E Stmt'
+     * 
+     * Parses an expression statement or an assignment. Both start
+     * with an expression; Stmt' decides which one it was.
+     */
+    function parseStmt() {
+        depth++;
+        logStep("Stmt → E Stmt'", 'Enter Stmt');
+
+        const startToken = peek();
+        const eNode = parseE();
+        const stmtPrimeNode = parseStmtPrime(eNode, startToken);
+
+        const node = createNode('Stmt', [eNode, stmtPrimeNode]);
+        logStep("Stmt → E Stmt'", 'Exit Stmt');
+        depth--;
+        return node;
+    }
+
+    /**
+     * Stmt' → = E | : id Init | ε
+     * 
+     * Handles the assignment or type annotation suffix. The expression
+     * already parsed by Stmt must be a bare identifier for either to
+     * be valid.
+     * 
+     * @param {Object} targetNode - The E node parsed before '=' or ':'
+     * @param {Object} startToken - First token of that E, for error position
+     */
+    function parseStmtPrime(targetNode, startToken) {
+        depth++;
+        const token = peek();
+
+        if (token.type === TokenType.ASSIGN || token.type === TokenType.COLON) {
+            // Recovery needs no skipping: the suffix is parsed as usual
+            if (!isBareIdentifier(targetNode)) {
+                reportError(new ParseError(
+                    `Syntax Error at ${formatLocation(startToken)}: Invalid ${token.type === TokenType.ASSIGN ? 'assignment' : 'annotation'} target, expected an identifier before '${token.value}'`,
+                    startToken.pos,
+                    startToken
+                ));
+            }
+        }
+
+        if (token.type === TokenType.ASSIGN) {
+            logStep("Stmt' → = E", `Match '='`);
+            const assignToken = consume();
+            const assignNode = createNode('=', [], assignToken);
+            const eNode = parseE();
+            const node = createNode("Stmt'", [assignNode, eNode]);
+            depth--;
+            return node;
+        }
+
+        if (token.type === TokenType.COLON) {
+            logStep("Stmt' → : id Init", `Match ':'`);
+            const colonNode = createNode(':', [], consume());
+
+            if (peek().type !== TokenType.ID) {
+                parseError('a type name');
+                const node = createNode("Stmt'", [colonNode, synchronize(FOLLOW_STMT)]);
+                depth--;
+                return node;
+            }
+
+            logStep("Stmt' → : id Init", `Match type '${peek().value}'`);
+            const typeToken = consume();
+            const typeNode = createNode(typeToken.value, [], typeToken);
+            const initNode = parseInit();
+            const node = createNode("Stmt'", [colonNode, typeNode, initNode]);
+            depth--;
+            return node;
+        }
+
+        // ε (epsilon) production — expression statement
+        logStep("Stmt' → ε", 'Epsilon (no match needed)');
+        const node = createNode("Stmt'", [createNode('ε')]);
+        depth--;
+        return node;
+    }
+
+    /**
+     * Init → = E | ε
+     * 
+     * The optional initial value of an annotated identifier.
+     */
+    function parseInit() {
+        depth++;
+
+        if (peek().type === TokenType.ASSIGN) {
+            logStep('Init → = E', `Match '='`);
+            const assignNode = createNode('=', [], consume());
+            const eNode = parseE();
+            const node = createNode('Init', [assignNode, eNode]);
+            depth--;
+            return node;
+        }
+
+        // ε (epsilon) production — a declaration without a value
+        logStep('Init → ε', 'Epsilon (no match needed)');
+        const node = createNode('Init', [createNode('ε')]);
+        depth--;
+        return node;
+    }
+
+    /**
+     * E → T E'
+     * 
+     * Parses an expression consisting of a term followed
+     * by an expression-prime (handles + and -).
+     */
+    function parseE() {
+        depth++;
+        logStep("E → T E'", 'Enter E');
+
         const tNode = parseT();
         const ePrimeNode = parseEPrime();
-        const node = createNode("E'", [minusNode, tNode, ePrimeNode]);
+
+        const node = createNode('E', [tNode, ePrimeNode]);
+        logStep("E → T E'", 'Exit E');
         depth--;
         return node;
     }
 
-    // ε (epsilon) production — no token consumed
-    logStep("E' → ε", 'Epsilon (no match needed)');
-    const node = createNode("E'", [createNode('ε')]);
-    depth--;
-    return node;
-}
-
-/**
- * T → F T'
- * 
- * Parses a term: a factor followed by a term-prime
- * (handles * and /).
- */
-function parseT() {
-    depth++;
-    logStep("T → F T'", 'Enter T');
+    /**
+     * E' → + T E' | - T E' | ε
+     * 
+     * Handles addition and subtraction with left-to-right
+     * associativity via right-recursive grammar transformation.
+     */
+    function parseEPrime() {
+        depth++;
+        const token = peek();
+
+        if (token.type === TokenType.PLUS) {
+            logStep("E' → + T E'", `Match '+'`);
+            const plusToken = consume();
+            const plusNode = createNode('+', [], plusToken);
+            const tNode = parseT();
+            const ePrimeNode = parseEPrime();
+            const node = createNode("E'", [plusNode, tNode, ePrimeNode]);
+            depth--;
+            return node;
+        }
 
-    const fNode = parseF();
-    const tPrimeNode = parseTPrime();
+        if (token.type === TokenType.MINUS) {
+            logStep("E' → - T E'", `Match '-'`);
+            const minusToken = consume();
+            const minusNode = createNode('-', [], minusToken);
+            const tNode = parseT();
+            const ePrimeNode = parseEPrime();
+            const node = createNode("E'", [minusNode, tNode, ePrimeNode]);
+            depth--;
+            return node;
+        }
 
-    const node = createNode('T', [fNode, tPrimeNode]);
-    logStep("T → F T'", 'Exit T');
-    depth--;
-    return node;
-}
+        // ε (epsilon) production — no token consumed
+        logStep("E' → ε", 'Epsilon (no match needed)');
+        const node = createNode("E'", [createNode('ε')]);
+        depth--;
+        return node;
+    }
 
-/**
- * T' → * F T' | / F T' | ε
- * 
- * Handles multiplication and division.
- */
-function parseTPrime() {
-    depth++;
-    const token = peek();
-
-    if (token.type === TokenType.STAR) {
-        logStep("T' → * F T'", `Match '*'`);
-        const starToken = consume();
-        const starNode = createNode('*');
-        const fNode = parseF();
+    /**
+     * T → P T'
+     * 
+     * Parses a term: a power followed by a term-prime
+     * (handles * and /).
+     */
+    function parseT() {
+        depth++;
+        logStep("T → P T'", 'Enter T');
+
+        const pNode = parseP();
         const tPrimeNode = parseTPrime();
-        const node = createNode("T'", [starNode, fNode, tPrimeNode]);
+
+        const node = createNode('T', [pNode, tPrimeNode]);
+        logStep("T → P T'", 'Exit T');
         depth--;
         return node;
     }
 
-    if (token.type === TokenType.SLASH) {
-        logStep("T' → / F T'", `Match '/'`);
-        const slashToken = consume();
-        const slashNode = createNode('/');
-        const fNode = parseF();
-        const tPrimeNode = parseTPrime();
-        const node = createNode("T'", [slashNode, fNode, tPrimeNode]);
+    /**
+     * T' → * P T' | / P T' | ε
+     * 
+     * Handles multiplication and division.
+     */
+    function parseTPrime() {
+        depth++;
+        const token = peek();
+
+        if (token.type === TokenType.STAR) {
+            logStep("T' → * P T'", `Match '*'`);
+            const starToken = consume();
+            const starNode = createNode('*', [], starToken);
+            const pNode = parseP();
+            const tPrimeNode = parseTPrime();
+            const node = createNode("T'", [starNode, pNode, tPrimeNode]);
+            depth--;
+            return node;
+        }
+
+        if (token.type === TokenType.SLASH) {
+            logStep("T' → / P T'", `Match '/'`);
+            const slashToken = consume();
+            const slashNode = createNode('/', [], slashToken);
+            const pNode = parseP();
+            const tPrimeNode = parseTPrime();
+            const node = createNode("T'", [slashNode, pNode, tPrimeNode]);
+            depth--;
+            return node;
+        }
+
+        // ε (epsilon) production
+        logStep("T' → ε", 'Epsilon (no match needed)');
+        const node = createNode("T'", [createNode('ε')]);
         depth--;
         return node;
     }
 
-    // ε (epsilon) production
-    logStep("T' → ε", 'Epsilon (no match needed)');
-    const node = createNode("T'", [createNode('ε')]);
-    depth--;
-    return node;
-}
+    /**
+     * P → - P | + P | F P'
+     * 
+     * Parses a power: a unary sign applied to a power, or a factor
+     * optionally raised to an exponent. Unary signs sit above the
+     * exponent, so -2^2 = -(2^2).
+     */
+    function parseP() {
+        depth++;
+        const token = peek();
+
+        // P → - P | + P
+        if (token.type === TokenType.MINUS || token.type === TokenType.PLUS) {
+            logStep(`P → ${token.value} P`, `Match unary '${token.value}'`);
+            const signToken = consume();
+            const signNode = createNode(signToken.value, [], signToken);
+            const pNode = parseP();
+            const node = createNode('P', [signNode, pNode]);
+            depth--;
+            return node;
+        }
 
-/**
- * F → ( E ) | id | number
- * 
- * Parses a factor: a parenthesized expression,
- * an identifier, or a number literal.
- */
-function parseF() {
-    depth++;
-    const token = peek();
+        // P → F P'
+        logStep("P → F P'", 'Enter P');
 
-    // F → ( E )
-    if (token.type === TokenType.LPAREN) {
-        logStep('F → ( E )', `Match '('`);
-        consume(); // consume '('
-        const lparenNode = createNode('(');
+        const fNode = parseF();
+        const pPrimeNode = parsePPrime();
 
-        const eNode = parseE();
+        const node = createNode('P', [fNode, pPrimeNode]);
+        logStep("P → F P'", 'Exit P');
+        depth--;
+        return node;
+    }
 
-        const closeParen = peek();
-        if (closeParen.type !== TokenType.RPAREN) {
-            parseError("')'");
+    /**
+     * P' → ^ P | ε
+     * 
+     * Handles exponentiation. Unlike E' and T', the operand is a
+     * full P rather than a factor followed by another P', so the
+     * recursion nests to the right and ^ is right-associative.
+     */
+    function parsePPrime() {
+        depth++;
+        const token = peek();
+
+        if (token.type === TokenType.CARET) {
+            logStep("P' → ^ P", `Match '^'`);
+            const caretToken = consume();
+            const caretNode = createNode('^', [], caretToken);
+            const pNode = parseP();
+            const node = createNode("P'", [caretNode, pNode]);
+            depth--;
+            return node;
         }
-        logStep('F → ( E )', `Match ')'`);
-        consume(); // consume ')'
-        const rparenNode = createNode(')');
 
-        const node = createNode('F', [lparenNode, eNode, rparenNode]);
+        // ε (epsilon) production
+        logStep("P' → ε", 'Epsilon (no match needed)');
+        const node = createNode("P'", [createNode('ε')]);
         depth--;
         return node;
     }
 
-    // F → number
-    if (token.type === TokenType.NUMBER) {
-        logStep(`F → number`, `Match number '${token.value}'`);
-        consume();
-        const node = createNode('F', [createNode(token.value)]);
+    /**
+     * F → ( E ) | id Call | number
+     * 
+     * Parses a factor: a parenthesized expression, an identifier
+     * (possibly called as a function), or a number literal.
+     */
+    function parseF() {
+        depth++;
+        const token = peek();
+
+        // F → ( E )
+        if (token.type === TokenType.LPAREN) {
+            logStep('F → ( E )', `Match '('`);
+            const lparenToken = consume();
+            const lparenNode = createNode('(', [], lparenToken);
+
+            const eNode = parseE();
+
+            const rparenNode = matchCloseParen('F → ( E )', "')'");
+            const node = createNode('F', [lparenNode, eNode, rparenNode]);
+            depth--;
+            return node;
+        }
+
+        // F → number
+        if (isNumberType(token.type)) {
+            logStep(`F → number`, `Match number '${token.value}'`);
+            consume();
+            const node = createNode('F', [createNode(token.value, [], token)]);
+            depth--;
+            return node;
+        }
+
+        // F → id Call
+        if (token.type === TokenType.ID) {
+            logStep(`F → id Call`, `Match identifier '${token.value}'`);
+            consume();
+            const idNode = createNode(token.value, [], token);
+            const callNode = parseCall();
+            const node = createNode('F', [idNode, callNode]);
+            depth--;
+            return node;
+        }
+
+        // Error — unexpected token
+        parseError('number, identifier, unary sign, or "("');
+        const errorNode = synchronize(FOLLOW_F);
+        const node = createNode('F', [errorNode]);
         depth--;
         return node;
     }
 
-    // F → id
-    if (token.type === TokenType.ID) {
-        logStep(`F → id`, `Match identifier '${token.value}'`);
-        consume();
-        const node = createNode('F', [createNode(token.value)]);
+    /**
+     * Matches the ')' that closes F → ( E ) or Call → ( Args ).
+     * 
+     * In recovery mode a missing ')' is treated as inserted when the
+     * next token can follow F; otherwise tokens are skipped up to the
+     * ')' (which is then matched) or the FOLLOW set of F.
+     * 
+     * @param {string} rule     - Production for the step log
+     * @param {string} expected - Description for the error message
+     * @returns {Object} The ')' leaf, or an error node
+     */
+    function matchCloseParen(rule, expected) {
+        let errorNode = null;
+
+        if (peek().type !== TokenType.RPAREN) {
+            parseError(expected);
+            errorNode = synchronize([TokenType.RPAREN, ...FOLLOW_F]);
+            if (peek().type !== TokenType.RPAREN) return errorNode;
+        }
+
+        logStep(rule, `Match ')'`);
+        const rparenToken = consume();
+        const rparenNode = createNode(')', [], rparenToken);
+
+        // Keep the skipped tokens in front of the ')' they led up to
+        if (errorNode) {
+            errorNode.children.push(rparenNode);
+            return errorNode;
+        }
+        return rparenNode;
+    }
+
+    /**
+     * Call → ( Args ) | ε
+     * 
+     * The LL(1) decision between a plain identifier and a function
+     * call: a '(' directly after the identifier starts an argument list.
+     */
+    function parseCall() {
+        depth++;
+        const token = peek();
+
+        if (token.type === TokenType.LPAREN) {
+            logStep('Call → ( Args )', `Match '('`);
+            const lparenToken = consume();
+            const lparenNode = createNode('(', [], lparenToken);
+
+            const argsNode = parseArgs();
+
+            const rparenNode = matchCloseParen('Call → ( Args )', "',' or ')'");
+            const node = createNode('Call', [lparenNode, argsNode, rparenNode]);
+            depth--;
+            return node;
+        }
+
+        // ε (epsilon) production — plain identifier
+        logStep('Call → ε', 'Epsilon (no match needed)');
+        const node = createNode('Call', [createNode('ε')]);
         depth--;
         return node;
     }
 
-    // Error — unexpected token
-    parseError('number, identifier, or "("');
-}
+    /**
+     * Args → E Args' | ε
+     * 
+     * Parses a possibly empty argument list. ')' is the only token
+     * that can follow an empty list.
+     */
+    function parseArgs() {
+        depth++;
+
+        if (peek().type === TokenType.RPAREN) {
+            logStep('Args → ε', 'Epsilon (no match needed)');
+            const node = createNode('Args', [createNode('ε')]);
+            depth--;
+            return node;
+        }
 
-// ─────────────────────────────────────────────────────
-//  Public API
-// ─────────────────────────────────────────────────────
+        logStep("Args → E Args'", 'Enter Args');
+        const eNode = parseE();
+        const argsPrimeNode = parseArgsPrime();
 
-/**
- * Parses a token array and returns the parse tree + step log.
- * 
- * @param {Array} tokenArray - Tokens from the tokenizer
- * @returns {{ tree: Object|null, steps: Array, error: string|null, errorPos: number|null }}
- */
-export function parse(tokenArray) {
-    // Reset parser state
-    tokens = tokenArray;
-    currentIndex = 0;
-    steps = [];
-    nodeId = 0;
-    depth = 0;
-
-    try {
-        const tree = parseE();
-
-        // After parsing E, we should be at EOF
-        const remaining = peek();
-        if (remaining.type !== TokenType.EOF) {
-            parseError('end of expression');
+        const node = createNode('Args', [eNode, argsPrimeNode]);
+        logStep("Args → E Args'", 'Exit Args');
+        depth--;
+        return node;
+    }
+
+    /**
+     * Args' → , E Args' | ε
+     * 
+     * Parses the remaining comma-separated arguments.
+     */
+    function parseArgsPrime() {
+        depth++;
+        const token = peek();
+
+        if (token.type === TokenType.COMMA) {
+            logStep("Args' → , E Args'", `Match ','`);
+            const commaToken = consume();
+            const commaNode = createNode(',', [], commaToken);
+            const eNode = parseE();
+            const argsPrimeNode = parseArgsPrime();
+            const node = createNode("Args'", [commaNode, eNode, argsPrimeNode]);
+            depth--;
+            return node;
         }
 
-        logStep('✓ Parse Complete', 'Expression parsed successfully!');
+        // ε (epsilon) production
+        logStep("Args' → ε", 'Epsilon (no match needed)');
+        const node = createNode("Args'", [createNode('ε')]);
+        depth--;
+        return node;
+    }
+
+    // ── Entry point ──
+
+    /**
+     * Parses the whole token stream, starting afresh on every call.
+     */
+    function run() {
+        currentIndex = 0;
+        steps = [];
+        nodeId = 0;
+        depth = 0;
+        errors = [];
+
+        try {
+            const tooDeep = checkNesting(tokens, maxDepth);
+            if (tooDeep) throw new ParseError(tooDeep.message, tooDeep.token.pos, tooDeep.token);
+
+            const tree = parseProgram();
+
+            // After parsing the program, we should be at EOF
+            // (always true in recovery mode, where Stmts synchronizes)
+            const remaining = peek();
+            if (remaining.type !== TokenType.EOF) {
+                parseError("';' or end of input");
+            }
+
+            if (errors.length > 0) {
+                logStep('✗ Parse Error', `${errors.length} syntax error(s) found`);
+            } else {
+                logStep('✓ Parse Complete', 'Program parsed successfully!');
+            }
 
-        return {
-            tree,
-            steps: [...steps],
-            error: null,
-            errorPos: null,
-        };
-    } catch (err) {
-        if (err instanceof ParseError) {
-            logStep('✗ Parse Error', err.message);
             return {
-                tree: null,
+                tree,
                 steps: [...steps],
-                error: err.message,
-                errorPos: err.pos,
+                error: errors.length > 0 ? errors[0].message : null,
+                errorPos: errors.length > 0 ? errors[0].pos : null,
+                errors: errors.map(errorInfo),
             };
+        } catch (err) {
+            if (err instanceof ParseError) {
+                if (onError) onError(errorInfo(err));
+                logStep('✗ Parse Error', err.message);
+                return {
+                    tree: null,
+                    steps: [...steps],
+                    error: errors.length > 0 ? errors[0].message : err.message,
+                    errorPos: errors.length > 0 ? errors[0].pos : err.pos,
+                    errors: [...errors, err].map(errorInfo),
+                };
+            }
+            throw err; // Re-throw unexpected errors
         }
-        throw err; // Re-throw unexpected errors
     }
+
+    return { parse: run };
+}
+
+/**
+ * Parses a token array and returns the parse tree + step log.
+ * 
+ * @param {Array} tokenArray - Tokens from the tokenizer
+ * @param {Object}  [options] - As for createParser()
+ * @returns {{ tree: Object|null, steps: Array, error: string|null, errorPos: number|null, errors: Array }}
+ *          tree:   Parse tree; in recovery mode a partial tree with '⚠' nodes
+ *          error / errorPos: The first syntax error, if any
+ *          errors: Every syntax error as { message, pos, line, column, expected }
+ *                  expected describes what would have fitted, or is null
+ */
+export function parse(tokenArray, options = {}) {
+    return createParser(tokenArray, options).parse();
 }
@@ -0,0 +1,116 @@
+import { describe, expect, it } from 'vitest';
+import { tokenize } from './tokenizer';
+import { createParser, parse } from './parser';
+import { predictiveParse } from './predictiveParser';
+import { lrParse } from './lrParser';
+import { parseWithGrammar } from './grammarParser';
+import { GRAMMAR } from './grammar';
+import { parseBNF } from './bnf';
+import { runPipeline } from './pipeline';
+
+const tokensOf = (input) => tokenize(input).tokens;
+
+const OUTER = 'x = 3; y = (x + 1) * 2; max(x, y) ^ 2';
+const INNER = 'a * (b - c) / 4';
+const INNER_WITH_ERRORS = '(1 + * 2; 3 +';
+
+// Every parser the pipeline can run, by mode
+const parsers = {
+    recursive: (tokens, options) => parse(tokens, options),
+    table: (tokens, options) => predictiveParse(tokens, options),
+    lr: (tokens, options) => lrParse(tokens, options),
+    custom: (tokens, options) => parseWithGrammar(tokens, GRAMMAR, options),
+};
+
+describe('createParser', () => {
+    it('keeps a parse started from another parse\'s onStep hook apart from it', () => {
+        const innerResults = [];
+        const outer = createParser(tokensOf(OUTER), {
+            onStep: (step) => {
+                // Start a whole second parse in the middle of the first
+                if (step.timestamp % 10 === 0) innerResults.push(createParser(tokensOf(INNER)).parse());
+            },
+        }).parse();
+
+        expect(innerResults.length).toBeGreaterThan(1);
+        expect(outer).toEqual(parse(tokensOf(OUTER)));
+        for (const inner of innerResults) {
+            expect(inner).toEqual(parse(tokensOf(INNER)));
+        }
+    });
+
+    it('keeps recovered syntax errors with the parse that found them', () => {
+        const innerResults = [];
+        const outerErrors = [];
+        const outer = createParser(tokensOf(OUTER), {
+            recover: true,
+            onError: (error) => outerErrors.push(error),
+            onStep: (step) => {
+                if (step.timestamp === 5) {
+                    innerResults.push(createParser(tokensOf(INNER_WITH_ERRORS), { recover: true }).parse());
+                }
+            },
+        }).parse();
+
+        expect(outer).toEqual(parse(tokensOf(OUTER), { recover: true }));
+        expect(outer.errors).toEqual([]);
+        expect(outerErrors).toEqual([]);
+        expect(innerResults).toEqual([parse(tokensOf(INNER_WITH_ERRORS), { recover: true })]);
+        expect(innerResults[0].errors.length).toBeGreaterThan(1);
+    });
+
+    it('starts over from the first token each time parse() is called', () => {
+        const parser = createParser(tokensOf(OUTER));
+        expect(parser.parse()).toEqual(parser.parse());
+    });
+});
+
+describe('maxDepth', () => {
+    const sum = (count) => Array.from({ length: count }, (_, i) => `x${i}`).join(' + ');
+    const statements = (count) => Array.from({ length: count }, (_, i) => `x${i} = ${i}`).join('; ');
+
+    it.each(Object.keys(parsers))('lets the %s mode run long sums and statement lists through every stage', (mode) => {
+        for (const input of [sum(1000), statements(1000)]) {
+            const result = runPipeline({ input, mode, grammar: GRAMMAR });
+            expect(result.error).toBeNull();
+            expect(result.layouts.parse).not.toBeNull();
+        }
+    });
+
+    it.each(Object.keys(parsers))('stops the %s mode at a syntax error in sums and statement lists too long to parse', (mode) => {
+        for (const input of [sum(10000), statements(10000)]) {
+            const result = runPipeline({ input, mode, grammar: GRAMMAR });
+            expect(result.error).toMatch(/^Syntax Error at line 1, column \d+: Input is too long or nested too deeply/);
+            expect(result.errorPos).toBeGreaterThan(0);
+        }
+    });
+
+    it.each(['recursive', 'table', 'lr'])('stops the %s parser at the same too-deep token', (mode) => {
+        // Levels of grammar rules each input needs
+        const nested = { '(((x)))': 12, 'sin(cos(x))': 12, '- - -x': 3, 'x ^ x ^ x ^ x': 6, '-(x ^ y)': 7, 'a = 1; b = 2': 3 };
+        for (const [input, levels] of Object.entries(nested)) {
+            const result = parsers[mode](tokensOf(input), { maxDepth: levels - 1 });
+            expect(result.error).toMatch(/^Syntax Error at line 1, column \d+: Input is too long or nested too deeply \(more than \d+ levels/);
+            expect(result.errorPos).toBe(parse(tokensOf(input), { maxDepth: levels - 1 }).errorPos);
+            expect(parsers[mode](tokensOf(input), { maxDepth: levels }).error).toBeNull();
+        }
+    });
+
+    it('stops a recursive user grammar at a syntax error in long input', () => {
+        const { grammar } = parseBNF('S -> id S | ε');
+        const words = (count) => tokensOf(Array(count).fill('a').join(' '));
+
+        expect(parseWithGrammar(words(1000), grammar).error).toBeNull();
+        const result = parseWithGrammar(words(10000), grammar);
+        expect(result.error).toMatch(/^Syntax Error at line 1, column \d+: Input is too long or nested too deeply/);
+        expect(result.errorPos).toBeGreaterThan(0);
+    });
+});
+
+describe('statement separators', () => {
+    it.each(Object.keys(parsers))('lets the %s parser end the last statement with a semicolon', (mode) => {
+        expect(parsers[mode](tokensOf('x = 3; x + 1;')).error).toBeNull();
+        expect(parsers[mode](tokensOf('x = 3;;')).error).toMatch(/^Syntax Error at line 1, column 7:/);
+        expect(parsers[mode](tokensOf(';')).error).toMatch(/^Syntax Error at line 1, column 1:/);
+    });
+});
@@ -0,0 +1,156 @@
+/**
+ * ============================================================
+ * PARSING PIPELINE
+ * ============================================================
+ *
+ * Runs the front end of the compiler on one input, from source
+ * text to laid-out trees:
+ *
+ *   1. Tokenize
+ *   2. Parse with the chosen parser
+ *   3. Build the AST (recursive descent and table-driven modes,
+ *      whose trees have the LL(1) grammar's shape)
+ *   4. When re-parsing as the input is typed, carry node ids over
+ *      from the previous trees (see treeReconcile.js)
+ *   5. Lay out the parse tree and the AST for drawing
+ *   6. Differentiate the AST and lay out the derivative's tree,
+ *      which can take long enough to block the page on its own
+ *
+ * The result is plain data, so the pipeline can run in a Web
+ * Worker (see workers/parseWorker.js) and hand its result back
+ * to the page with postMessage. Long or deeply nested input then
+ * never blocks or crashes the page, and a parse that is no longer
+ * wanted can be cancelled by terminating the worker.
+ * ============================================================
+ */
+
+import { tokenize } from './tokenizer';
+import { parse } from './parser';
+import { predictiveParse } from './predictiveParser';
+import { parseWithGrammar } from './grammarParser';
+import { lrParse } from './lrParser';
+import { buildAST, astToDisplayTree, astChildren, astLabel } from './ast';
+import { reconcileIds } from './treeReconcile';
+import { computeTreeLayout } from './treeLayout';
+import { differentiate } from './derivative';
+import { collectIdentifiers } from './evaluator';
+
+const AST_NODES = { childrenOf: astChildren, labelOf: astLabel };
+
+/**
+ * Runs the parser for a mode. The recursive parser recovers from
+ * syntax errors so all are reported; the others stop at the first.
+ */
+function runParser(mode, tokens, customGrammar, maxDepth) {
+    switch (mode) {
+        case 'table':
+            return predictiveParse(tokens, { maxDepth });
+        case 'lr':
+            return lrParse(tokens, { maxDepth });
+        case 'custom':
+            return parseWithGrammar(tokens, customGrammar, { maxDepth });
+        default:
+            return parse(tokens, { recover: true, maxDepth });
+    }
+}
+
+/**
+ * Differentiates an AST by the chosen identifier — falling back to
+ * x, then to the first free identifier, when the chosen one is not
+ * in the program. Assigned names can be chosen too, after the free
+ * ones. Null when the program has no identifiers.
+ */
+function runDerivative(ast, preferred) {
+    const assigned = ast.body.filter((stmt) => stmt.type === 'Assignment').map((stmt) => stmt.target.name);
+    const variables = [...new Set([...collectIdentifiers(ast), ...assigned])];
+    const variable = [preferred, 'x', variables[0]].find((name) => variables.includes(name));
+    if (!variable) return null;
+
+    const result = differentiate(ast, variable);
+    const tree = result.ast ? astToDisplayTree(result.ast) : null;
+    return { variable, variables, ...result, tree, layout: tree ? computeTreeLayout(tree) : null };
+}
+
+/**
+ * A pipeline result that stopped before parsing, with only an error.
+ */
+function failure(input, message, pos = null, tokens = []) {
+    return {
+        input,
+        tokens,
+        tree: null,
+        ast: null,
+        steps: [],
+        error: message,
+        errorPos: pos,
+        errors: [],
+        isParsed: false,
+        layouts: null,
+        derivative: null,
+    };
+}
+
+// ─────────────────────────────────────────────────────
+//  Public API
+// ─────────────────────────────────────────────────────
+
+/**
+ * Tokenizes, parses and lays out an input.
+ *
+ * @param {Object} request
+ * @param {string} request.input - Source text
+ * @param {string} request.mode - 'recursive', 'table', 'lr' or 'custom'
+ * @param {Object} [request.grammar] - The user's grammar, for 'custom'
+ * @param {string} [request.grammarProblem] - Why the user's grammar
+ *        cannot be used yet, if it cannot
+ * @param {number} [request.maxDepth] - Nesting limit for the parsers
+ * @param {string} [request.derivativeVariable='x'] - Identifier to
+ *        differentiate by, when the program has it
+ * @param {Object} [request.previous] - { tree, ast } shown before, whose
+ *        node ids are reused for the parts of the new trees that did not change
+ * @returns {{ input: string, tokens: Array, tree: Object|null, ast: Object|null, steps: Array,
+ *             error: string|null, errorPos: number|null, errors: Array,
+ *             isParsed: boolean, layouts: { parse: Object, ast: Object|null }|null,
+ *             derivative: Object|null }}
+ *          input:    The source text the result is for
+ *          isParsed: Whether the parser ran (false after a lexical error)
+ *          layouts:  computeTreeLayout() of the parse tree and the AST
+ *          derivative: differentiate() of the AST, with the variable
+ *                    used, the variables to choose from, and the
+ *                    derivative's display tree and its layout
+ */
+export function runPipeline({ input, mode, grammar = null, grammarProblem = null, maxDepth, derivativeVariable = 'x', previous = null }) {
+    try {
+        // Step 1: Tokenize
+        const { tokens, error: tokenError, errorPos: tokenErrorPos } = tokenize(input);
+        if (tokenError) return failure(input, tokenError, tokenErrorPos);
+
+        if (mode === 'custom' && grammarProblem) return failure(input, grammarProblem, null, tokens);
+
+        // Step 2: Parse
+        const { tree, steps, error, errorPos, errors } = runParser(mode, tokens, grammar, maxDepth);
+
+        // Step 3: The AST is built from the LL(1) grammar's tree shape
+        const ast = !error && (mode === 'recursive' || mode === 'table') ? buildAST(tree) : null;
+
+        // Step 4: Stable node ids across re-parses
+        if (previous) {
+            reconcileIds(previous.tree, tree);
+            reconcileIds(previous.ast, ast, AST_NODES);
+        }
+
+        // Step 5: Layouts for the tree view
+        const layouts = tree
+            ? { parse: computeTreeLayout(tree), ast: ast ? computeTreeLayout(astToDisplayTree(ast)) : null }
+            : null;
+
+        // Step 6: The derivative, with its own layout
+        const derivative = ast ? runDerivative(ast, derivativeVariable) : null;
+
+        return { input, tokens, tree, ast, steps, error, errorPos, errors, isParsed: true, layouts, derivative };
+    } catch (err) {
+        // Anything the parsers do not report themselves, such as a
+        // stack overflow in a pass with no depth limit
+        return failure(input, `Internal error: ${err.message}`);
+    }
+}
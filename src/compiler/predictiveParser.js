@@ -0,0 +1,245 @@
+/**
+ * ============================================================
+ * TABLE-DRIVEN LL(1) PREDICTIVE PARSER
+ * ============================================================
+ *
+ * A non-recursive counterpart to parser.js. Instead of one
+ * function per non-terminal, it builds an LL(1) parse table
+ * M[A, a] from the FIRST and FOLLOW sets of the grammar and
+ * drives an explicit stack:
+ *
+ *   - top is a terminal  → match it against the lookahead
+ *   - top is a non-terminal A → replace it with the right-hand
+ *     side of M[A, lookahead], pushed in reverse
+ *   - top is $ and the lookahead is $ → accept
+ *
+ * It builds the same parse tree shape as parser.js and records
+ * a Stack / Input / Action trace instead of a recursion log.
+ *
+ * Each trace row has the shape:
+ *   { stackTop: Array<string>, stackDepth: number,
+ *     inputAhead: Array<string>, inputLeft: number, action: string,
+ *     rule: string, token: string, tokenType: string, line: number,
+ *     column: number, depth: number }
+ * stackTop is the top TRACE_WINDOW stack symbols out of stackDepth,
+ * bottom first, and inputAhead the next TRACE_WINDOW input symbols
+ * out of inputLeft; formatTraceColumns() in grammar.js turns them
+ * into the Stack and Input columns. rule is the production applied
+ * ('' for match/accept/error rows), so the grammar and FIRST/FOLLOW
+ * panels can follow along.
+ * ============================================================
+ */
+
+import { TokenType } from './tokenizer';
+import { GRAMMAR, END_MARKER, EPSILON, terminalForToken, describeExpected, productionText, TRACE_WINDOW, upcomingInput } from './grammar';
+import { computeFirstSets, computeFollowSets, firstOfSequence } from './firstFollow';
+import { isBareIdentifier, checkNesting, DEFAULT_MAX_DEPTH } from './parser';
+import { formatLocation } from './location';
+
+/**
+ * Builds the LL(1) parse table for a grammar.
+ *
+ * For each production A → α:
+ *   M[A, a] = A → α  for every terminal a ∈ FIRST(α)
+ *   M[A, b] = A → α  for every b ∈ FOLLOW(A), when α ⇒* ε
+ *
+ * @param {Object} grammar
+ * @returns {{ table: Object, conflicts: Array }}
+ *          table:     table[A][a] = index into grammar.productions
+ *          conflicts: { nonTerminal, terminal, productions: [i, j] }
+ *                     for every cell claimed by two productions
+ */
+export function buildParseTable(grammar) {
+    const first = computeFirstSets(grammar);
+    const follow = computeFollowSets(grammar, first);
+
+    const table = {};
+    const conflicts = [];
+    for (const nt of grammar.nonTerminals) {
+        table[nt] = {};
+    }
+
+    grammar.productions.forEach((prod, index) => {
+        const firstOfRhs = firstOfSequence(prod.rhs, first, grammar);
+        const lookaheads = [...firstOfRhs].filter((t) => t !== EPSILON);
+        if (firstOfRhs.has(EPSILON)) {
+            lookaheads.push(...follow[prod.lhs]);
+        }
+
+        for (const terminal of lookaheads) {
+            const existing = table[prod.lhs][terminal];
+            if (existing !== undefined && existing !== index) {
+                conflicts.push({ nonTerminal: prod.lhs, terminal, productions: [existing, index] });
+                continue; // Keep the first production, as the recursive parser would
+            }
+            table[prod.lhs][terminal] = index;
+        }
+    });
+
+    return { table, conflicts };
+}
+
+const { table: PARSE_TABLE } = buildParseTable(GRAMMAR);
+
+/**
+ * Custom error class for parse errors, includes position info and,
+ * for a token that does not fit, a description of what would have.
+ */
+class ParseError extends Error {
+    constructor(message, token, expected = null) {
+        super(message);
+        this.name = 'ParseError';
+        this.pos = token.pos;
+        this.line = token.line;
+        this.column = token.column;
+        this.expected = expected;
+    }
+}
+
+/**
+ * Builds a "Syntax Error ... Expected X, but found Y" error in the
+ * same wording as the recursive descent parser.
+ */
+function syntaxError(expectedTerminals, token) {
+    const expected = describeExpected(expectedTerminals);
+    const got = token.type === TokenType.EOF ? 'end of input' : `'${token.value}'`;
+    return new ParseError(
+        `Syntax Error at ${formatLocation(token)}: Expected ${expected}, but found ${got}`,
+        token,
+        expected
+    );
+}
+
+// ─────────────────────────────────────────────────────
+//  Public API
+// ─────────────────────────────────────────────────────
+
+/**
+ * Parses a token array with the table-driven LL(1) algorithm.
+ *
+ * @param {Array} tokens - Tokens from the tokenizer (ending in EOF)
+ * @param {Object} [options]
+ * @param {number} [options.maxDepth=DEFAULT_MAX_DEPTH] - Most levels of
+ *        grammar rules, as counted for parse() (see checkNesting)
+ * @returns {{ tree: Object|null, steps: Array, error: string|null, errorPos: number|null, errors: Array }}
+ *          steps: The Stack / Input / Action trace rows; each row keeps the
+ *                 top of the stack and the next input symbols (see
+ *                 formatTraceColumns in grammar.js)
+ */
+export function predictiveParse(tokens, { maxDepth = DEFAULT_MAX_DEPTH } = {}) {
+    let nodeId = 0;
+    const createNode = (label, children = []) => ({ label, children, id: nodeId++ });
+
+    const root = createNode(GRAMMAR.start);
+    // Stack entries: { symbol, node, parent } — the top is the last element
+    const stack = [
+        { symbol: END_MARKER, node: null, parent: null },
+        { symbol: GRAMMAR.start, node: root, parent: null },
+    ];
+    const trace = [];
+    let index = 0;
+
+    const record = (action, rule = '') => {
+        const token = tokens[index];
+        trace.push({
+            stackTop: stack.slice(-TRACE_WINDOW).map((entry) => entry.symbol),
+            stackDepth: stack.length,
+            ...upcomingInput(tokens, index),
+            action,
+            rule,
+            token: token.value,
+            tokenType: token.type,
+            line: token.line,
+            column: token.column,
+            depth: 0,
+        });
+    };
+
+    try {
+        const tooDeep = checkNesting(tokens, maxDepth);
+        if (tooDeep) throw new ParseError(tooDeep.message, tooDeep.token);
+
+        for (;;) {
+            const top = stack[stack.length - 1];
+            const token = tokens[index];
+            const lookahead = terminalForToken(token.type, token.value);
+
+            // $ on both the stack and the input — done
+            if (top.symbol === END_MARKER) {
+                if (lookahead !== END_MARKER) {
+                    throw syntaxError([';', END_MARKER], token);
+                }
+                record('Accept');
+                break;
+            }
+
+            // Terminal on top — must match the lookahead
+            if (!GRAMMAR.nonTerminals.includes(top.symbol)) {
+                if (top.symbol !== lookahead) {
+                    throw syntaxError([top.symbol], token);
+                }
+                record(`Match ${lookahead}`);
+                stack.pop();
+                top.node.label = token.value;
+                top.node.token = token;
+                index++;
+                continue;
+            }
+
+            // Non-terminal on top — consult M[A, a]
+            const prodIndex = PARSE_TABLE[top.symbol][lookahead];
+            if (prodIndex === undefined) {
+                throw syntaxError(Object.keys(PARSE_TABLE[top.symbol]), token);
+            }
+            const prod = GRAMMAR.productions[prodIndex];
+
+            // Stmt' → = E and Stmt' → : id Init are only valid after a bare identifier
+            if (prod.lhs === "Stmt'" && prod.rhs.length > 0 && !isBareIdentifier(top.parent.children[0])) {
+                const startToken = top.parent.children[0].firstToken;
+                const kind = token.type === TokenType.ASSIGN ? 'assignment' : 'annotation';
+                throw new ParseError(
+                    `Syntax Error at ${formatLocation(startToken)}: Invalid ${kind} target, expected an identifier before '${token.value}'`,
+                    startToken
+                );
+            }
+
+            record(`Output ${productionText(prod)}`, productionText(prod));
+            stack.pop();
+
+            if (prod.rhs.length === 0) {
+                top.node.children = [createNode(EPSILON)];
+                continue;
+            }
+
+            top.node.children = prod.rhs.map((symbol) => createNode(symbol));
+            top.node.firstToken = token;
+            for (let i = prod.rhs.length - 1; i >= 0; i--) {
+                stack.push({ symbol: prod.rhs[i], node: top.node.children[i], parent: top.node });
+            }
+        }
+
+        return { tree: stripFirstTokens(root), steps: trace, error: null, errorPos: null, errors: [] };
+    } catch (err) {
+        if (err instanceof ParseError) {
+            record(`Error: ${err.message}`);
+            return {
+                tree: null,
+                steps: trace,
+                error: err.message,
+                errorPos: err.pos,
+                errors: [{ message: err.message, pos: err.pos, line: err.line, column: err.column, expected: err.expected }],
+            };
+        }
+        throw err; // Re-throw unexpected errors
+    }
+}
+
+/**
+ * Removes the firstToken bookkeeping used for error positions so
+ * the tree has exactly the shape parser.js produces.
+ */
+function stripFirstTokens(node) {
+    delete node.firstToken;
+    node.children.forEach(stripFirstTokens);
+    return node;
+}
@@ -0,0 +1,242 @@
+/**
+ * ============================================================
+ * STACK MACHINE COMPILER AND VIRTUAL MACHINE
+ * ============================================================
+ *
+ * Compiles the AST into bytecode for a small stack machine and
+ * runs it one instruction at a time. Every instruction takes its
+ * operands from the top of the operand stack and pushes its
+ * result back, so  a + b * 2  compiles to
+ *
+ *   LOAD a
+ *   LOAD b
+ *   PUSH 2
+ *   MUL
+ *   ADD
+ *
+ * Instruction set:
+ *   PUSH n      push the number n
+ *   LOAD x      push the value of variable x
+ *   STORE x     pop a value into variable x
+ *   DUP         push a copy of the top value
+ *   POP         discard the top value
+ *   ADD SUB MUL DIV POW   pop right, pop left, push left op right
+ *   NEG         pop a, push -a
+ *   CALL f n    pop n arguments, push f(arguments)
+ *   HALT        stop; the top value is the program's result
+ *
+ * Every statement leaves its value on the stack; all but the last
+ * are popped. Assignments DUP the value before storing it, so an
+ * assignment's value is also its statement's value. A declaration
+ * without a value ( n: int ) compiles to nothing.
+ *
+ * Instruction shape:
+ *   { op: string, arg?: number|string, argCount?: number,
+ *     pos: number|null, line: number|null, column: number|null }
+ * pos, line and column locate where runtime errors are reported.
+ * ============================================================
+ */
+
+import { BUILTIN_FUNCTIONS, checkArity } from './evaluator';
+import { isDeclaration } from './ast';
+import { formatLocation } from './location';
+
+const BINARY_OPS = { '+': 'ADD', '-': 'SUB', '*': 'MUL', '/': 'DIV', '^': 'POW' };
+
+/**
+ * Custom error class for runtime errors, includes position info.
+ */
+class RuntimeError extends Error {
+    constructor(message, pos) {
+        super(message);
+        this.name = 'RuntimeError';
+        this.pos = pos;
+    }
+}
+
+// Source location of instructions that cannot fail
+const NO_SOURCE = { pos: null, line: null, column: null };
+
+/**
+ * Source location of the instructions compiled for a node.
+ */
+function sourceOf(node) {
+    return { pos: node.start, line: node.line, column: node.column };
+}
+
+/**
+ * Recursively compiles an AST node, appending to `code`.
+ */
+function compileNode(node, code) {
+    switch (node.type) {
+        case 'Program': {
+            const statements = node.body.filter((stmt) => !isDeclaration(stmt));
+            statements.forEach((stmt, index) => {
+                compileNode(stmt, code);
+                if (index < statements.length - 1) code.push({ op: 'POP', ...NO_SOURCE });
+            });
+            code.push({ op: 'HALT', ...NO_SOURCE });
+            return;
+        }
+
+        case 'Assignment':
+            compileNode(node.value, code);
+            code.push({ op: 'DUP', ...NO_SOURCE });
+            code.push({ op: 'STORE', arg: node.target.name, ...sourceOf(node.target) });
+            return;
+
+        case 'NumberLiteral':
+            code.push({ op: 'PUSH', arg: node.value, ...sourceOf(node) });
+            return;
+
+        case 'Identifier':
+            code.push({ op: 'LOAD', arg: node.name, ...sourceOf(node) });
+            return;
+
+        case 'UnaryExpr':
+            compileNode(node.argument, code);
+            // A unary + leaves its operand unchanged
+            if (node.op === '-') code.push({ op: 'NEG', ...sourceOf(node) });
+            return;
+
+        case 'CallExpr':
+            node.arguments.forEach((arg) => compileNode(arg, code));
+            code.push({ op: 'CALL', arg: node.callee, argCount: node.arguments.length, ...sourceOf(node) });
+            return;
+
+        case 'BinaryExpr':
+            compileNode(node.left, code);
+            compileNode(node.right, code);
+            // DIV reports division by zero at the divisor
+            code.push({ op: BINARY_OPS[node.op], ...sourceOf(node.op === '/' ? node.right : node) });
+            return;
+
+        default:
+            throw new Error(`Unknown AST node type: ${node.type}`);
+    }
+}
+
+/**
+ * Executes one instruction against the machine state.
+ *
+ * @returns {{ loaded: string|null, stored: string|null }} The variable touched, if any
+ */
+function execute(instruction, stack, variables) {
+    const { op, arg, argCount, pos } = instruction;
+    const fail = (message) => {
+        throw new RuntimeError(`Runtime Error at ${formatLocation(instruction)}: ${message}`, pos);
+    };
+
+    switch (op) {
+        case 'PUSH':
+            stack.push(arg);
+            break;
+        case 'LOAD': {
+            if (!Object.hasOwn(variables, arg)) fail(`Unbound identifier '${arg}'`);
+            const value = Number(variables[arg]);
+            if (Number.isNaN(value)) fail(`Identifier '${arg}' is not bound to a number`);
+            stack.push(value);
+            return { loaded: arg, stored: null };
+        }
+        case 'STORE':
+            variables[arg] = stack.pop();
+            return { loaded: null, stored: arg };
+        case 'DUP':
+            stack.push(stack[stack.length - 1]);
+            break;
+        case 'POP':
+            stack.pop();
+            break;
+        case 'NEG':
+            stack.push(-stack.pop());
+            break;
+        case 'CALL': {
+            if (!Object.hasOwn(BUILTIN_FUNCTIONS, arg)) fail(`Unknown function '${arg}'`);
+            const arityError = checkArity(arg, argCount);
+            if (arityError) fail(arityError);
+            const args = stack.splice(stack.length - argCount, argCount);
+            stack.push(BUILTIN_FUNCTIONS[arg].fn(...args));
+            break;
+        }
+        case 'HALT':
+            break;
+        default: {
+            const right = stack.pop();
+            const left = stack.pop();
+            switch (op) {
+                case 'ADD': stack.push(left + right); break;
+                case 'SUB': stack.push(left - right); break;
+                case 'MUL': stack.push(left * right); break;
+                case 'POW': stack.push(left ** right); break;
+                case 'DIV':
+                    if (right === 0) fail('Division by zero');
+                    stack.push(left / right);
+                    break;
+                default:
+                    throw new Error(`Unknown instruction: ${op}`);
+            }
+        }
+    }
+    return { loaded: null, stored: null };
+}
+
+// ─────────────────────────────────────────────────────
+//  Public API
+// ─────────────────────────────────────────────────────
+
+/**
+ * Compiles an AST into stack machine bytecode.
+ *
+ * @param {Object} ast - AST root from buildAST()
+ * @returns {Array<Object>} Instructions, ending in HALT
+ */
+export function compileToBytecode(ast) {
+    const code = [];
+    compileNode(ast, code);
+    return code;
+}
+
+/**
+ * Formats an instruction, e.g. "PUSH 2", "LOAD x" or "CALL max, 3".
+ *
+ * @param {Object} instruction
+ * @returns {string}
+ */
+export function instructionText({ op, arg, argCount }) {
+    if (op === 'CALL') return `CALL ${arg}, ${argCount}`;
+    return arg === undefined ? op : `${op} ${arg}`;
+}
+
+/**
+ * Runs bytecode to completion, recording the machine state after
+ * every instruction so it can be stepped through afterwards.
+ * The caller's bindings object is never modified.
+ *
+ * @param {Array<Object>} code     - From compileToBytecode()
+ * @param {Object}        bindings - Map of identifier name → number (or numeric string)
+ * @returns {{ trace: Array, value: number|null, error: string|null, errorPos: number|null }}
+ *          trace: { pc, stack, variables, loaded, stored, error } after each
+ *                 instruction; pc is the index of the instruction executed
+ */
+export function runBytecode(code, bindings = {}) {
+    const stack = [];
+    const variables = { ...bindings };
+    const trace = [];
+
+    for (let pc = 0; pc < code.length; pc++) {
+        try {
+            const { loaded, stored } = execute(code[pc], stack, variables);
+            trace.push({ pc, stack: [...stack], variables: { ...variables }, loaded, stored, error: null });
+        } catch (err) {
+            if (err instanceof RuntimeError) {
+                trace.push({ pc, stack: [...stack], variables: { ...variables }, loaded: null, stored: null, error: err.message });
+                return { trace, value: null, error: err.message, errorPos: err.pos };
+            }
+            throw err; // Re-throw unexpected errors
+        }
+    }
+
+    // A program of declarations only leaves nothing on the stack
+    const value = stack.length > 0 ? stack[stack.length - 1] : null;
+    return { trace, value, error: null, errorPos: null };
+}
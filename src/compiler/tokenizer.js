@@ -3,151 +3,333 @@
  * TOKENIZER (LEXICAL ANALYZER)
  * ============================================================
  * 
- * This module performs lexical analysis on arithmetic expressions.
+ * This module performs lexical analysis on arithmetic programs.
  * It breaks the input string into a stream of tokens that the
  * parser can consume.
  * 
  * Token Types:
- *   NUMBER  - Integer or decimal numbers (e.g., 42, 3.14)
+ *   INT     - Integer numbers (e.g., 42, 1_000, 0xFF, 0b1010)
+ *   FLOAT   - Decimal numbers (e.g., 3.14, .5, 2., 1e-3, 6.02E23)
  *   ID      - Identifiers/variables (e.g., x, foo, bar)
  *   PLUS    - Addition operator (+)
  *   MINUS   - Subtraction operator (-)
  *   STAR    - Multiplication operator (*)
  *   SLASH   - Division operator (/)
+ *   CARET   - Exponentiation operator (^)
  *   LPAREN  - Left parenthesis (()
  *   RPAREN  - Right parenthesis ())
+ *   COMMA   - Argument separator (,)
+ *   ASSIGN  - Assignment operator (=)
+ *   COLON   - Type annotation separator (:)
+ *   SEMI    - Statement separator (;)
  *   EOF     - End of input
  * 
+ * Whitespace (including newlines) and comments are skipped:
+ *   // to the end of the line
+ *   /* up to the next star-slash (block comments do not nest)
+ * 
+ * The scanner is not written by hand: LEXER_RULES lists every
+ * token as a name and a regular expression, in priority order,
+ * and lexerGenerator.js turns the list into a minimised DFA.
+ * tokenize() runs the DFA for the longest match at each offset.
+ * Rules can also skip their lexeme (whitespace, comments) or
+ * report it as an error (unterminated comments, malformed numbers).
+ * 
  * Each token includes:
- *   - type:  The token type
- *   - value: The string value of the token
- *   - pos:   The starting position in the input string
- *   - end:   The ending position in the input string
+ *   - type:   The token type
+ *   - value:  The string value of the token
+ *   - pos:    The starting position in the input string
+ *   - end:    The ending position in the input string
+ *   - line:   The 1-based line the token starts on
+ *   - column: The 1-based column the token starts at
+ * Number tokens (INT, FLOAT) also carry:
+ *   - numericValue: The number the literal denotes
+ *   - radix:        10, 16 (0x prefix) or 2 (0b prefix)
+ *
+ * Digits may be grouped with single underscores (1_000_000,
+ * 0xFF_FF) as long as each '_' sits between two digits.
+ * Malformed literals such as 1e, 0x, 0b102 or 1.2.3 are
+ * lexical errors rather than being split into several tokens.
  * ============================================================
  */
 
+import { createLocator, formatLocation } from './location';
+import { buildLexer } from './lexerGenerator';
+
 // Token type constants
 export const TokenType = {
-  NUMBER:  'NUMBER',
+  INT:     'INT',
+  FLOAT:   'FLOAT',
   ID:      'ID',
   PLUS:    'PLUS',
   MINUS:   'MINUS',
   STAR:    'STAR',
   SLASH:   'SLASH',
+  CARET:   'CARET',
   LPAREN:  'LPAREN',
   RPAREN:  'RPAREN',
+  COMMA:   'COMMA',
+  ASSIGN:  'ASSIGN',
+  COLON:   'COLON',
+  SEMI:    'SEMI',
   EOF:     'EOF',
 };
 
-// Map single characters to their token types
-const SINGLE_CHAR_TOKENS = {
-  '+': TokenType.PLUS,
-  '-': TokenType.MINUS,
-  '*': TokenType.STAR,
-  '/': TokenType.SLASH,
-  '(': TokenType.LPAREN,
-  ')': TokenType.RPAREN,
-};
+/**
+ * Whether a token type is a number literal (INT or FLOAT).
+ * The grammar treats both as the one terminal 'number'.
+ */
+export function isNumberType(type) {
+  return type === TokenType.INT || type === TokenType.FLOAT;
+}
 
 /**
  * Creates a token object.
- * @param {string} type  - One of the TokenType values
- * @param {string} value - The raw string value
- * @param {number} pos   - Start position in the input
- * @param {number} end   - End position in the input
- * @returns {{ type: string, value: string, pos: number, end: number }}
+ * @param {string} type     - One of the TokenType values
+ * @param {string} value    - The raw string value
+ * @param {number} pos      - Start position in the input
+ * @param {number} end      - End position in the input
+ * @param {Object} location - { line, column } of pos
+ * @returns {{ type: string, value: string, pos: number, end: number, line: number, column: number }}
+ */
+function createToken(type, value, pos, end, { line, column }) {
+  return { type, value, pos, end, line, column };
+}
+
+const DIGITS = {
+  10: /[0-9]/,
+  16: /[0-9a-fA-F]/,
+  2:  /[01]/,
+};
+
+const RADIX_PREFIXES = { x: 16, b: 2 };
+const RADIX_NAMES = { 16: 'hexadecimal', 2: 'binary' };
+
+/**
+ * The value and radix of a well-formed number literal.
  */
-function createToken(type, value, pos, end) {
-  return { type, value, pos, end };
+function numberValue(literal) {
+  const digits = literal.replaceAll('_', '');
+  const radix = RADIX_PREFIXES[digits[1]?.toLowerCase()];
+  if (digits[0] === '0' && radix) return { numericValue: parseInt(digits.slice(2), radix), radix };
+  return { numericValue: Number(digits), radix: 10 };
 }
 
 /**
- * Tokenizes an arithmetic expression string.
+ * Explains what is wrong with a malformed number literal.
+ *
+ * @param {string} literal - The whole run of literal-like characters
+ * @returns {{ message: string, at: number }} at is an offset into literal
+ */
+function diagnoseNumber(literal) {
+  let pos = 0;
+  const separatorError = (at) => ({ message: "'_' must separate two digits", at });
+
+  // Skips a run of digits and '_' separators; returns the offset of a
+  // misplaced '_', or -1
+  const skipDigits = (pattern) => {
+    const from = pos;
+    while (pos < literal.length && (pattern.test(literal[pos]) || literal[pos] === '_')) {
+      if (literal[pos] === '_' && (pos === from || !pattern.test(literal[pos + 1] ?? ''))) return pos;
+      pos++;
+    }
+    return -1;
+  };
+
+  // ── 0x / 0b prefixed integers ──
+  const prefix = literal[0] === '0' ? literal[1]?.toLowerCase() : undefined;
+  if (RADIX_PREFIXES[prefix]) {
+    const radix = RADIX_PREFIXES[prefix];
+    pos = 2;
+    const misplaced = skipDigits(DIGITS[radix]);
+    if (misplaced !== -1) return separatorError(misplaced);
+    if (pos === 2) return { message: `expected ${RADIX_NAMES[radix]} digits after '${literal.slice(0, 2)}'`, at: pos };
+    return { message: `'${literal[pos]}' is not a ${RADIX_NAMES[radix]} digit`, at: pos };
+  }
+
+  // ── Decimal: digits, optional fraction, optional exponent ──
+  let misplaced = skipDigits(DIGITS[10]);
+  if (misplaced !== -1) return separatorError(misplaced);
+
+  if (literal[pos] === '.') {
+    pos++;
+    if (literal[pos] === '_') return separatorError(pos);
+    misplaced = skipDigits(DIGITS[10]);
+    if (misplaced !== -1) return separatorError(misplaced);
+  }
+
+  if (literal[pos] === 'e' || literal[pos] === 'E') {
+    pos++;
+    if (literal[pos] === '+' || literal[pos] === '-') pos++;
+    const from = pos;
+    misplaced = skipDigits(DIGITS[10]);
+    if (misplaced !== -1) return separatorError(misplaced);
+    if (pos === from) return { message: 'expected digits in the exponent', at: pos };
+  }
+
+  // A literal cannot run straight into a letter, digit or second '.'
+  return {
+    message: literal[pos] === '.' ? 'a number has at most one decimal point' : `unexpected '${literal[pos]}'`,
+    at: pos,
+  };
+}
+
+// Building blocks of the number patterns
+const DECIMAL = '[0-9](_?[0-9])*';
+const EXPONENT = `[eE][+-]?${DECIMAL}`;
+const BLOCK_COMMENT_BODY = '/\\*([^*]|\\*+[^*/])*';
+
+/**
+ * The token rules, in priority order: the longest match wins, and
+ * of two rules matching the same lexeme the earlier one wins (so
+ * 1e5 is a FLOAT, not a MALFORMED_NUMBER).
+ *
+ * A rule with skip: true produces no token. A rule with an error
+ * function reports its lexeme: error(lexeme, where) returns
+ * { message, at }, at being an offset into the lexeme and where(at)
+ * its formatted location.
+ */
+export const LEXER_RULES = [
+  { name: 'WHITESPACE',    pattern: '\\s+', skip: true },
+  { name: 'LINE_COMMENT',  pattern: '//[^\\n]*', skip: true },
+  { name: 'BLOCK_COMMENT', pattern: `${BLOCK_COMMENT_BODY}\\*+/`, skip: true },
+  {
+    name: 'UNTERMINATED_COMMENT',
+    pattern: `${BLOCK_COMMENT_BODY}\\**`,
+    error: (lexeme, where) => ({ message: `Unterminated comment: '/*' is never closed at ${where(0)}`, at: 0 }),
+  },
+  { name: TokenType.INT,   pattern: '0[xX][0-9a-fA-F](_?[0-9a-fA-F])*' },
+  { name: TokenType.INT,   pattern: '0[bB][01](_?[01])*' },
+  { name: TokenType.FLOAT, pattern: `(${DECIMAL}\\.(${DECIMAL})?|\\.${DECIMAL})(${EXPONENT})?|${DECIMAL}${EXPONENT}` },
+  { name: TokenType.INT,   pattern: DECIMAL },
+  {
+    // Any longer run of literal-like characters, e.g. 1e, 0x, 3x, 1.2.3
+    name: 'MALFORMED_NUMBER',
+    pattern: '\\.?[0-9][0-9a-zA-Z_.]*|\\.?[0-9][0-9_.]*[eE][+-][0-9a-zA-Z_.]*',
+    error: (lexeme, where) => {
+      const { message, at } = diagnoseNumber(lexeme);
+      return { message: `Malformed number '${lexeme}' at ${where(at)}: ${message}`, at };
+    },
+  },
+  { name: TokenType.ID,     pattern: '[a-zA-Z_][a-zA-Z0-9_]*' },
+  { name: TokenType.PLUS,   pattern: '\\+' },
+  { name: TokenType.MINUS,  pattern: '-' },
+  { name: TokenType.STAR,   pattern: '\\*' },
+  { name: TokenType.SLASH,  pattern: '/' },
+  { name: TokenType.CARET,  pattern: '\\^' },
+  { name: TokenType.LPAREN, pattern: '\\(' },
+  { name: TokenType.RPAREN, pattern: '\\)' },
+  { name: TokenType.COMMA,  pattern: ',' },
+  { name: TokenType.ASSIGN, pattern: '=' },
+  { name: TokenType.COLON,  pattern: ':' },
+  { name: TokenType.SEMI,   pattern: ';' },
+];
+
+// The scanner generated from LEXER_RULES, built once
+export const LEXER = buildLexer(LEXER_RULES);
+
+/**
+ * Tokenizes an arithmetic program string.
  * 
- * @param {string} input - The expression to tokenize
- * @returns {{ tokens: Array, error: string|null }}
- *          tokens: Array of token objects
- *          error:  Error message if tokenization fails, null otherwise
+ * @param {string} input - The program to tokenize
+ * @returns {{ tokens: Array, error: string|null, errorPos: number|null }}
+ *          tokens:   Array of token objects
+ *          error:    Error message if tokenization fails, null otherwise
+ *          errorPos: Offset of the offending character
  */
 export function tokenize(input) {
   const tokens = [];
+  const locate = createLocator(input);
   let pos = 0;
 
   while (pos < input.length) {
-    const char = input[pos];
+    const match = LEXER.match(input, pos);
 
-    // ── Skip whitespace ──
-    if (/\s/.test(char)) {
-      pos++;
-      continue;
+    // ── No rule matches: unexpected character ──
+    if (!match) {
+      return {
+        tokens: [],
+        error: `Unexpected character '${input[pos]}' at ${formatLocation(locate(pos))}`,
+        errorPos: pos,
+      };
     }
 
-    // ── Single-character operators and parentheses ──
-    if (SINGLE_CHAR_TOKENS[char]) {
-      tokens.push(createToken(SINGLE_CHAR_TOKENS[char], char, pos, pos + 1));
-      pos++;
-      continue;
-    }
-
-    // ── Numbers (integers and decimals) ──
-    if (/[0-9]/.test(char)) {
-      const start = pos;
-      let hasDecimal = false;
-
-      while (pos < input.length && (/[0-9]/.test(input[pos]) || input[pos] === '.')) {
-        if (input[pos] === '.') {
-          if (hasDecimal) break; // Second decimal point — stop
-          hasDecimal = true;
-        }
-        pos++;
-      }
-
-      const value = input.slice(start, pos);
-      tokens.push(createToken(TokenType.NUMBER, value, start, pos));
-      continue;
-    }
+    const { rule, length } = match;
+    const start = pos;
+    const value = input.slice(start, start + length);
+    pos += length;
 
-    // ── Identifiers (variables) ──
-    if (/[a-zA-Z_]/.test(char)) {
-      const start = pos;
+    // ── Whitespace and comments ──
+    if (rule.skip) continue;
 
-      while (pos < input.length && /[a-zA-Z0-9_]/.test(input[pos])) {
-        pos++;
-      }
-
-      const value = input.slice(start, pos);
-      tokens.push(createToken(TokenType.ID, value, start, pos));
-      continue;
+    // ── Error rules ──
+    if (rule.error) {
+      const { message, at } = rule.error(value, (offset) => formatLocation(locate(start + offset)));
+      return { tokens: [], error: message, errorPos: start + at };
     }
 
-    // ── Unexpected character ──
-    return {
-      tokens: [],
-      error: `Unexpected character '${char}' at position ${pos}`,
-      errorPos: pos,
-    };
+    const token = createToken(rule.name, value, start, pos, locate(start));
+    tokens.push(isNumberType(rule.name) ? { ...token, ...numberValue(value) } : token);
   }
 
   // Append the EOF token
-  tokens.push(createToken(TokenType.EOF, 'EOF', pos, pos));
+  tokens.push(createToken(TokenType.EOF, 'EOF', pos, pos, locate(pos)));
 
   return { tokens, error: null, errorPos: null };
 }
 
+/**
+ * Splits a program into lexemes for syntax highlighting. Unlike
+ * tokenize() it keeps whitespace and comments, and never stops:
+ * the text of a lexical error is a lexeme of its own and scanning
+ * carries on after it, so the rest of the input is still coloured.
+ *
+ * @param {string} input
+ * @returns {Array<{ kind: string, text: string, start: number, end: number }>}
+ *          kind: A TokenType, or 'WHITESPACE', 'COMMENT' or 'ERROR'
+ */
+export function scanLexemes(input) {
+  const lexemes = [];
+  let pos = 0;
+
+  while (pos < input.length) {
+    const match = LEXER.match(input, pos);
+    const length = match ? match.length : 1;
+
+    let kind = 'ERROR';
+    if (match?.rule.skip) {
+      kind = match.rule.name === 'WHITESPACE' ? 'WHITESPACE' : 'COMMENT';
+    } else if (match && !match.rule.error) {
+      kind = match.rule.name;
+    }
+
+    lexemes.push({ kind, text: input.slice(pos, pos + length), start: pos, end: pos + length });
+    pos += length;
+  }
+
+  return lexemes;
+}
+
 /**
  * Returns a human-readable label for a token type.
  * Used in the UI to display token information.
  */
 export function tokenTypeLabel(type) {
   const labels = {
-    [TokenType.NUMBER]: 'Number',
+    [TokenType.INT]:    'Integer',
+    [TokenType.FLOAT]:  'Float',
     [TokenType.ID]:     'Identifier',
     [TokenType.PLUS]:   'Plus (+)',
     [TokenType.MINUS]:  'Minus (−)',
     [TokenType.STAR]:   'Multiply (×)',
     [TokenType.SLASH]:  'Divide (÷)',
+    [TokenType.CARET]:  'Power (^)',
     [TokenType.LPAREN]: 'Left Paren',
     [TokenType.RPAREN]: 'Right Paren',
+    [TokenType.COMMA]:  'Comma',
+    [TokenType.ASSIGN]: 'Assign (=)',
+    [TokenType.COLON]:  'Colon (:)',
+    [TokenType.SEMI]:   'Semicolon',
     [TokenType.EOF]:    'End of Input',
   };
   return labels[type] || type;
@@ -23,7 +23,9 @@ const MIN_SIBLING_SEP = 20;
  * 
  * @param {Object} root - The root node of the parse tree
  * @returns {{ nodes: Array, edges: Array, width: number, height: number }}
- *   nodes: Array of { id, label, x, y, depth }
+ *   nodes: Array of { id, label, x, y, depth, location, isLeaf, isEpsilon, isError,
+ *                     isOperator, isUnaryOperator, isNonTerminal }
+ *          location is the { line, column } the node starts at, or null
  *   edges: Array of { from: {x,y}, to: {x,y}, fromId, toId }
  *   width:  Total width of the tree layout
  *   height: Total height of the tree layout
@@ -63,7 +65,7 @@ export function computeTreeLayout(root) {
     let maxX = 0;
     let maxDepth = 0;
 
-    function collect(node) {
+    function collect(node, parent = null) {
         const x = node._x + NODE_WIDTH / 2;
         const y = node._depth * LEVEL_HEIGHT + NODE_HEIGHT / 2 + 20;
 
@@ -73,10 +75,13 @@ export function computeTreeLayout(root) {
             x,
             y,
             depth: node._depth,
+            location: sourceLocation(node),
             isLeaf: !node.children || node.children.length === 0,
             isEpsilon: node.label === 'ε',
-            isOperator: ['+', '-', '*', '/', '(', ')'].includes(node.label),
-            isNonTerminal: ["E", "E'", "T", "T'", "F"].includes(node.label),
+            isError: node.label === '⚠',
+            isOperator: ['+', '-', '*', '/', '^', '(', ')', ',', '=', ';'].includes(node.label),
+            isUnaryOperator: isUnaryOperator(node, parent),
+            isNonTerminal: ["Program", "Stmts", "Stmts'", "Stmt", "Stmt'", "Init", "E", "E'", "T", "T'", "P", "P'", "F", "Call", "Args", "Args'"].includes(node.label),
         });
 
         if (x > maxX) maxX = x;
@@ -94,7 +99,7 @@ export function computeTreeLayout(root) {
                     to: { x: childX, y: childY - 18 },
                 });
 
-                collect(child);
+                collect(child, node);
             }
         }
     }
@@ -109,6 +114,32 @@ export function computeTreeLayout(root) {
     };
 }
 
+/**
+ * Where a node starts in the source: its own line / column (AST
+ * display nodes), its token's (parse tree leaves), or else that of
+ * its first child which has one. ε and error nodes have none.
+ */
+function sourceLocation(node) {
+    if (node.line) return { line: node.line, column: node.column };
+    if (node.token) return { line: node.token.line, column: node.token.column };
+    for (const child of node.children ?? []) {
+        const location = sourceLocation(child);
+        if (location) return location;
+    }
+    return null;
+}
+
+/**
+ * A '+' or '-' is a unary sign rather than a binary operator when it
+ * is the leading child of P (parse tree, P → - P | + P) or when it
+ * has a single operand (AST view).
+ */
+function isUnaryOperator(node, parent) {
+    if (node.label !== '+' && node.label !== '-') return false;
+    if (node.children && node.children.length === 1) return true;
+    return !!parent && parent.label === 'P' && parent.children[0] === node;
+}
+
 /**
  * Recursively assigns depth values to tree nodes.
  */
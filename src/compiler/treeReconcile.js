@@ -0,0 +1,168 @@
+/**
+ * ============================================================
+ * TREE RECONCILIATION
+ * ============================================================
+ *
+ * Every parse numbers its tree nodes from 0 again, so re-parsing
+ * as the input is typed would give the tree view a wholly new
+ * tree each time. Reconciling the new tree against the previous
+ * one carries ids across instead:
+ *
+ *   1. Every subtree gets a shape number: equal numbers mean equal
+ *      labels all the way down
+ *   2. Top-down through the new tree, a subtree whose shape is in
+ *      the previous tree — preferably at the same place, else
+ *      anywhere, e.g. after text was inserted before it — takes
+ *      over that subtree's ids wholesale
+ *   3. The remaining, changed nodes keep the id of the node at the
+ *      same place when it has the same label, or get a fresh one
+ *
+ * Only ids change; the new nodes keep their own tokens and source
+ * positions. The same code serves parse trees and ASTs through
+ * accessors for a node's children and label.
+ * ============================================================
+ */
+
+const PARSE_TREE = {
+    childrenOf: (node) => node.children,
+    labelOf: (node) => node.label,
+};
+
+/**
+ * Every node of a subtree, in pre-order. Walks with a stack of its
+ * own rather than by recursion, as do the other walks here, so a
+ * tree as deep as the parsers allow cannot overflow the call stack.
+ */
+function subtreeNodes(root, childrenOf) {
+    const nodes = [];
+    const pending = [root];
+    while (pending.length > 0) {
+        const node = pending.pop();
+        nodes.push(node);
+        const children = childrenOf(node);
+        for (let i = children.length - 1; i >= 0; i--) pending.push(children[i]);
+    }
+    return nodes;
+}
+
+/**
+ * Numbers the shape of every subtree. Shapes are interned as
+ * "label(child shape, ...)" strings, so each key stays short
+ * however deep the tree is.
+ */
+function numberShapes(root, shape, interned, { childrenOf, labelOf }) {
+    // Children come after their parent in pre-order, so in reverse
+    // every child is numbered before its parent
+    const nodes = subtreeNodes(root, childrenOf);
+    for (let i = nodes.length - 1; i >= 0; i--) {
+        const node = nodes[i];
+        const childShapes = childrenOf(node).map((child) => shape.get(child));
+        const key = `${labelOf(node)}(${childShapes.join(',')})`;
+        if (!interned.has(key)) interned.set(key, interned.size);
+        shape.set(node, interned.get(key));
+    }
+}
+
+// ─────────────────────────────────────────────────────
+//  Public API
+// ─────────────────────────────────────────────────────
+
+/**
+ * Gives the nodes of `next` the ids of matching nodes of `previous`
+ * (see above); other nodes get ids larger than any in `previous`.
+ * Mutates and returns `next`.
+ *
+ * @param {Object|null} previous - The tree shown before
+ * @param {Object|null} next - The freshly parsed tree
+ * @param {Object} [accessors] - { childrenOf(node), labelOf(node) };
+ *        parse tree { label, children } nodes by default
+ * @returns {Object|null} next
+ */
+export function reconcileIds(previous, next, accessors = PARSE_TREE) {
+    if (!previous || !next) return next;
+    const { childrenOf, labelOf } = accessors;
+
+    // Step 1: Shapes of both trees, numbered alike
+    const shape = new Map();
+    const interned = new Map();
+    numberShapes(previous, shape, interned, accessors);
+    numberShapes(next, shape, interned, accessors);
+
+    const previousNodes = subtreeNodes(previous, childrenOf);
+    const parent = new Map();
+    const byShape = new Map();
+    for (const node of previousNodes) {
+        for (const child of childrenOf(node)) parent.set(child, node);
+        if (!byShape.has(shape.get(node))) byShape.set(shape.get(node), []);
+        byShape.get(shape.get(node)).push(node);
+    }
+
+    // A previous subtree is free to take over while none of its nodes
+    // has been: adopting one marks its nodes and their ancestors taken,
+    // up to the first ancestor already marked, so each node is marked
+    // once and the check needs no walk
+    const used = new Set();
+    const taken = new Set();
+    const isFree = (root) => !taken.has(root);
+    const adopt = (node, match) => {
+        for (let above = parent.get(match); above && !taken.has(above); above = parent.get(above)) {
+            taken.add(above);
+        }
+        const pending = [[node, match]];
+        while (pending.length > 0) {
+            const [copy, original] = pending.pop();
+            copy.id = original.id;
+            used.add(original.id);
+            taken.add(original);
+            const originalChildren = childrenOf(original);
+            childrenOf(copy).forEach((child, i) => pending.push([child, originalChildren[i]]));
+        }
+    };
+
+    // Taken subtrees never become free again, so each shape's list is
+    // searched from where the last search stopped
+    const searched = new Map();
+    const findFree = (shapeNumber) => {
+        const candidates = byShape.get(shapeNumber) ?? [];
+        let i = searched.get(shapeNumber) ?? 0;
+        while (i < candidates.length && !isFree(candidates[i])) i++;
+        searched.set(shapeNumber, i);
+        return candidates[i];
+    };
+
+    // Step 2: Unchanged subtrees, at the same place or moved, top-down
+    // and left to right
+    const changed = [];
+    const pending = [[next, previous]];
+    while (pending.length > 0) {
+        const [node, counterpart] = pending.pop();
+        const match = counterpart && shape.get(counterpart) === shape.get(node) && isFree(counterpart)
+            ? counterpart
+            : findFree(shape.get(node));
+        if (match) {
+            adopt(node, match);
+            continue;
+        }
+
+        changed.push({ node, counterpart });
+        const sameRule = counterpart && labelOf(counterpart) === labelOf(node);
+        const counterpartChildren = sameRule ? childrenOf(counterpart) : [];
+        const children = childrenOf(node);
+        for (let i = children.length - 1; i >= 0; i--) {
+            pending.push([children[i], counterpartChildren[i] ?? null]);
+        }
+    }
+
+    // Step 3: Changed nodes, in place where possible
+    let nextId = previousNodes.reduce((max, node) => Math.max(max, node.id), -1) + 1;
+    for (const { node, counterpart } of changed) {
+        if (counterpart && labelOf(counterpart) === labelOf(node) && !used.has(counterpart.id)) {
+            node.id = counterpart.id;
+        } else {
+            node.id = nextId++;
+        }
+        used.add(node.id);
+    }
+
+    return next;
+}
@@ -0,0 +1,263 @@
+/**
+ * ============================================================
+ * STATIC TYPE CHECKER
+ * ============================================================
+ *
+ * Infers one of two number types for every AST node:
+ *
+ *   int    - integer literals (42), int-annotated identifiers,
+ *            + - * of ints, floor / ceil / round / int(...)
+ *   float  - decimal literals (3.14), float-annotated identifiers,
+ *            anything involving a float, every '/', most functions
+ *
+ * Identifiers take their type from an annotation ( x: int ), or
+ * else from the last value assigned to them. An identifier with
+ * neither is bound from outside at run time and assumed float.
+ *
+ * The checker never changes how the program runs; the evaluator
+ * still computes with plain JavaScript numbers. It reports:
+ *
+ *   Always (errors)
+ *     - a float assigned to an int-annotated identifier
+ *     - an identifier annotated with two different types
+ *     - unknown type names, unknown functions, wrong argument counts
+ *   Strict mode only, where ints are never converted silently
+ *     - mixing int and float operands (errors)
+ *     - an int passed where a float is expected (errors)
+ *     - integer division: '/' of two ints, which gives a float (errors)
+ *     - identifiers with no annotation (warnings)
+ *
+ * Diagnostic shape:
+ *   { severity: 'error'|'warning', message: string, pos: number,
+ *     line: number, column: number }
+ * ============================================================
+ */
+
+import { BUILTIN_FUNCTIONS, checkArity } from './evaluator';
+import { formatLocation } from './location';
+
+export const NUMBER_TYPES = ['int', 'float'];
+
+/**
+ * Parameter and result types of the built-in functions.
+ * 'same' means: the type all arguments share (int only if every
+ * argument is an int).
+ */
+const FUNCTION_TYPES = {
+    sin:   { params: 'float', returns: 'float' },
+    cos:   { params: 'float', returns: 'float' },
+    tan:   { params: 'float', returns: 'float' },
+    sqrt:  { params: 'float', returns: 'float' },
+    log:   { params: 'float', returns: 'float' },
+    exp:   { params: 'float', returns: 'float' },
+    pow:   { params: 'float', returns: 'float' },
+    floor: { params: 'float', returns: 'int' },
+    ceil:  { params: 'float', returns: 'int' },
+    round: { params: 'float', returns: 'int' },
+    abs:   { params: 'same',  returns: 'same' },
+    min:   { params: 'same',  returns: 'same' },
+    max:   { params: 'same',  returns: 'same' },
+    int:   { params: 'any',   returns: 'int' },
+    float: { params: 'any',   returns: 'float' },
+};
+
+/**
+ * Creates a checker for one program. Everything it infers and
+ * reports belongs to the checker, so checks never share state.
+ *
+ * @param {boolean} strict - Report implicit int → float conversions
+ * @returns {{ checkNode: Function, types: Object, diagnostics: Array,
+ *             declared: Object, inferred: Object, names: Array }}
+ */
+function createChecker(strict) {
+    const types = {};         // Inferred type by AST node id
+    const diagnostics = [];   // Errors and warnings found so far
+    const declared = {};      // Annotated type by identifier name
+    const inferred = {};      // Type of the last value assigned, by name
+    const assumed = {};       // Unannotated free identifiers, assumed float
+    const names = [];         // Identifier names in order of first appearance
+
+    /**
+     * Records a diagnostic at a node or type annotation.
+     */
+    function report(severity, message, { start, line, column }) {
+        const label = severity === 'error' ? 'Type Error' : 'Type Warning';
+        diagnostics.push({
+            severity,
+            message: `${label} at ${formatLocation({ line, column })}: ${message}`,
+            pos: start,
+            line,
+            column,
+        });
+    }
+
+    /**
+     * Records a node's type and returns it.
+     */
+    function annotate(node, type) {
+        types[node.id] = type;
+        return type;
+    }
+
+    /**
+     * Common type of operands: int only when all are ints. Mixing the
+     * two is an error in strict mode, where the int is not converted.
+     */
+    function unify(operandTypes, node, what) {
+        if (operandTypes.every((t) => t === 'int')) return 'int';
+        if (strict && operandTypes.includes('int')) {
+            report('error', `Mixed int and float operands to ${what}; convert the int with float(...)`, node);
+        }
+        return 'float';
+    }
+
+    /**
+     * Records an identifier's annotation, reporting unknown types
+     * and conflicting redeclarations. Returns the declared type, if any.
+     */
+    function declare(identifier) {
+        const { name, typeAnnotation } = identifier;
+        if (!names.includes(name)) names.push(name);
+        if (!typeAnnotation) return declared[name] ?? null;
+
+        if (!NUMBER_TYPES.includes(typeAnnotation.name)) {
+            report('error', `Unknown type '${typeAnnotation.name}', expected int or float`, typeAnnotation);
+            return declared[name] ?? null;
+        }
+        if (declared[name] && declared[name] !== typeAnnotation.name) {
+            report('error', `'${name}' is already declared ${declared[name]}, cannot redeclare it ${typeAnnotation.name}`, typeAnnotation);
+            return declared[name];
+        }
+        declared[name] = typeAnnotation.name;
+        return declared[name];
+    }
+
+    /**
+     * Checks that a value of type `actual` may be stored as `expected`.
+     */
+    function checkConversion(actual, expected, node, what) {
+        if (actual === 'float' && expected === 'int') {
+            report('error', `Cannot use a float as ${what}, which is int; convert it with int(...)`, node);
+        } else if (strict && actual === 'int' && expected === 'float') {
+            report('error', `Implicit conversion of an int to float for ${what}`, node);
+        }
+    }
+
+    function checkNode(node) {
+        switch (node.type) {
+            case 'Program': {
+                const stmtTypes = node.body.map(checkNode);
+                return annotate(node, stmtTypes[stmtTypes.length - 1]);
+            }
+
+            case 'Assignment': {
+                const valueType = checkNode(node.value);
+                const { name } = node.target;
+                const declaredType = declare(node.target);
+                if (declaredType) checkConversion(valueType, declaredType, node.value, `the value of '${name}'`);
+
+                inferred[name] = declaredType ?? valueType;
+                annotate(node.target, inferred[name]);
+                return annotate(node, inferred[name]);
+            }
+
+            case 'NumberLiteral':
+                return annotate(node, node.numberType);
+
+            case 'Identifier': {
+                const { name } = node;
+                const declaredType = declare(node);
+                if (declaredType) return annotate(node, declaredType);
+                if (inferred[name]) return annotate(node, inferred[name]);
+
+                if (!assumed[name]) {
+                    assumed[name] = true;
+                    if (strict) report('warning', `'${name}' has no type annotation, assuming float`, node);
+                }
+                return annotate(node, 'float');
+            }
+
+            case 'UnaryExpr':
+                return annotate(node, checkNode(node.argument));
+
+            case 'BinaryExpr': {
+                const left = checkNode(node.left);
+                const right = checkNode(node.right);
+
+                if (node.op === '/') {
+                    if (strict && left === 'int' && right === 'int') {
+                        report('error', "Integer division: '/' of two ints gives a float; convert one with float(...)", node);
+                    } else {
+                        unify([left, right], node, "'/'");
+                    }
+                    return annotate(node, 'float');
+                }
+
+                const type = unify([left, right], node, `'${node.op}'`);
+                // An int power is an int only for a non-negative literal exponent
+                if (node.op === '^' && type === 'int' && node.right.type !== 'NumberLiteral') {
+                    return annotate(node, 'float');
+                }
+                return annotate(node, type);
+            }
+
+            case 'CallExpr':
+                return annotate(node, checkCall(node));
+
+            default:
+                throw new Error(`Unknown AST node type: ${node.type}`);
+        }
+    }
+
+    function checkCall(node) {
+        const { callee } = node;
+        const argTypes = node.arguments.map(checkNode);
+
+        if (!Object.hasOwn(FUNCTION_TYPES, callee) || !Object.hasOwn(BUILTIN_FUNCTIONS, callee)) {
+            report('error', `Unknown function '${callee}'`, node);
+            return 'float';
+        }
+        const arityError = checkArity(callee, node.arguments.length);
+        if (arityError) report('error', arityError, node);
+
+        const { params, returns } = FUNCTION_TYPES[callee];
+        if (params === 'same') return unify(argTypes, node, `'${callee}'`);
+        if (params === 'float') {
+            argTypes.forEach((type, index) => {
+                checkConversion(type, 'float', node.arguments[index], `argument ${index + 1} of '${callee}'`);
+            });
+        }
+        return returns;
+    }
+
+    return { checkNode, types, diagnostics, declared, inferred, names };
+}
+
+// ─────────────────────────────────────────────────────
+//  Public API
+// ─────────────────────────────────────────────────────
+
+/**
+ * Infers the type of every node of an AST and reports type errors.
+ *
+ * @param {Object}  ast              - AST root from buildAST()
+ * @param {Object}  [options]
+ * @param {boolean} [options.strict] - Forbid implicit int → float conversions
+ * @returns {{ type: string, types: Object<number, string>, variables: Array, diagnostics: Array }}
+ *          type:      the program's type, that of its last statement
+ *          types:     'int' | 'float' by AST node id
+ *          variables: { name, type, source: 'declared'|'inferred'|'assumed' }
+ *                     for every identifier, in order of first appearance
+ */
+export function checkTypes(ast, { strict = false } = {}) {
+    const { checkNode, types, diagnostics, declared, inferred, names } = createChecker(strict);
+    const type = checkNode(ast);
+
+    const variables = names.map((name) => {
+        if (declared[name]) return { name, type: declared[name], source: 'declared' };
+        if (inferred[name]) return { name, type: inferred[name], source: 'inferred' };
+        return { name, type: 'float', source: 'assumed' };
+    });
+
+    return { type, types, variables, diagnostics };
+}
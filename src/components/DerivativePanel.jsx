@@ -0,0 +1,68 @@
+import StepLog from './StepLog';
+import ParseTreeView from './ParseTreeView';
+import { formatAST } from '../compiler/ast';
+import './DerivativePanel.css';
+
+/**
+ * DerivativePanel Component
+ *
+ * Shows the symbolic derivative of the parsed program with respect
+ * to one of its identifiers.
+ * Features:
+ *  - Choice of the identifier to differentiate by
+ *  - The simplified derivative as source text
+ *  - The sum / product / quotient / chain rules applied, step by step
+ *  - The optimizer's simplification of the raw derivative
+ *  - The derivative's tree
+ *  - Positioned errors for functions with no derivative (floor, min, ...)
+ */
+export default function DerivativePanel({ derivative, onVariableChange }) {
+    if (!derivative) return null;
+
+    const { variable, variables, steps, simplifySteps, error, tree, layout } = derivative;
+
+    return (
+        <div className="derivative-container">
+            <div className="section-header">
+                <span className="section-icon">📐</span>
+                <h2>Derivative</h2>
+                <div className="derivative-variables">
+                    {variables.map((name) => (
+                        <button
+                            key={name}
+                            className={`derivative-variable ${name === variable ? 'active' : ''}`}
+                            onClick={() => onVariableChange(name)}
+                        >
+                            d/d{name}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            <div className="derivative-result">
+                <span className="derivative-label">d/d{variable}</span>
+                {error
+                    ? <span className="derivative-error">{error}</span>
+                    : <code className="derivative-value">{formatAST(derivative.ast)}</code>}
+            </div>
+
+            {steps.length > 0 && (
+                <div className="derivative-log">
+                    <StepLog steps={steps} activeStep={-1} title="Rules Applied" icon="📏" />
+                </div>
+            )}
+
+            {simplifySteps.length > 0 && (
+                <div className="derivative-log">
+                    <StepLog steps={simplifySteps} activeStep={-1} title="Simplification" icon="✨" />
+                </div>
+            )}
+
+            {tree && (
+                <div className="derivative-tree">
+                    <ParseTreeView tree={tree} layouts={{ parse: layout }} title={`d/d${variable} Tree`} />
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,74 @@
+import { collectIdentifiers } from '../compiler/evaluator';
+import './EvaluatorPanel.css';
+
+/**
+ * EvaluatorPanel Component
+ *
+ * Lets the user bind values to the identifiers in the parsed
+ * expression and shows the computed result.
+ * Features:
+ *  - One input per distinct identifier
+ *  - Live result as values are typed
+ *  - Values assigned by the program's statements
+ *  - Runtime errors (division by zero, unbound identifiers) with position
+ */
+export default function EvaluatorPanel({ ast, bindings, onBindingChange, evaluation }) {
+    if (!ast || !evaluation) return null;
+
+    const identifiers = collectIdentifiers(ast);
+    const assigned = Object.entries(evaluation.variables);
+
+    return (
+        <div className="evaluator-container">
+            <div className="section-header">
+                <span className="section-icon">🧮</span>
+                <h2>Evaluation</h2>
+            </div>
+
+            {identifiers.length > 0 && (
+                <div className="variable-grid">
+                    {identifiers.map((name) => (
+                        <label key={name} className="variable-field">
+                            <span className="variable-name">{name}</span>
+                            <span className="variable-equals">=</span>
+                            <input
+                                type="text"
+                                inputMode="decimal"
+                                className="variable-input"
+                                value={bindings[name] ?? ''}
+                                onChange={(e) => onBindingChange(name, e.target.value)}
+                                placeholder="value"
+                                spellCheck={false}
+                                autoComplete="off"
+                            />
+                        </label>
+                    ))}
+                </div>
+            )}
+
+            {assigned.length > 0 && (
+                <div className="assigned-list">
+                    {assigned.map(([name, value]) => (
+                        <span key={name} className="assigned-chip">
+                            <span className="variable-name">{name}</span>
+                            <span className="variable-equals">=</span>
+                            <span className="assigned-value">{value}</span>
+                        </span>
+                    ))}
+                </div>
+            )}
+
+            {evaluation.error ? (
+                <div className="evaluation-result error">
+                    <span className="error-icon">⚠️</span>
+                    <span>{evaluation.error}</span>
+                </div>
+            ) : (
+                <div className="evaluation-result">
+                    <span className="result-label">Result</span>
+                    <span className="result-value">{evaluation.value}</span>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -1,3 +1,7 @@
+import { useMemo, useRef, useState } from 'react';
+import { caretExcerpt } from '../compiler/location';
+import { DEFAULT_MAX_DEPTH } from '../compiler/parser';
+import { scanLexemes } from '../compiler/tokenizer';
 import './ExpressionInput.css';
 
 /**
@@ -5,10 +9,19 @@ import './ExpressionInput.css';
  * 
  * The main input area where users type arithmetic expressions.
  * Features:
- *  - Syntax-highlighted input display
- *  - Error position highlighting
+ *  - Multi-line editor with // and /*-style comments (Ctrl+Enter parses)
+ *  - Syntax highlighting: a copy of the text drawn under the
+ *    transparent editor text, each token colored by its type
+ *  - Squiggles under syntax errors, with a tooltip giving the full
+ *    message and the expected tokens; clicking one moves the caret there
+ *  - Error list, with the source line and a caret under each error
  *  - Example expression buttons
- *  - Parse and Reset action buttons
+ *  - Parse and Reset action buttons; Parse turns into Cancel while
+ *    a parse is running in the background
+ *  - Live mode toggle, to re-parse whenever typing pauses
+ *  - Nesting limit: how deep a parse tree, in grammar rules, the
+ *    parsers accept before reporting the input as too long or deep
+ *  - Recursive descent / table-driven parser switch
  */
 
 const EXAMPLES = [
@@ -18,26 +31,164 @@ const EXAMPLES = [
     { label: '42', value: '42' },
     { label: '2*(3+4)-5/1', value: '2*(3+4)-5/1' },
     { label: '((a+b))', value: '((a+b))' },
+    { label: '2*-(a+b)', value: '2*-(a+b)' },
+    { label: '2^3^2', value: '2^3^2' },
+    { label: 'max(a, sin(x), 2)', value: 'max(a, sin(x), 2)' },
+    { label: 'x = 3; y = x * 2; y + 1', value: 'x = 3; y = x * 2; y + 1' },
+    { label: 'n: int = 7; r: float = n / 2', value: 'n: int = 7; r: float = n / 2' },
+    { label: '0xFF + 1_000 * 1e-3', value: '0xFF + 1_000 * 1e-3' },
+    {
+        label: 'multi-line // comments',
+        value: '// Area of a circle\nr: float = 2.5;\n/* pi to five places */\npi = 3.14159;\npi * r ^ 2',
+    },
 ];
 
+// Fewest and most rows the editor grows between
+const MIN_ROWS = 3;
+const MAX_ROWS = 12;
+
+// Range of the nesting limit. The default is already as deep as the
+// tree passes after the parsers can safely go.
+const MIN_DEPTH = 100;
+const MAX_DEPTH = DEFAULT_MAX_DEPTH;
+
+/**
+ * The span each syntax error underlines, in source order: from the
+ * error to the end of the lexeme it is in, or a one-character
+ * placeholder past the text for an unexpected end of input. Errors
+ * within an earlier one's span are left out.
+ */
+function errorMarks(errors, lexemes, length) {
+    const marks = [];
+    const positioned = errors
+        .filter((err) => err.pos !== null && err.pos !== undefined)
+        .sort((a, b) => a.pos - b.pos);
+
+    for (const err of positioned) {
+        const start = Math.min(err.pos, length);
+        if (marks.length > 0 && start < marks[marks.length - 1].end) continue;
+
+        const lexeme = lexemes.find((l) => l.start <= start && start < l.end && l.kind !== 'WHITESPACE');
+        marks.push({ ...err, start, end: lexeme ? lexeme.end : start + 1 });
+    }
+    return marks;
+}
+
+/**
+ * Splits the lexemes where error spans begin and end, so each piece
+ * of text has one token kind and lies wholly in or out of a mark.
+ */
+function highlightPieces(lexemes, marks, length) {
+    const cuts = marks.flatMap((mark) => [mark.start, mark.end]);
+    const pieces = [];
+
+    for (const lexeme of lexemes) {
+        const bounds = [lexeme.start, ...cuts.filter((cut) => cut > lexeme.start && cut < lexeme.end), lexeme.end];
+        for (let i = 1; i < bounds.length; i++) {
+            pieces.push({ kind: lexeme.kind, start: bounds[i - 1], end: bounds[i] });
+        }
+    }
+    // The placeholder an error at the end of the input underlines
+    if (marks.some((mark) => mark.start === length)) {
+        pieces.push({ kind: 'EOF', start: length, end: length + 1 });
+    }
+
+    return pieces.map((piece) => ({
+        ...piece,
+        mark: marks.findIndex((mark) => mark.start <= piece.start && piece.start < mark.end),
+    }));
+}
+
+/**
+ * The line an error is on, with a caret under its column:
+ *
+ *   3 | y = (x + 1;
+ *     |          ^
+ */
+function ErrorExcerpt({ source, pos }) {
+    if (pos === null || pos === undefined) return null;
+
+    const { line, text, caret } = caretExcerpt(source, pos);
+    const gutter = String(line);
+    return (
+        <pre className="error-excerpt">
+            {`${gutter} | ${text}\n${' '.repeat(gutter.length)} | ${caret}`}
+        </pre>
+    );
+}
+
 export default function ExpressionInput({
     input,
     onInputChange,
     onParse,
+    onCancel,
     onReset,
     onAnimate,
     error,
     errorPos,
+    errors = [],
+    parsedInput,
     isParsed,
+    isParsing,
+    liveMode,
+    onLiveModeChange,
+    maxDepth,
+    onMaxDepthChange,
     isAnimating,
     hasSteps,
+    parserMode,
+    onParserModeChange,
 }) {
+    // Enter starts a new line; Ctrl+Enter (Cmd+Enter on macOS) parses
     const handleKeyDown = (e) => {
-        if (e.key === 'Enter') {
+        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
             onParse();
         }
     };
 
+    const rows = Math.min(MAX_ROWS, Math.max(MIN_ROWS, input.split('\n').length));
+
+    const wrapperRef = useRef(null);
+    const textareaRef = useRef(null);
+    const highlightRef = useRef(null);
+    const [tooltip, setTooltip] = useState(null); // { mark, left, top }
+
+    // Errors are only marked while the text is the text they were found in
+    const lexemes = useMemo(() => scanLexemes(input), [input]);
+    const marks = useMemo(() => {
+        if (parsedInput !== input) return [];
+        const reported = errors.length > 0 ? errors : [{ message: error, pos: errorPos, expected: null }];
+        return errorMarks(reported, lexemes, input.length);
+    }, [parsedInput, input, errors, error, errorPos, lexemes]);
+    const pieces = useMemo(() => highlightPieces(lexemes, marks, input.length), [lexemes, marks, input.length]);
+
+    const handleChange = (e) => {
+        setTooltip(null);
+        onInputChange(e.target.value);
+    };
+
+    // The highlighted copy scrolls along with the editor
+    const handleScroll = (e) => {
+        highlightRef.current.scrollTop = e.currentTarget.scrollTop;
+        highlightRef.current.scrollLeft = e.currentTarget.scrollLeft;
+    };
+
+    const showTooltip = (e, mark) => {
+        const piece = e.currentTarget.getBoundingClientRect();
+        const wrapper = wrapperRef.current.getBoundingClientRect();
+        setTooltip({ mark, left: piece.left - wrapper.left, top: piece.bottom - wrapper.top + 6 });
+    };
+
+    // The squiggles lie over the editor, so a click on one puts the caret at its error
+    const jumpToMark = (e, mark) => {
+        e.preventDefault();
+        textareaRef.current.focus();
+        textareaRef.current.setSelectionRange(marks[mark].start, marks[mark].start);
+    };
+
+    const hovered = tooltip ? marks[tooltip.mark] : null;
+
     return (
         <div className="input-container">
             <div className="section-header">
@@ -46,33 +197,109 @@ export default function ExpressionInput({
             </div>
 
             <div className="input-area">
-                <div className={`input-wrapper ${error ? 'has-error' : ''} ${isParsed && !error ? 'success' : ''}`}>
-                    <input
+                <div
+                    ref={wrapperRef}
+                    className={`input-wrapper ${error ? 'has-error' : ''} ${isParsed && !error ? 'success' : ''}`}
+                >
+                    <textarea
+                        ref={textareaRef}
                         id="expression-input"
-                        type="text"
                         className="expression-input"
+                        rows={rows}
                         value={input}
-                        onChange={(e) => onInputChange(e.target.value)}
+                        onChange={handleChange}
                         onKeyDown={handleKeyDown}
-                        placeholder="Type an expression, e.g. (3+5)*2"
+                        onScroll={handleScroll}
+                        placeholder={'Type an expression, e.g. (3+5)*2 or x = 3; x * 2\nStatements may span lines; // and /* */ start comments'}
                         spellCheck={false}
                         autoComplete="off"
                     />
+                    <pre ref={highlightRef} className="input-highlight" aria-hidden="true">
+                        {pieces.map((piece) => {
+                            const text = piece.kind === 'EOF' ? '\u00a0' : input.slice(piece.start, piece.end);
+                            const className = `tok-${piece.kind.toLowerCase()}`;
+                            if (piece.mark < 0) {
+                                return <span key={piece.start} className={className}>{text}</span>;
+                            }
+                            return (
+                                <span
+                                    key={piece.start}
+                                    className={`${className} squiggle`}
+                                    onMouseEnter={(e) => showTooltip(e, piece.mark)}
+                                    onMouseLeave={() => setTooltip(null)}
+                                    onMouseDown={(e) => jumpToMark(e, piece.mark)}
+                                >
+                                    {text}
+                                </span>
+                            );
+                        })}
+                        {/* A trailing newline only takes up a line when followed by something */}
+                        {'\n'}
+                    </pre>
+                    {hovered && (
+                        <div className="error-tooltip" role="tooltip" style={{ left: tooltip.left, top: tooltip.top }}>
+                            <span className="error-tooltip-message">{hovered.message}</span>
+                            {hovered.expected && (
+                                <span className="error-tooltip-expected">Expected: {hovered.expected}</span>
+                            )}
+                        </div>
+                    )}
                     {isParsed && !error && (
                         <span className="input-check">✓</span>
                     )}
                 </div>
+                <div className="input-options">
+                    <span className="input-hint">
+                        {liveMode ? 'Parsing as you type' : isParsing ? 'Parsing…' : 'Ctrl+Enter to parse'}
+                    </span>
+                    <label className="live-toggle">
+                        <input
+                            type="checkbox"
+                            checked={liveMode}
+                            onChange={(e) => onLiveModeChange(e.target.checked)}
+                        />
+                        Live
+                    </label>
+                    <label className="depth-limit" title="Most levels of grammar rules the parsers accept in a parse tree">
+                        Max depth
+                        <input
+                            type="number"
+                            min={MIN_DEPTH}
+                            max={MAX_DEPTH}
+                            step={100}
+                            defaultValue={maxDepth}
+                            // Values out of range are marked invalid and leave the limit as it was
+                            onChange={(e) => {
+                                const value = e.target.valueAsNumber;
+                                if (Number.isInteger(value) && value >= MIN_DEPTH && value <= MAX_DEPTH) {
+                                    onMaxDepthChange(value);
+                                }
+                            }}
+                        />
+                    </label>
+                </div>
 
                 <div className="button-group">
-                    <button
-                        id="parse-button"
-                        className="btn btn-primary"
-                        onClick={onParse}
-                        disabled={isAnimating}
-                    >
-                        <span className="btn-icon">▶</span>
-                        Parse
-                    </button>
+                    {isParsing && !liveMode ? (
+                        <button
+                            id="cancel-button"
+                            className="btn btn-secondary"
+                            onClick={onCancel}
+                        >
+                            <span className="btn-icon">■</span>
+                            Cancel
+                        </button>
+                    ) : (
+                        <button
+                            id="parse-button"
+                            className="btn btn-primary"
+                            onClick={onParse}
+                            disabled={isAnimating}
+                        >
+                            <span className="btn-icon">▶</span>
+                            Parse
+                        </button>
+                    )}
 
                     {hasSteps && (
                         <button
@@ -86,6 +313,37 @@ export default function ExpressionInput({
                         </button>
                     )}
 
+                    <div className="parser-mode-toggle" role="group" aria-label="Parser">
+                        <button
+                            className={`mode-option ${parserMode === 'recursive' ? 'active' : ''}`}
+                            onClick={() => onParserModeChange('recursive')}
+                            disabled={isAnimating}
+                        >
+                            Recursive descent
+                        </button>
+                        <button
+                            className={`mode-option ${parserMode === 'table' ? 'active' : ''}`}
+                            onClick={() => onParserModeChange('table')}
+                            disabled={isAnimating}
+                        >
+                            Table-driven
+                        </button>
+                        <button
+                            className={`mode-option ${parserMode === 'lr' ? 'active' : ''}`}
+                            onClick={() => onParserModeChange('lr')}
+                            disabled={isAnimating}
+                        >
+                            Shift-reduce
+                        </button>
+                        <button
+                            className={`mode-option ${parserMode === 'custom' ? 'active' : ''}`}
+                            onClick={() => onParserModeChange('custom')}
+                            disabled={isAnimating}
+                        >
+                            Custom grammar
+                        </button>
+                    </div>
+
                     <button
                         id="reset-button"
                         className="btn btn-ghost"
@@ -111,11 +369,29 @@ export default function ExpressionInput({
                 ))}
             </div>
 
-            {/* Error message */}
-            {error && (
+            {/* Error message(s) — every syntax error found during recovery */}
+            {errors.length > 1 ? (
+                <div className="error-message" id="error-display">
+                    <span className="error-icon">⚠️</span>
+                    <div className="error-list">
+                        <span className="error-count">{errors.length} syntax errors</span>
+                        <ol>
+                            {errors.map((err, index) => (
+                                <li key={index}>
+                                    {err.message}
+                                    <ErrorExcerpt source={parsedInput} pos={err.pos} />
+                                </li>
+                            ))}
+                        </ol>
+                    </div>
+                </div>
+            ) : error && (
                 <div className="error-message" id="error-display">
                     <span className="error-icon">⚠️</span>
-                    <span>{error}</span>
+                    <div className="error-list">
+                        <span>{error}</span>
+                        <ErrorExcerpt source={parsedInput} pos={errorPos} />
+                    </div>
                 </div>
             )}
         </div>
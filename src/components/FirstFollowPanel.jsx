@@ -0,0 +1,107 @@
+import { useMemo } from 'react';
+import { GRAMMAR, EPSILON, parseProductionText, terminalForToken } from '../compiler/grammar';
+import { computeFirstSets, computeFollowSets, explainChoice, explainReduction } from '../compiler/firstFollow';
+import './FirstFollowPanel.css';
+
+/**
+ * FirstFollowPanel Component
+ *
+ * Displays the FIRST and FOLLOW sets of the grammar being parsed with.
+ * When a step is active in the step log, highlights the set entry
+ * that justified the production the parser chose on its lookahead,
+ * e.g. why E' → ε was picked on ')', or why the shift-reduce
+ * parser reduced by E → T on '+'.
+ */
+
+/**
+ * Orders a set's terminals as the grammar lists them, ε last.
+ */
+function orderedTerminals(set, grammar) {
+    const terminals = grammar.terminals.filter((t) => set.has(t));
+    return set.has(EPSILON) ? [...terminals, EPSILON] : terminals;
+}
+
+export default function FirstFollowPanel({ step, grammar = GRAMMAR }) {
+    const sets = useMemo(() => {
+        const first = computeFirstSets(grammar);
+        return { first, follow: computeFollowSets(grammar, first) };
+    }, [grammar]);
+
+    const production = step ? parseProductionText(step.rule) : null;
+    const lookahead = step ? terminalForToken(step.tokenType, step.token) : null;
+
+    // Top-down parsers choose a production; the shift-reduce parser reduces by one
+    let justification = null;
+    if (production && step.action.startsWith('Reduce')) {
+        justification = explainReduction(production, lookahead, sets);
+    } else if (production && !step.action.startsWith('Exit')) {
+        justification = explainChoice(production, lookahead, sets, grammar);
+    }
+
+    const renderSet = (set, lhs, setName) => {
+        const isActiveCell = justification
+            && justification.set === setName
+            && production.lhs === lhs;
+
+        return (
+            <td className={`set-cell ${isActiveCell ? 'active' : ''}`}>
+                <div className="set-chips">
+                    {orderedTerminals(set, grammar).map((terminal) => (
+                        <span
+                            key={terminal}
+                            className={`set-chip ${isActiveCell && terminal === justification.terminal ? 'active' : ''} ${terminal === EPSILON ? 'epsilon' : ''}`}
+                        >
+                            {terminal}
+                        </span>
+                    ))}
+                </div>
+            </td>
+        );
+    };
+
+    return (
+        <div className="first-follow-container">
+            <div className="section-header">
+                <span className="section-icon">🧭</span>
+                <h2>FIRST &amp; FOLLOW</h2>
+            </div>
+
+            <div className="first-follow-wrapper">
+                <table className="first-follow-table">
+                    <thead>
+                        <tr>
+                            <th></th>
+                            <th>FIRST</th>
+                            <th>FOLLOW</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {grammar.nonTerminals.map((nt) => (
+                            <tr
+                                key={nt}
+                                className={justification && production.lhs === nt ? 'active' : ''}
+                            >
+                                <td className="set-lhs">{nt}</td>
+                                {renderSet(sets.first[nt], nt, 'FIRST')}
+                                {renderSet(sets.follow[nt], nt, 'FOLLOW')}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            {justification ? (
+                <div className="set-justification">
+                    <span className="justification-rule">{step.rule}</span>
+                    {step.action.startsWith('Reduce') ? ' reduced' : ' chosen'} because{' '}
+                    <span className="justification-terminal">{justification.terminal}</span>
+                    {' '}∈ {justification.set}({justification.symbol})
+                </div>
+            ) : (
+                <div className="set-hint">
+                    Select a step to see which set justified the parser&apos;s choice.
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,106 @@
+import { productionText } from '../compiler/grammar';
+import './GrammarEditor.css';
+
+/**
+ * GrammarEditor Component
+ *
+ * Lets the user type their own grammar in BNF and parse with it.
+ * Features:
+ *  - Grammar errors with their line numbers
+ *  - LL(1) status of the grammar as it is typed
+ *  - Every parse table conflict M[A, a] with the productions that claim it
+ *  - Switching the parser to the custom grammar, or restoring the built-in one
+ *  - Loading the left-recursive textbook grammar the built-in one was derived from
+ */
+
+const LEFT_RECURSIVE_EXAMPLE = [
+    'E → E + T | E - T | T',
+    'T → T * F | T / F | F',
+    'F → ( E ) | id | number',
+].join('\n');
+export default function GrammarEditor({
+    grammarText,
+    onGrammarTextChange,
+    analysis,
+    isActive,
+    onUseGrammar,
+    onRestoreDefault,
+}) {
+    const { grammar, errors, conflicts } = analysis;
+    const isLL1 = grammar && conflicts.length === 0;
+
+    let status;
+    if (!grammar) {
+        status = { className: 'invalid', text: `${errors.length} error${errors.length !== 1 ? 's' : ''}` };
+    } else if (isLL1) {
+        status = { className: 'valid', text: 'LL(1)' };
+    } else {
+        status = { className: 'conflict', text: `Not LL(1) — ${conflicts.length} conflict${conflicts.length !== 1 ? 's' : ''}` };
+    }
+
+    return (
+        <div className="grammar-editor-container">
+            <div className="section-header">
+                <span className="section-icon">✏️</span>
+                <h2>Grammar Editor</h2>
+                <span className={`grammar-status ${status.className}`}>{status.text}</span>
+            </div>
+
+            <textarea
+                className="grammar-textarea"
+                value={grammarText}
+                onChange={(e) => onGrammarTextChange(e.target.value)}
+                spellCheck={false}
+                autoComplete="off"
+                rows={Math.min(16, Math.max(6, grammarText.split('\n').length + 1))}
+                aria-label="Grammar in BNF"
+            />
+            <div className="grammar-hint">
+                One rule per line: <code>E → T E'</code>. Separate alternatives with <code>|</code>,
+                write <code>ε</code> for the empty string. Terminals: <code>id</code>, <code>number</code> and operators.
+            </div>
+
+            {errors.length > 0 && (
+                <ul className="grammar-issues">
+                    {errors.map((err, index) => (
+                        <li key={index} className="grammar-issue">
+                            <span className="issue-location">Line {err.line}</span>
+                            {err.message}
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {grammar && conflicts.length > 0 && (
+                <ul className="grammar-issues">
+                    {conflicts.map((conflict, index) => (
+                        <li key={index} className="grammar-issue">
+                            <span className="issue-location">
+                                M[{conflict.nonTerminal}, {conflict.terminal}]
+                            </span>
+                            {conflict.productions
+                                .map((i) => productionText(grammar.productions[i]))
+                                .join('  vs  ')}
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            <div className="grammar-editor-actions">
+                <button
+                    className="btn btn-primary"
+                    onClick={onUseGrammar}
+                    disabled={!isLL1 || isActive}
+                >
+                    {isActive ? 'Parsing with this grammar' : 'Parse with this grammar'}
+                </button>
+                <button className="btn btn-ghost" onClick={onRestoreDefault}>
+                    Restore default
+                </button>
+                <button className="btn btn-ghost" onClick={() => onGrammarTextChange(LEFT_RECURSIVE_EXAMPLE)}>
+                    Left-recursive example
+                </button>
+            </div>
+        </div>
+    );
+}
@@ -1,21 +1,51 @@
+import { GRAMMAR, EPSILON, parseProductionText } from '../compiler/grammar';
 import './GrammarReference.css';
 
 /**
  * GrammarReference Component
  * 
- * Displays the grammar rules used by the parser.
- * Highlights the currently active rule during step-by-step animation.
+ * Displays the rules of the grammar being parsed with, one row per
+ * non-terminal. Highlights the currently active rule during
+ * step-by-step animation.
  */
 
-const GRAMMAR_RULES = [
-    { lhs: 'E', rhs: "T E'", desc: 'Expression = Term followed by Expression-prime' },
-    { lhs: "E'", rhs: "+ T E' | - T E' | ε", desc: 'Addition or subtraction (or nothing)' },
-    { lhs: 'T', rhs: "F T'", desc: 'Term = Factor followed by Term-prime' },
-    { lhs: "T'", rhs: "* F T' | / F T' | ε", desc: 'Multiplication or division (or nothing)' },
-    { lhs: 'F', rhs: '( E ) | id | number', desc: 'Factor = parenthesized expr, identifier, or number' },
-];
+// Descriptions of the built-in grammar's rules; custom grammars have none
+const RULE_DESCRIPTIONS = {
+    Program: 'Program = one or more statements',
+    Stmts: 'Further semicolon-separated statements (or nothing)',
+    "Stmts'": 'Statement after a semicolon (or nothing, after the last one)',
+    Stmt: 'Statement = Expression, optionally annotated or assigned',
+    "Stmt'": 'Assignment or type annotation when the expression was an identifier (or nothing)',
+    Init: 'Initial value of an annotated identifier (or nothing)',
+    E: 'Expression = Term followed by Expression-prime',
+    "E'": 'Addition or subtraction (or nothing)',
+    T: 'Term = Power followed by Term-prime',
+    "T'": 'Multiplication or division (or nothing)',
+    P: 'Power = signed power, or Factor followed by Power-prime',
+    "P'": 'Exponentiation, right-associative (or nothing)',
+    F: 'Factor = parenthesized expr, identifier or call, or number',
+    Call: 'Function call suffix (or a plain identifier)',
+    Args: 'Argument list (possibly empty)',
+    "Args'": 'Further comma-separated arguments (or nothing)',
+};
+
+/**
+ * Groups a grammar's productions into one row per non-terminal.
+ */
+function grammarRules(grammar) {
+    return grammar.nonTerminals.map((lhs) => ({
+        lhs,
+        rhs: grammar.productions
+            .filter((prod) => prod.lhs === lhs)
+            .map((prod) => (prod.rhs.length > 0 ? prod.rhs.join(' ') : EPSILON))
+            .join(' | '),
+        desc: grammar === GRAMMAR ? RULE_DESCRIPTIONS[lhs] : null,
+    }));
+}
+
+export default function GrammarReference({ activeRule, grammar = GRAMMAR }) {
+    const activeLhs = activeRule ? parseProductionText(activeRule)?.lhs : null;
 
-export default function GrammarReference({ activeRule }) {
     return (
         <div className="grammar-container">
             <div className="section-header">
@@ -23,8 +53,8 @@ export default function GrammarReference({ activeRule }) {
                 <h2>Grammar Rules</h2>
             </div>
             <div className="grammar-rules">
-                {GRAMMAR_RULES.map((rule, index) => {
-                    const isActive = activeRule && activeRule.includes(rule.lhs);
+                {grammarRules(grammar).map((rule, index) => {
+                    const isActive = rule.lhs === activeLhs;
                     return (
                         <div
                             key={index}
@@ -35,7 +65,7 @@ export default function GrammarReference({ activeRule }) {
                                 <span className="rule-arrow">→</span>
                                 <span className="rule-rhs">{rule.rhs}</span>
                             </div>
-                            <div className="rule-desc">{rule.desc}</div>
+                            {rule.desc && <div className="rule-desc">{rule.desc}</div>}
                         </div>
                     );
                 })}
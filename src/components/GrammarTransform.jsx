@@ -0,0 +1,78 @@
+import { productionText } from '../compiler/grammar';
+import './GrammarTransform.css';
+
+/**
+ * GrammarTransform Component
+ *
+ * Shows how the grammar in the editor is rewritten for top-down
+ * parsing: left-recursion removal, then left factoring.
+ * Features:
+ *  - Each rewrite step with the productions it removed and added
+ *  - Whether the rewritten grammar is LL(1)
+ *  - Applying the rewrites to the editor, to parse with them
+ */
+
+const KIND_LABELS = {
+    substitute: 'Substitute',
+    'left-recursion': 'Left recursion',
+    'left-factor': 'Left factor',
+    cycle: 'Cycle',
+};
+
+export default function GrammarTransform({ transformation, onApply }) {
+    if (!transformation) return null;
+
+    const { steps, isLL1 } = transformation;
+
+    return (
+        <div className="grammar-transform-container">
+            <div className="section-header">
+                <span className="section-icon">🔁</span>
+                <h2>Grammar Transformations</h2>
+            </div>
+
+            {steps.length === 0 ? (
+                <div className="transform-hint">
+                    The grammar has no left recursion and no common prefixes to factor.
+                </div>
+            ) : (
+                <>
+                    <ol className="transform-steps">
+                        {steps.map((step, index) => (
+                            <li key={index} className="transform-step">
+                                <div className="transform-step-header">
+                                    <span className="transform-step-number">{index + 1}</span>
+                                    <span className={`transform-kind kind-${step.kind}`}>
+                                        {KIND_LABELS[step.kind]}
+                                    </span>
+                                </div>
+                                <div className="transform-description">{step.description}</div>
+                                <div className="transform-diff">
+                                    {step.removed.map((prod, i) => (
+                                        <div key={`r${i}`} className="diff-line removed">
+                                            − {productionText(prod)}
+                                        </div>
+                                    ))}
+                                    {step.added.map((prod, i) => (
+                                        <div key={`a${i}`} className="diff-line added">
+                                            + {productionText(prod)}
+                                        </div>
+                                    ))}
+                                </div>
+                            </li>
+                        ))}
+                    </ol>
+
+                    <div className="transform-footer">
+                        <span className={`transform-result ${isLL1 ? 'valid' : 'conflict'}`}>
+                            {isLL1 ? 'Result is LL(1)' : 'Result is still not LL(1)'}
+                        </span>
+                        <button className="btn btn-primary" onClick={onApply}>
+                            Apply {steps.length} rewrite{steps.length !== 1 ? 's' : ''}
+                        </button>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
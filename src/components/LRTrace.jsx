@@ -0,0 +1,152 @@
+import { useState } from 'react';
+import { LR_GRAMMAR, END_MARKER, terminalForToken, formatTraceColumns } from '../compiler/grammar';
+import { SLR_TABLE, describeAction, itemText } from '../compiler/lrParser';
+import './ParseTrace.css';
+import './LRTrace.css';
+
+/**
+ * LRTrace Component
+ *
+ * Displays the shift-reduce parser's run as a Stack / Input / Action
+ * trace, where the stack interleaves states with grammar symbols.
+ * Features:
+ *  - One row per shift, reduce or accept; long stacks and inputs
+ *    are cut short with …
+ *  - The LR(0) items of the state on top of the stack for the active row
+ *  - Optional SLR action / goto table with the consulted cell highlighted
+ */
+
+const { action: ACTION, goto: GOTO, states: STATES, grammar: AUGMENTED } = SLR_TABLE;
+const NON_TERMINALS = LR_GRAMMAR.nonTerminals;
+
+export default function LRTrace({ steps, activeStep, onStepClick }) {
+    const [showTable, setShowTable] = useState(false);
+
+    if (!steps || steps.length === 0) return null;
+
+    // The ACTION[s, a] cell consulted by the active row
+    const activeRow = activeStep >= 0 ? steps[activeStep] : null;
+    const activeTerminal = activeRow ? terminalForToken(activeRow.tokenType, activeRow.token) : null;
+
+    return (
+        <div className="parse-trace-container">
+            <div className="section-header">
+                <span className="section-icon">🧱</span>
+                <h2>Shift-Reduce Trace</h2>
+                <span className="step-counter">{steps.length} steps</span>
+            </div>
+
+            <div className="parse-trace-scroll">
+                <table className="parse-trace-table">
+                    <thead>
+                        <tr>
+                            <th>#</th>
+                            <th>Stack</th>
+                            <th>Input</th>
+                            <th>Action</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {steps.map((row, index) => {
+                            let rowClass = 'trace-row';
+                            if (index === activeStep) rowClass += ' active';
+                            if (index < activeStep) rowClass += ' past';
+                            if (row.action.startsWith('Error')) rowClass += ' error';
+                            if (row.action === 'Accept') rowClass += ' success';
+                            if (row.action.startsWith('Shift')) rowClass += ' match';
+                            if (row.action.startsWith('Reduce')) rowClass += ' reduce';
+                            const { stack, input } = formatTraceColumns(row);
+
+                            return (
+                                <tr
+                                    key={index}
+                                    className={rowClass}
+                                    onClick={() => onStepClick && onStepClick(index)}
+                                    style={{ animationDelay: `${index * 30}ms` }}
+                                >
+                                    <td className="trace-index">{index + 1}</td>
+                                    <td className="trace-stack">{stack}</td>
+                                    <td className="trace-input">{input}</td>
+                                    <td className="trace-action">{row.action}</td>
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+            </div>
+
+            {activeRow && (
+                <div className="lr-state-items">
+                    <div className="lr-state-title">Items of state {activeRow.state}</div>
+                    {STATES[activeRow.state].items.map((item, index) => (
+                        <div
+                            key={index}
+                            className={`lr-item ${item.dot === AUGMENTED.productions[item.prod].rhs.length ? 'complete' : ''}`}
+                        >
+                            {itemText(item, AUGMENTED)}
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            <button
+                className="parse-table-toggle"
+                onClick={() => setShowTable((shown) => !shown)}
+            >
+                {showTable ? '▾ Hide SLR parse table' : '▸ Show SLR parse table'}
+            </button>
+
+            {showTable && (
+                <div className="parse-table-wrapper">
+                    <table className="ll1-table">
+                        <thead>
+                            <tr>
+                                <th rowSpan={2}>State</th>
+                                <th colSpan={LR_GRAMMAR.terminals.length}>ACTION</th>
+                                <th colSpan={NON_TERMINALS.length}>GOTO</th>
+                            </tr>
+                            <tr>
+                                {LR_GRAMMAR.terminals.map((terminal) => (
+                                    <th key={terminal}>{terminal}</th>
+                                ))}
+                                {NON_TERMINALS.map((nt) => (
+                                    <th key={nt}>{nt}</th>
+                                ))}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {STATES.map((_, state) => (
+                                <tr key={state}>
+                                    <td className="ll1-lhs">{state}</td>
+                                    {LR_GRAMMAR.terminals.map((terminal) => {
+                                        const entry = ACTION[state][terminal];
+                                        const isActive = activeRow
+                                            && activeRow.state === state
+                                            && activeTerminal === terminal;
+                                        return (
+                                            <td
+                                                key={terminal}
+                                                className={`ll1-cell ${isActive ? 'active' : ''}`}
+                                            >
+                                                {entry ? describeAction(entry, AUGMENTED) : ''}
+                                            </td>
+                                        );
+                                    })}
+                                    {NON_TERMINALS.map((nt) => (
+                                        <td key={nt} className="ll1-cell lr-goto">
+                                            {GOTO[state][nt] ?? ''}
+                                        </td>
+                                    ))}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    <div className="ll1-note">
+                        sN = shift and enter state N, r = reduce by the production, acc = accept
+                        ({END_MARKER} = end of input); GOTO gives the state entered after a reduction.
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,228 @@
+import { useMemo, useState } from 'react';
+import { LEXER, LEXER_RULES } from '../compiler/tokenizer';
+import { describeRanges } from '../compiler/lexerGenerator';
+import { computeDfaLayout, STATE_RADIUS } from '../compiler/dfaLayout';
+import './LexerDfaView.css';
+
+// What each rule does with its lexeme: 'token', 'skip' or 'error'
+const RULE_KINDS = Object.fromEntries(LEXER_RULES.map((rule) => [
+    rule.name,
+    rule.skip ? 'skip' : rule.error ? 'error' : 'token',
+]));
+
+// Edge labels longer than this are only shown on the highlighted path
+const MAX_LABEL_LENGTH = 9;
+
+/**
+ * States from which some token or skipped lexeme can still be
+ * accepted. The others can only end in a lexical error.
+ */
+function statesLeadingToTokens(dfa) {
+    const leading = new Set(dfa.states
+        .filter((state) => state.accepts && RULE_KINDS[state.accepts] !== 'error')
+        .map((state) => state.id));
+
+    let changed = true;
+    while (changed) {
+        changed = false;
+        for (const state of dfa.states) {
+            if (!leading.has(state.id) && state.transitions.some(({ to }) => leading.has(to))) {
+                leading.add(state.id);
+                changed = true;
+            }
+        }
+    }
+    return leading;
+}
+
+/**
+ * LexerDfaView Component
+ *
+ * Draws the minimised DFA that tokenize() is generated from, and
+ * replays the scan of the current input on it.
+ * Features:
+ *  - State diagram with accepting states (double circles) labelled
+ *    with the token they produce; skip and error states colored apart
+ *  - Highlighting of the states and moves that read the current
+ *    token, in step with the TokenTable row being produced
+ *  - Prev / next / scan controls; scan uses the same animation as the step log
+ *  - NFA → DFA → minimised state counts and the token rules
+ *  - Toggle for the states that can only end in a lexical error,
+ *    hidden by default as they add many moves
+ */
+export default function LexerDfaView({ tokens, step, onStepChange, onRun, isAnimating }) {
+    const [showErrorStates, setShowErrorStates] = useState(false);
+
+    const { dfa } = LEXER;
+    const layout = useMemo(() => {
+        const leading = statesLeadingToTokens(dfa);
+        return computeDfaLayout(dfa, (state) => showErrorStates || leading.has(state.id));
+    }, [dfa, showErrorStates]);
+
+    const scanned = tokens.filter((token) => token.type !== 'EOF');
+    const current = step >= 0 ? Math.min(step, scanned.length - 1) : -1;
+    const token = current >= 0 ? scanned[current] : null;
+
+    // States visited reading the current token, and the moves between them
+    const path = useMemo(() => (token ? LEXER.trace(token.value) : []), [token]);
+    const pathStates = new Set(path);
+    const pathMoves = new Set(path.slice(1).map((to, i) => `${path[i]}-${to}`));
+    const finalState = path[path.length - 1];
+
+    if (scanned.length === 0) return null;
+
+    const { nfaStates, dfaStates, minimizedStates } = dfa.stats;
+
+    return (
+        <div className="dfa-container">
+            <div className="section-header">
+                <span className="section-icon">🤖</span>
+                <h2>Lexer DFA</h2>
+                <span className="dfa-stats">
+                    {nfaStates} NFA → {dfaStates} DFA → {minimizedStates} minimal states
+                </span>
+            </div>
+
+            <div className="dfa-controls">
+                <button
+                    className="dfa-button"
+                    onClick={() => onStepChange(current - 1)}
+                    disabled={isAnimating || current < 0}
+                >
+                    ◀ Prev
+                </button>
+                <button
+                    className="dfa-button"
+                    onClick={() => onStepChange(current + 1)}
+                    disabled={isAnimating || current === scanned.length - 1}
+                >
+                    Next ▶
+                </button>
+                <button
+                    className="dfa-button primary"
+                    onClick={onRun}
+                    disabled={isAnimating}
+                >
+                    {isAnimating ? 'Scanning...' : '▶▶ Scan'}
+                </button>
+                <label className="dfa-toggle">
+                    <input
+                        type="checkbox"
+                        checked={showErrorStates}
+                        onChange={(e) => setShowErrorStates(e.target.checked)}
+                    />
+                    Show error states
+                </label>
+            </div>
+
+            <div className="dfa-current">
+                {token ? (
+                    <>
+                        <span className="dfa-current-token">
+                            Token {current + 1}: {token.type} <code>{token.value}</code>
+                        </span>
+                        <span className="dfa-current-path">
+                            {path.map((state) => `q${state}`).join(' → ')} — accept {dfa.states[finalState].accepts}
+                        </span>
+                    </>
+                ) : (
+                    <span className="dfa-current-hint">
+                        Scan, or click a token, to follow the DFA as it reads each lexeme.
+                    </span>
+                )}
+            </div>
+
+            <div className="dfa-svg-wrapper">
+                <svg
+                    width={layout.width}
+                    height={layout.height}
+                    viewBox={`0 0 ${layout.width} ${layout.height}`}
+                    className="dfa-svg"
+                >
+                    <defs>
+                        <marker id="dfaArrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+                            <path d="M 0 0 L 10 5 L 0 10 z" className="dfa-arrow" />
+                        </marker>
+                        <marker id="dfaArrowActive" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+                            <path d="M 0 0 L 10 5 L 0 10 z" className="dfa-arrow active" />
+                        </marker>
+                    </defs>
+
+                    {/* Transitions */}
+                    <g className={`dfa-edges ${token ? 'has-path' : ''}`}>
+                        {layout.edges.map((edge) => {
+                            const active = pathMoves.has(`${edge.from}-${edge.to}`);
+                            const label = describeRanges(edge.ranges);
+                            return (
+                                <g key={`${edge.from}-${edge.to}`} className={`dfa-edge ${active ? 'active' : ''}`}>
+                                    <title>{`q${edge.from} → q${edge.to} on ${label}`}</title>
+                                    <path
+                                        d={edge.path}
+                                        markerEnd={`url(#${active ? 'dfaArrowActive' : 'dfaArrow'})`}
+                                    />
+                                    {(active || label.length <= MAX_LABEL_LENGTH) && (
+                                        <text x={edge.labelX} y={edge.labelY} textAnchor="middle" dominantBaseline="central">
+                                            {label}
+                                        </text>
+                                    )}
+                                </g>
+                            );
+                        })}
+                    </g>
+
+                    {/* Start arrow */}
+                    {layout.nodes.length > 0 && (
+                        <path
+                            className="dfa-start"
+                            d={`M ${layout.nodes[0].x - 44} ${layout.nodes[0].y} L ${layout.nodes[0].x - STATE_RADIUS} ${layout.nodes[0].y}`}
+                            markerEnd="url(#dfaArrow)"
+                        />
+                    )}
+
+                    {/* States */}
+                    {layout.nodes.map((node) => {
+                        const kind = node.accepts ? RULE_KINDS[node.accepts] : 'internal';
+                        let stateClass = `dfa-state ${kind}`;
+                        if (pathStates.has(node.id)) stateClass += ' on-path';
+                        if (token && node.id === finalState) stateClass += ' current';
+
+                        return (
+                            <g key={node.id} className={stateClass}>
+                                <title>{node.accepts ? `q${node.id} accepts ${node.accepts}` : `q${node.id}`}</title>
+                                <circle cx={node.x} cy={node.y} r={STATE_RADIUS} />
+                                {node.accepts && <circle cx={node.x} cy={node.y} r={STATE_RADIUS - 4} className="dfa-accept-ring" />}
+                                <text x={node.x} y={node.y} textAnchor="middle" dominantBaseline="central" className="dfa-state-id">
+                                    q{node.id}
+                                </text>
+                                {node.accepts && (
+                                    <text x={node.x} y={node.y + STATE_RADIUS + 10} textAnchor="middle" dominantBaseline="central" className="dfa-state-token">
+                                        {node.accepts}
+                                    </text>
+                                )}
+                            </g>
+                        );
+                    })}
+                </svg>
+            </div>
+
+            <div className="dfa-legend">
+                <span className="legend-item"><span className="dfa-legend-dot token"></span> Token</span>
+                <span className="legend-item"><span className="dfa-legend-dot skip"></span> Skipped</span>
+                <span className="legend-item"><span className="dfa-legend-dot error"></span> Error</span>
+                <span className="legend-item"><span className="dfa-legend-dot current"></span> Current state</span>
+            </div>
+
+            <details className="dfa-rules">
+                <summary>Token rules ({LEXER_RULES.length}, highest priority first)</summary>
+                <ol>
+                    {LEXER_RULES.map((rule, index) => (
+                        <li key={index}>
+                            <span className={`dfa-rule-name ${RULE_KINDS[rule.name]}`}>{rule.name}</span>
+                            <code>/{rule.pattern}/</code>
+                        </li>
+                    ))}
+                </ol>
+            </details>
+        </div>
+    );
+}
@@ -0,0 +1,120 @@
+import { useState } from 'react';
+import './ParseTrace.css';
+import './NotationPanel.css';
+
+/**
+ * NotationPanel Component
+ *
+ * Shows the parsed program in postfix (Reverse Polish) and prefix
+ * (Polish) notation, and checks the postfix form against the
+ * shunting-yard algorithm run directly on the tokens.
+ * Features:
+ *  - Postfix and prefix strings from the parse tree
+ *  - Match / mismatch badge, with the first differing symbol marked
+ *  - Optional operator-stack / output-queue trace of shunting-yard
+ */
+export default function NotationPanel({ notation }) {
+    const [showTrace, setShowTrace] = useState(false);
+
+    if (!notation) return null;
+
+    const { postfix, prefix, shuntingYard } = notation;
+    const treeSymbols = postfix.split(' ');
+    const yardSymbols = shuntingYard.postfix ? shuntingYard.postfix.split(' ') : [];
+    const matches = shuntingYard.postfix === postfix;
+
+    // Index of the first symbol where the two postfix forms differ
+    let firstDifference = treeSymbols.findIndex((symbol, index) => symbol !== yardSymbols[index]);
+    if (firstDifference === -1 && yardSymbols.length !== treeSymbols.length) {
+        firstDifference = treeSymbols.length;
+    }
+
+    const renderSymbols = (symbols) => symbols.map((symbol, index) => (
+        <span
+            key={index}
+            className={`notation-symbol ${!matches && index === firstDifference ? 'differs' : ''}`}
+        >
+            {symbol}
+        </span>
+    ));
+
+    return (
+        <div className="notation-container">
+            <div className="section-header">
+                <span className="section-icon">🔤</span>
+                <h2>Postfix &amp; Prefix</h2>
+                <span className={`notation-badge ${matches ? 'match' : 'mismatch'}`}>
+                    {matches ? '✓ Shunting-yard agrees' : '⚠ Mismatch'}
+                </span>
+            </div>
+
+            <div className="notation-rows">
+                <div className="notation-row">
+                    <span className="notation-label">Postfix (parse tree)</span>
+                    <code className="notation-value">{renderSymbols(treeSymbols)}</code>
+                </div>
+                <div className="notation-row">
+                    <span className="notation-label">Postfix (shunting-yard)</span>
+                    <code className="notation-value">
+                        {shuntingYard.error
+                            ? <span className="notation-error">{shuntingYard.error}</span>
+                            : renderSymbols(yardSymbols)}
+                    </code>
+                </div>
+                <div className="notation-row">
+                    <span className="notation-label">Prefix (parse tree)</span>
+                    <code className="notation-value">{prefix}</code>
+                </div>
+            </div>
+
+            {!matches && !shuntingYard.error && (
+                <div className="notation-warning">
+                    The two postfix forms differ at symbol {firstDifference + 1} — one of the
+                    precedence tables disagrees with the grammar.
+                </div>
+            )}
+
+            <div className="notation-hint">
+                Unary signs are written <code>neg</code> / <code>pos</code>, calls as <code>name@argc</code>.
+            </div>
+
+            <button
+                className="parse-table-toggle"
+                onClick={() => setShowTrace((shown) => !shown)}
+            >
+                {showTrace ? '▾ Hide shunting-yard trace' : '▸ Show shunting-yard trace'}
+            </button>
+
+            {showTrace && (
+                <div className="parse-trace-scroll notation-trace">
+                    <table className="parse-trace-table">
+                        <thead>
+                            <tr>
+                                <th>#</th>
+                                <th>Token</th>
+                                <th>Action</th>
+                                <th>Operator stack</th>
+                                <th>Output queue</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {shuntingYard.trace.map((row, index) => (
+                                <tr
+                                    key={index}
+                                    className={`trace-row ${row.action.startsWith('Error') ? 'error' : ''}`}
+                                    style={{ animationDelay: `${index * 30}ms` }}
+                                >
+                                    <td className="trace-index">{index + 1}</td>
+                                    <td>{row.token}</td>
+                                    <td className="trace-action">{row.action}</td>
+                                    <td className="trace-stack">{row.stack.join(' ')}</td>
+                                    <td className="trace-input">{row.output.join(' ')}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+}
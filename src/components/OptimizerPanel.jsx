@@ -0,0 +1,62 @@
+import { useMemo } from 'react';
+import StepLog from './StepLog';
+import ParseTreeView from './ParseTreeView';
+import { astToDisplayTree, formatAST } from '../compiler/ast';
+import './OptimizerPanel.css';
+
+/**
+ * OptimizerPanel Component
+ *
+ * Shows the result of constant folding and algebraic simplification.
+ * Features:
+ *  - The program before and after optimization, as source text
+ *  - A log of every rewrite applied, in the order it was applied
+ *  - The AST before and after, side by side
+ */
+export default function OptimizerPanel({ ast, optimization }) {
+    const trees = useMemo(() => {
+        if (!ast || !optimization) return null;
+        return { before: astToDisplayTree(ast), after: astToDisplayTree(optimization.ast) };
+    }, [ast, optimization]);
+
+    if (!ast || !optimization) return null;
+
+    const { steps } = optimization;
+
+    return (
+        <div className="optimizer-container">
+            <div className="section-header">
+                <span className="section-icon">✨</span>
+                <h2>Optimizer</h2>
+                <span className={`optimizer-badge ${steps.length > 0 ? 'changed' : ''}`}>
+                    {steps.length === 0
+                        ? 'Already simplified'
+                        : `${steps.length} rewrite${steps.length === 1 ? '' : 's'}`}
+                </span>
+            </div>
+
+            <div className="optimizer-rows">
+                <div className="optimizer-row">
+                    <span className="optimizer-label">Before</span>
+                    <code className="optimizer-value">{formatAST(ast)}</code>
+                </div>
+                <div className="optimizer-row">
+                    <span className="optimizer-label">After</span>
+                    <code className="optimizer-value after">{formatAST(optimization.ast)}</code>
+                </div>
+            </div>
+
+            {steps.length > 0 && (
+                <>
+                    <div className="optimizer-log">
+                        <StepLog steps={steps} activeStep={-1} title="Rewrites" icon="🔧" />
+                    </div>
+                    <div className="optimizer-trees">
+                        <ParseTreeView tree={trees.before} title="Before" />
+                        <ParseTreeView tree={trees.after} title="After" />
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
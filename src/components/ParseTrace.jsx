@@ -0,0 +1,126 @@
+import { useState } from 'react';
+import { GRAMMAR, END_MARKER, terminalForToken, parseProductionText, productionText, formatTraceColumns } from '../compiler/grammar';
+import { buildParseTable } from '../compiler/predictiveParser';
+import './ParseTrace.css';
+
+/**
+ * ParseTrace Component
+ *
+ * Displays the table-driven parser's run as the classic
+ * Stack / Input / Action trace, in place of the recursion log.
+ * Features:
+ *  - One row per stack operation (output production, match, accept);
+ *    long stacks and inputs are cut short with …
+ *  - Click a row to make it the active step
+ *  - Optional LL(1) parse table with the consulted cell highlighted
+ */
+
+const { table: PARSE_TABLE } = buildParseTable(GRAMMAR);
+
+export default function ParseTrace({ steps, activeStep, onStepClick }) {
+    const [showTable, setShowTable] = useState(false);
+
+    if (!steps || steps.length === 0) return null;
+
+    // The cell M[A, a] consulted by the active row, if it applied a production
+    const activeRow = activeStep >= 0 ? steps[activeStep] : null;
+    const activeProduction = activeRow ? parseProductionText(activeRow.rule) : null;
+    const activeTerminal = activeRow ? terminalForToken(activeRow.tokenType, activeRow.token) : null;
+
+    return (
+        <div className="parse-trace-container">
+            <div className="section-header">
+                <span className="section-icon">🗂️</span>
+                <h2>Predictive Parse Trace</h2>
+                <span className="step-counter">{steps.length} steps</span>
+            </div>
+
+            <div className="parse-trace-scroll">
+                <table className="parse-trace-table">
+                    <thead>
+                        <tr>
+                            <th>#</th>
+                            <th>Stack</th>
+                            <th>Input</th>
+                            <th>Action</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {steps.map((row, index) => {
+                            let rowClass = 'trace-row';
+                            if (index === activeStep) rowClass += ' active';
+                            if (index < activeStep) rowClass += ' past';
+                            if (row.action.startsWith('Error')) rowClass += ' error';
+                            if (row.action === 'Accept') rowClass += ' success';
+                            if (row.action.startsWith('Match')) rowClass += ' match';
+                            const { stack, input } = formatTraceColumns(row);
+
+                            return (
+                                <tr
+                                    key={index}
+                                    className={rowClass}
+                                    onClick={() => onStepClick && onStepClick(index)}
+                                    style={{ animationDelay: `${index * 30}ms` }}
+                                >
+                                    <td className="trace-index">{index + 1}</td>
+                                    <td className="trace-stack">{stack}</td>
+                                    <td className="trace-input">{input}</td>
+                                    <td className="trace-action">{row.action}</td>
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+            </div>
+
+            <button
+                className="parse-table-toggle"
+                onClick={() => setShowTable((shown) => !shown)}
+            >
+                {showTable ? '▾ Hide LL(1) parse table' : '▸ Show LL(1) parse table'}
+            </button>
+
+            {showTable && (
+                <div className="parse-table-wrapper">
+                    <table className="ll1-table">
+                        <thead>
+                            <tr>
+                                <th>M</th>
+                                {GRAMMAR.terminals.map((terminal) => (
+                                    <th key={terminal}>{terminal}</th>
+                                ))}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {GRAMMAR.nonTerminals.map((nt) => (
+                                <tr key={nt}>
+                                    <td className="ll1-lhs">{nt}</td>
+                                    {GRAMMAR.terminals.map((terminal) => {
+                                        const prodIndex = PARSE_TABLE[nt][terminal];
+                                        const isActive = activeProduction
+                                            && activeProduction.lhs === nt
+                                            && activeTerminal === terminal;
+                                        return (
+                                            <td
+                                                key={terminal}
+                                                className={`ll1-cell ${isActive ? 'active' : ''}`}
+                                            >
+                                                {prodIndex !== undefined
+                                                    ? productionText(GRAMMAR.productions[prodIndex]).split(' → ')[1]
+                                                    : ''}
+                                            </td>
+                                        );
+                                    })}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    <div className="ll1-note">
+                        Rows are non-terminals, columns are lookahead terminals ({END_MARKER} = end of input);
+                        each cell holds the right-hand side to expand.
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -1,5 +1,7 @@
 import { useMemo, useRef, useEffect, useState } from 'react';
 import { computeTreeLayout } from '../compiler/treeLayout';
+import { astToDisplayTree } from '../compiler/ast';
+import { formatLocation } from '../compiler/location';
 import './ParseTreeView.css';
 
 /**
@@ -8,27 +10,67 @@ import './ParseTreeView.css';
  * Renders the parse tree as an interactive SVG visualization.
  * Features:
  *  - Animated node appearance
- *  - Color-coded nodes (non-terminals, terminals, operators, epsilon)
+ *  - Color-coded nodes (non-terminals, terminals, operators, unary signs, epsilon, errors)
  *  - Curved edge connections
  *  - Pan and zoom support
  *  - Responsive sizing
+ *  - Toggle between the concrete parse tree and the AST
+ *  - Highlighting a set of parse tree nodes, e.g. the subtree an
+ *    instruction was generated from
+ *  - An optional title, for trees that are neither of the above
+ *  - Inferred types (int / float) under each node of the AST
+ *  - Hovering a node shows the line and column it starts at
+ *  - Uses layouts computed ahead of time when given ({ parse, ast },
+ *    laid out by the parse worker) instead of laying out on render
+ *  - With animateChangesOnly, a new tree keeps the nodes whose ids
+ *    were already drawn in place and only animates the others in
+ *    (for live parsing, which keeps the ids of unchanged subtrees)
  */
-export default function ParseTreeView({ tree }) {
+export default function ParseTreeView({ tree, ast, layouts, highlightIds, title, nodeTypes, animateChangesOnly = false }) {
     const containerRef = useRef(null);
     const [dimensions, setDimensions] = useState({ width: 800, height: 500 });
-    const [animationPhase, setAnimationPhase] = useState(0);
+    const [revealedLayout, setRevealedLayout] = useState(null); // The layout whose entrance has played
+    const [viewMode, setViewMode] = useState('parse');
+
+    const showAst = viewMode === 'ast' && ast;
 
     // Compute the tree layout
     const layout = useMemo(() => {
         if (!tree) return null;
-        return computeTreeLayout(tree);
-    }, [tree]);
+        if (layouts) return showAst ? layouts.ast : layouts.parse;
+        return computeTreeLayout(showAst ? astToDisplayTree(ast) : tree);
+    }, [tree, ast, layouts, showAst]);
+
+    // The ids last drawn for each view, and those drawn before the
+    // current layout in its view. Switching views starts afresh.
+    const view = showAst ? 'ast' : 'parse';
+    const [drawn, setDrawn] = useState({ layout: null, viewMode, ids: {}, previous: null });
+    if (layout !== drawn.layout || viewMode !== drawn.viewMode) {
+        const ids = { ...drawn.ids };
+        for (const [key, shown] of Object.entries(layouts ?? { [view]: layout })) {
+            if (shown) ids[key] = new Set(shown.nodes.map((node) => node.id));
+        }
+        setDrawn({ layout, viewMode, ids, previous: viewMode === drawn.viewMode ? drawn.ids[view] : null });
+    }
+    const kept = animateChangesOnly ? drawn.previous : null;
+
+    const hasErrorNodes = !!layout && layout.nodes.some((node) => node.isError);
+    const hasEpsilonNodes = !!layout && layout.nodes.some((node) => node.isEpsilon);
 
-    // Trigger staggered animation
+    // Types are keyed by AST node id, so only show them on the AST
+    const types = showAst ? nodeTypes : null;
+
+    // Highlighted ids refer to parse tree nodes, so only apply them there
+    const highlighted = !showAst && highlightIds && highlightIds.length > 0
+        ? new Set(highlightIds)
+        : null;
+
+    // Trigger staggered animation: a new layout is drawn hidden and
+    // revealed a moment later
+    const isRevealed = !!layout && revealedLayout === layout;
     useEffect(() => {
         if (!layout) return;
-        setAnimationPhase(0);
-        const timer = setTimeout(() => setAnimationPhase(1), 100);
+        const timer = setTimeout(() => setRevealedLayout(layout), 100);
         return () => clearTimeout(timer);
     }, [layout]);
 
@@ -65,11 +107,40 @@ export default function ParseTreeView({ tree }) {
     const offsetX = Math.max((viewBoxWidth - layout.width) / 2, padding);
     const offsetY = padding;
 
+    // Staggered entrance: each node or edge that is animated in starts
+    // a little after the one before
+    const nodeDelays = new Map();
+    for (const node of layout.nodes) {
+        if (!kept?.has(node.id)) nodeDelays.set(node.id, nodeDelays.size * 60 + 100);
+    }
+    const edgeDelays = new Map();
+    for (const edge of layout.edges) {
+        if (!kept?.has(edge.fromId) || !kept.has(edge.toId)) {
+            edgeDelays.set(edge.toId, edgeDelays.size * 50 + 200);
+        }
+    }
+
     return (
         <div className="parse-tree-container" ref={containerRef}>
             <div className="section-header">
                 <span className="section-icon">🌲</span>
-                <h2>Parse Tree</h2>
+                <h2>{title ?? (showAst ? 'Abstract Syntax Tree' : 'Parse Tree')}</h2>
+                {ast && (
+                    <div className="tree-view-toggle">
+                        <button
+                            className={`toggle-option ${!showAst ? 'active' : ''}`}
+                            onClick={() => setViewMode('parse')}
+                        >
+                            Parse tree
+                        </button>
+                        <button
+                            className={`toggle-option ${showAst ? 'active' : ''}`}
+                            onClick={() => setViewMode('ast')}
+                        >
+                            AST
+                        </button>
+                    </div>
+                )}
             </div>
 
             <div className="tree-legend">
@@ -83,8 +154,24 @@ export default function ParseTreeView({ tree }) {
                     <span className="legend-dot operator"></span> Operator
                 </span>
                 <span className="legend-item">
-                    <span className="legend-dot epsilon"></span> Epsilon (ε)
+                    <span className="legend-dot unary"></span> Unary Sign
                 </span>
+                {hasEpsilonNodes && (
+                    <span className="legend-item">
+                        <span className="legend-dot epsilon"></span> Epsilon (ε)
+                    </span>
+                )}
+                {hasErrorNodes && (
+                    <span className="legend-item">
+                        <span className="legend-dot error"></span> Error (⚠)
+                    </span>
+                )}
+                {types && (
+                    <span className="legend-item">
+                        <span className="legend-type int">int</span>
+                        <span className="legend-type float">float</span> Inferred Type
+                    </span>
+                )}
             </div>
 
             <div className="tree-svg-wrapper">
@@ -109,11 +196,21 @@ export default function ParseTreeView({ tree }) {
                             <stop offset="0%" stopColor="#f59e0b" />
                             <stop offset="100%" stopColor="#d97706" />
                         </linearGradient>
+                        {/* Gradient for unary sign nodes */}
+                        <linearGradient id="unaryGrad" x1="0%" y1="0%" x2="100%" y2="100%">
+                            <stop offset="0%" stopColor="#f43f5e" />
+                            <stop offset="100%" stopColor="#e11d48" />
+                        </linearGradient>
                         {/* Gradient for epsilon nodes */}
                         <linearGradient id="epsGrad" x1="0%" y1="0%" x2="100%" y2="100%">
                             <stop offset="0%" stopColor="#6b7280" />
                             <stop offset="100%" stopColor="#4b5563" />
                         </linearGradient>
+                        {/* Gradient for error recovery nodes */}
+                        <linearGradient id="errGrad" x1="0%" y1="0%" x2="100%" y2="100%">
+                            <stop offset="0%" stopColor="#7f1d1d" />
+                            <stop offset="100%" stopColor="#450a0a" />
+                        </linearGradient>
                         {/* Drop shadow filter */}
                         <filter id="dropShadow" x="-20%" y="-20%" width="140%" height="140%">
                             <feDropShadow dx="0" dy="2" stdDeviation="3" floodColor="#000" floodOpacity="0.15" />
@@ -129,28 +226,33 @@ export default function ParseTreeView({ tree }) {
                     </defs>
 
                     {/* Render edges */}
-                    <g className="tree-edges">
-                        {layout.edges.map((edge, index) => {
+                    <g className={`tree-edges ${highlighted ? 'has-highlight' : ''}`}>
+                        {layout.edges.map((edge) => {
                             const x1 = edge.from.x + offsetX;
                             const y1 = edge.from.y + offsetY;
                             const x2 = edge.to.x + offsetX;
                             const y2 = edge.to.y + offsetY;
                             const midY = (y1 + y2) / 2;
+                            const isHighlighted = highlighted
+                                && highlighted.has(edge.fromId)
+                                && highlighted.has(edge.toId);
+                            const isKept = !edgeDelays.has(edge.toId);
+                            const entrance = isKept ? 'settled' : isRevealed ? 'visible' : '';
 
                             return (
                                 <path
-                                    key={`edge-${index}`}
+                                    key={`edge-${edge.fromId}-${edge.toId}`}
                                     d={`M ${x1} ${y1} C ${x1} ${midY}, ${x2} ${midY}, ${x2} ${y2}`}
-                                    className={`tree-edge ${animationPhase > 0 ? 'visible' : ''}`}
-                                    style={{ animationDelay: `${index * 50 + 200}ms` }}
+                                    className={`tree-edge ${entrance} ${isHighlighted ? 'highlighted' : ''}`}
+                                    style={{ animationDelay: `${edgeDelays.get(edge.toId) ?? 0}ms` }}
                                 />
                             );
                         })}
                     </g>
 
                     {/* Render nodes */}
-                    <g className="tree-nodes">
-                        {layout.nodes.map((node, index) => {
+                    <g className={`tree-nodes ${highlighted ? 'has-highlight' : ''}`}>
+                        {layout.nodes.map((node) => {
                             const cx = node.x + offsetX;
                             const cy = node.y + offsetY;
 
@@ -158,10 +260,18 @@ export default function ParseTreeView({ tree }) {
                             let nodeClass = 'non-terminal';
                             let radius = 22;
 
-                            if (node.isEpsilon) {
+                            if (node.isError) {
+                                fillGradient = 'url(#errGrad)';
+                                nodeClass = 'error';
+                                radius = 18;
+                            } else if (node.isEpsilon) {
                                 fillGradient = 'url(#epsGrad)';
                                 nodeClass = 'epsilon';
                                 radius = 16;
+                            } else if (node.isUnaryOperator) {
+                                fillGradient = 'url(#unaryGrad)';
+                                nodeClass = 'unary';
+                                radius = 18;
                             } else if (node.isOperator) {
                                 fillGradient = 'url(#opGrad)';
                                 nodeClass = 'operator';
@@ -172,12 +282,18 @@ export default function ParseTreeView({ tree }) {
                                 radius = 20;
                             }
 
+                            const isKept = !nodeDelays.has(node.id);
+                            const entrance = isKept ? 'settled' : isRevealed ? 'visible' : '';
+
                             return (
                                 <g
                                     key={`node-${node.id}`}
-                                    className={`tree-node ${nodeClass} ${animationPhase > 0 ? 'visible' : ''}`}
-                                    style={{ animationDelay: `${index * 60 + 100}ms` }}
+                                    className={`tree-node ${nodeClass} ${entrance} ${highlighted?.has(node.id) ? 'highlighted' : ''}`}
+                                    style={{ animationDelay: `${nodeDelays.get(node.id) ?? 0}ms` }}
                                 >
+                                    {node.location && (
+                                        <title>{`${node.label} — ${formatLocation(node.location)}`}</title>
+                                    )}
                                     <circle
                                         cx={cx}
                                         cy={cy}
@@ -196,6 +312,17 @@ export default function ParseTreeView({ tree }) {
                                     >
                                         {node.label}
                                     </text>
+                                    {types?.[node.id] && (
+                                        <text
+                                            x={cx}
+                                            y={cy + radius + 10}
+                                            textAnchor="middle"
+                                            dominantBaseline="central"
+                                            className={`node-type ${types[node.id]}`}
+                                        >
+                                            {types[node.id]}
+                                        </text>
+                                    )}
                                 </g>
                             );
                         })}
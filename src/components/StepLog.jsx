@@ -6,18 +6,22 @@ import './StepLog.css';
  * Displays the step-by-step parsing actions as an animated log.
  * Each step shows:
  *  - The grammar rule being applied
- *  - The action taken (enter, exit, match, epsilon)
+ *  - The action taken (enter, exit, match, epsilon, skip)
  *  - The current lookahead token
+ *  - The line:column the step is at in the source
  *  - The recursion depth (visualized as indentation)
+ *
+ * The header title and icon can be overridden to reuse the log for
+ * other step-by-step passes, such as the optimizer's rewrites.
  */
-export default function StepLog({ steps, activeStep, onStepClick }) {
+export default function StepLog({ steps, activeStep, onStepClick, title = 'Parsing Steps', icon = '📋' }) {
     if (!steps || steps.length === 0) return null;
 
     return (
         <div className="step-log-container">
             <div className="section-header">
-                <span className="section-icon">📋</span>
-                <h2>Parsing Steps</h2>
+                <span className="section-icon">{icon}</span>
+                <h2>{title}</h2>
                 <span className="step-counter">{steps.length} steps</span>
             </div>
             <div className="step-log-scroll">
@@ -30,18 +34,21 @@ export default function StepLog({ steps, activeStep, onStepClick }) {
                     const isMatch = step.action.includes('Match');
                     const isEnter = step.action.includes('Enter');
                     const isExit = step.action.includes('Exit');
+                    const isRecovery = step.rule === 'Panic mode';
 
                     let stepClass = 'step-item';
                     if (isActive) stepClass += ' active';
                     if (isPast) stepClass += ' past';
                     if (isError) stepClass += ' error';
                     if (isSuccess) stepClass += ' success';
+                    if (isRecovery) stepClass += ' recovery';
 
                     let actionIcon = '▶';
                     if (isMatch) actionIcon = '✅';
                     if (isEpsilon) actionIcon = '⚡';
                     if (isEnter) actionIcon = '📥';
                     if (isExit) actionIcon = '📤';
+                    if (isRecovery) actionIcon = '⏭';
                     if (isError) actionIcon = '❌';
                     if (isSuccess) actionIcon = '🎉';
 
@@ -70,6 +77,14 @@ export default function StepLog({ steps, activeStep, onStepClick }) {
                                     <span className="token-label">lookahead:</span> {step.token}
                                 </span>
                             )}
+                            {step.line != null && (
+                                <span
+                                    className="step-location"
+                                    title={`line ${step.line}, column ${step.column}`}
+                                >
+                                    {step.line}:{step.column}
+                                </span>
+                            )}
                             <span className="step-number">#{index + 1}</span>
                         </div>
                     );
@@ -0,0 +1,61 @@
+import './ThreeAddressCode.css';
+
+/**
+ * ThreeAddressCode Component
+ *
+ * Displays the three-address code generated from the parse tree.
+ * Features:
+ *  - One numbered line per instruction, temporaries highlighted
+ *  - Hovering an instruction highlights the parse tree subtree
+ *    that produced it
+ */
+
+/**
+ * Splits an instruction into plain text and temporaries (t1, t2, ...)
+ * so the temporaries can be coloured.
+ */
+function renderInstruction(text) {
+    return text.split(/\b(t\d+)\b/).map((part, index) => (
+        index % 2 === 1
+            ? <span key={index} className="tac-temp">{part}</span>
+            : part
+    ));
+}
+
+export default function ThreeAddressCode({ code, onHighlight }) {
+    if (!code) return null;
+
+    return (
+        <div className="tac-container">
+            <div className="section-header">
+                <span className="section-icon">⚙️</span>
+                <h2>Three-Address Code</h2>
+                <span className="step-counter">{code.length} instructions</span>
+            </div>
+
+            {code.length === 0 ? (
+                <div className="tac-hint">
+                    Nothing to compute — the program only names values.
+                </div>
+            ) : (
+                <>
+                    <ol className="tac-list" onMouseLeave={() => onHighlight(null)}>
+                        {code.map((instruction, index) => (
+                            <li
+                                key={index}
+                                className="tac-line"
+                                onMouseEnter={() => onHighlight(instruction.nodeIds)}
+                            >
+                                <span className="tac-index">{index + 1}</span>
+                                <code className="tac-text">{renderInstruction(instruction.text)}</code>
+                            </li>
+                        ))}
+                    </ol>
+                    <div className="tac-hint">
+                        Hover an instruction to highlight the parse tree nodes it was generated from.
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
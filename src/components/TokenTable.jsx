@@ -5,14 +5,30 @@ import './TokenTable.css';
  * TokenTable Component
  * 
  * Displays the result of lexical analysis in a beautiful table.
- * Each token shows its type, value, and position in the input string.
+ * Each token shows its type, value, the statement it belongs to,
+ * its offset in the input string and the line:column it starts at.
+ * Number literals written in another form than their plain value
+ * (0xFF, 1_000, 1e-3) also show the number they denote and its radix.
+ *
+ * While the lexer DFA replays the scan, rows appear as their token
+ * is produced and the current one is highlighted; clicking a row
+ * shows how the DFA read it.
  */
-export default function TokenTable({ tokens }) {
+export default function TokenTable({ tokens, activeIndex = -1, onRowClick }) {
     if (!tokens || tokens.length === 0) return null;
 
     // Filter out EOF for display
     const displayTokens = tokens.filter(t => t.type !== 'EOF');
 
+    // Number statements from 1; a ';' belongs to the statement it ends
+    let statement = 1;
+    const statementNumbers = displayTokens.map((token) => {
+        const current = statement;
+        if (token.type === 'SEMI') statement++;
+        return current;
+    });
+    const hasStatements = statement > 1;
+
     return (
         <div className="token-table-container">
             <div className="section-header">
@@ -26,15 +42,18 @@ export default function TokenTable({ tokens }) {
                             <th>#</th>
                             <th>Token Type</th>
                             <th>Value</th>
+                            {hasStatements && <th>Stmt</th>}
                             <th>Position</th>
+                            <th>Line:Col</th>
                         </tr>
                     </thead>
                     <tbody>
                         {displayTokens.map((token, index) => (
                             <tr
                                 key={index}
-                                className={`token-row token-type-${token.type.toLowerCase()}`}
+                                className={`token-row token-type-${token.type.toLowerCase()} ${index === activeIndex ? 'active' : ''} ${activeIndex >= 0 && index > activeIndex ? 'pending' : ''}`}
                                 style={{ animationDelay: `${index * 80}ms` }}
+                                onClick={() => onRowClick?.(index)}
                             >
                                 <td className="token-index">{index + 1}</td>
                                 <td>
@@ -42,14 +61,29 @@ export default function TokenTable({ tokens }) {
                                         {tokenTypeLabel(token.type)}
                                     </span>
                                 </td>
-                                <td className="token-value">{token.value}</td>
+                                <td className="token-value">
+                                    {token.value}
+                                    {token.numericValue !== undefined && String(token.numericValue) !== token.value && (
+                                        <span className="token-numeric">
+                                            = {token.numericValue}
+                                            {token.radix !== 10 && <span className="token-radix">base {token.radix}</span>}
+                                        </span>
+                                    )}
+                                </td>
+                                {hasStatements && (
+                                    <td className="token-stmt">{statementNumbers[index]}</td>
+                                )}
                                 <td className="token-pos">{token.pos}</td>
+                                <td className="token-pos">{token.line}:{token.column}</td>
                             </tr>
                         ))}
                     </tbody>
                 </table>
             </div>
             <div className="token-summary">
+                {hasStatements && (
+                    <span className="summary-badge">{statement} statements</span>
+                )}
                 <span className="summary-badge">{displayTokens.length} tokens generated</span>
             </div>
         </div>
@@ -0,0 +1,85 @@
+import './TypeCheckPanel.css';
+
+const SOURCE_LABELS = {
+    declared: 'annotated',
+    inferred: 'inferred',
+    assumed: 'assumed',
+};
+
+/**
+ * TypeCheckPanel Component
+ *
+ * Shows the static int / float types inferred for the program
+ * and the type checker's diagnostics.
+ * Features:
+ *  - Lenient / strict toggle (strict forbids implicit int → float)
+ *  - Type of each identifier, and whether it was annotated,
+ *    inferred from an assignment or assumed
+ *  - The program's result type
+ *  - Errors and warnings with source positions
+ */
+export default function TypeCheckPanel({ typeCheck, strict, onStrictChange }) {
+    if (!typeCheck) return null;
+
+    const { type: programType, variables, diagnostics } = typeCheck;
+    const errorCount = diagnostics.filter((d) => d.severity === 'error').length;
+
+    return (
+        <div className="type-check-container">
+            <div className="section-header">
+                <span className="section-icon">🏷️</span>
+                <h2>Types</h2>
+                <div className="type-mode-toggle">
+                    <button
+                        className={`type-mode-option ${!strict ? 'active' : ''}`}
+                        onClick={() => onStrictChange(false)}
+                    >
+                        Lenient
+                    </button>
+                    <button
+                        className={`type-mode-option ${strict ? 'active' : ''}`}
+                        onClick={() => onStrictChange(true)}
+                    >
+                        Strict
+                    </button>
+                </div>
+            </div>
+
+            <div className="type-variables">
+                {variables.map(({ name, type, source }) => (
+                    <span key={name} className="type-chip">
+                        <span className="type-chip-name">{name}</span>
+                        <span className="type-chip-colon">:</span>
+                        <span className={`type-name ${type}`}>{type}</span>
+                        <span className="type-chip-source">{SOURCE_LABELS[source]}</span>
+                    </span>
+                ))}
+                <span className="type-chip result">
+                    <span className="type-chip-name">result</span>
+                    <span className="type-chip-colon">:</span>
+                    <span className={`type-name ${programType}`}>{programType}</span>
+                </span>
+            </div>
+
+            {diagnostics.length === 0 ? (
+                <div className="type-diagnostics-ok">✓ No type errors</div>
+            ) : (
+                <ul className="type-diagnostics">
+                    {diagnostics.map((diagnostic, index) => (
+                        <li key={index} className={`type-diagnostic ${diagnostic.severity}`}>
+                            <span className="type-diagnostic-icon">
+                                {diagnostic.severity === 'error' ? '❌' : '⚠️'}
+                            </span>
+                            <span>{diagnostic.message}</span>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            <p className="type-hint">
+                {errorCount} error(s) · annotate with <code>x: int</code> or <code>x: float = 2.5</code>,
+                convert with <code>int(...)</code> and <code>float(...)</code>
+            </p>
+        </div>
+    );
+}
@@ -0,0 +1,134 @@
+import { instructionText } from '../compiler/stackMachine';
+import './VirtualMachine.css';
+
+/**
+ * VirtualMachine Component
+ *
+ * Steps through the stack machine bytecode compiled from the AST.
+ * Features:
+ *  - Bytecode listing with the instruction just executed highlighted
+ *  - Program counter and operand stack (top first) after each step
+ *  - Variables, with the one just loaded or stored highlighted
+ *  - Step, back and run controls; run uses the same animation as the step log
+ */
+export default function VirtualMachine({ code, execution, step, onStepChange, onRun, isAnimating }) {
+    if (!code || !execution) return null;
+
+    const { trace } = execution;
+    const current = step >= 0 ? Math.min(step, trace.length - 1) : -1;
+    const state = current >= 0 ? trace[current] : null;
+    const isFinished = current === trace.length - 1;
+
+    const stack = state ? state.stack : [];
+    const variables = state ? Object.entries(state.variables) : [];
+    const programCounter = state ? state.pc + 1 : 0;
+
+    return (
+        <div className="vm-container">
+            <div className="section-header">
+                <span className="section-icon">🖥️</span>
+                <h2>Stack Machine</h2>
+                <span className="step-counter">
+                    {current + 1} / {trace.length} executed
+                </span>
+            </div>
+
+            <div className="vm-controls">
+                <button
+                    className="vm-button"
+                    onClick={() => onStepChange(-1)}
+                    disabled={isAnimating || current < 0}
+                >
+                    ⏮ Restart
+                </button>
+                <button
+                    className="vm-button"
+                    onClick={() => onStepChange(current - 1)}
+                    disabled={isAnimating || current < 0}
+                >
+                    ◀ Back
+                </button>
+                <button
+                    className="vm-button"
+                    onClick={() => onStepChange(current + 1)}
+                    disabled={isAnimating || isFinished}
+                >
+                    Step ▶
+                </button>
+                <button
+                    className="vm-button primary"
+                    onClick={onRun}
+                    disabled={isAnimating}
+                >
+                    {isAnimating ? 'Running...' : '▶▶ Run'}
+                </button>
+            </div>
+
+            <div className="vm-grid">
+                {/* Bytecode listing */}
+                <ol className="vm-code">
+                    {code.map((instruction, index) => {
+                        let lineClass = 'vm-line';
+                        if (state && index === state.pc) lineClass += ' current';
+                        else if (state && index < state.pc) lineClass += ' done';
+                        if (state?.error && index === state.pc) lineClass += ' error';
+
+                        return (
+                            <li key={index} className={lineClass}>
+                                <span className="vm-address">{index}</span>
+                                <code>{instructionText(instruction)}</code>
+                            </li>
+                        );
+                    })}
+                </ol>
+
+                <div className="vm-state">
+                    <div className="vm-register">
+                        <span className="vm-label">PC</span>
+                        <span className="vm-register-value">{programCounter}</span>
+                    </div>
+
+                    <div className="vm-label">Operand stack</div>
+                    <div className="vm-stack">
+                        {stack.length === 0 ? (
+                            <div className="vm-empty">empty</div>
+                        ) : (
+                            [...stack].reverse().map((value, index) => (
+                                <div key={stack.length - index} className={`vm-stack-cell ${index === 0 ? 'top' : ''}`}>
+                                    {value}
+                                </div>
+                            ))
+                        )}
+                    </div>
+
+                    <div className="vm-label">Variables</div>
+                    <div className="vm-variables">
+                        {variables.length === 0 ? (
+                            <div className="vm-empty">none</div>
+                        ) : (
+                            variables.map(([name, value]) => {
+                                let variableClass = 'vm-variable';
+                                if (state.loaded === name) variableClass += ' loaded';
+                                if (state.stored === name) variableClass += ' stored';
+                                return (
+                                    <div key={name} className={variableClass}>
+                                        <span className="variable-name">{name}</span>
+                                        <span className="variable-equals">=</span>
+                                        <span>{Number(value)}</span>
+                                    </div>
+                                );
+                            })
+                        )}
+                    </div>
+                </div>
+            </div>
+
+            {state?.error && <div className="vm-status error">{state.error}</div>}
+            {isFinished && !state.error && (
+                <div className="vm-status success">
+                    Halted with result <strong>{execution.value}</strong>
+                </div>
+            )}
+        </div>
+    );
+}
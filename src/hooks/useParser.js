@@ -1,112 +1,387 @@
-import { useState, useCallback } from 'react';
-import { tokenize } from '../compiler/tokenizer';
-import { parse } from '../compiler/parser';
+import { useState, useCallback, useMemo, useRef, useEffect } from 'react';
+import { buildParseTable } from '../compiler/predictiveParser';
+import { DEFAULT_MAX_DEPTH } from '../compiler/parser';
+import { runPipeline } from '../compiler/pipeline';
+import { GRAMMAR } from '../compiler/grammar';
+import { parseBNF, formatBNF } from '../compiler/bnf';
+import { transformGrammar } from '../compiler/grammarTransform';
+import { evaluate } from '../compiler/evaluator';
+import { generateThreeAddressCode } from '../compiler/codegen';
+import { compileToBytecode, runBytecode } from '../compiler/stackMachine';
+import { toPostfix, toPrefix, shuntingYard } from '../compiler/notation';
+import { optimize } from '../compiler/optimizer';
+import { checkTypes } from '../compiler/typeChecker';
+
+// Pause in typing after which live mode re-parses, in milliseconds
+const LIVE_PARSE_DELAY = 300;
+
+/**
+ * Starts the worker that parses in the background, or returns null
+ * where Web Workers are unavailable and parsing stays on this thread.
+ */
+function startWorker() {
+    if (typeof Worker === 'undefined') return null;
+    return new Worker(new URL('../workers/parseWorker.js', import.meta.url), { type: 'module' });
+}
 
 /**
  * Custom hook that encapsulates all parsing logic.
  * Manages the state for input, tokens, parse tree, steps, and errors.
+ * 
+ * parserMode selects the parser: 'recursive' (recursive descent with
+ * a step log), 'table' (table-driven LL(1) with a stack trace), 'lr'
+ * (bottom-up SLR shift-reduce with a stack trace) or 'custom' (the
+ * generic parser driven by the user's BNF grammar).
+ * 
+ * Tokenizing, parsing, tree layout and the derivative run in a Web
+ * Worker (see compiler/pipeline.js), so the page stays responsive. Starting a
+ * new parse, resetting or cancelParse() abandons the one in
+ * progress by terminating the worker. maxDepth limits how deep
+ * the parse tree may get, so that long or deeply nested input cannot
+ * overflow the parsers or the passes after them; it starts
+ * at the given value and can be changed with setMaxDepth().
+ * 
+ * In live mode the input is re-parsed whenever typing pauses. The
+ * previous results stay up until the new ones arrive, and the new
+ * trees reuse the node ids of everything that did not change, so
+ * the tree view only animates the changes.
  */
-export function useParser() {
+export function useParser({ maxDepth: initialMaxDepth = DEFAULT_MAX_DEPTH } = {}) {
     const [input, setInput] = useState('');
     const [tokens, setTokens] = useState([]);
     const [parseTree, setParseTree] = useState(null);
+    const [treeLayouts, setTreeLayouts] = useState(null);
+    const [ast, setAst] = useState(null);
+    const [derivative, setDerivative] = useState(null);
     const [steps, setSteps] = useState([]);
     const [error, setError] = useState(null);
     const [errorPos, setErrorPos] = useState(null);
+    const [errors, setErrors] = useState([]);
+    const [parsedInput, setParsedInput] = useState(''); // The source the results are for
     const [isParsed, setIsParsed] = useState(false);
+    const [isParsing, setIsParsing] = useState(false);
+    const [liveMode, setLiveMode] = useState(false);
     const [activeStep, setActiveStep] = useState(-1);
+    const [vmStep, setVmStep] = useState(-1);
+    const [lexStep, setLexStep] = useState(-1);
     const [isAnimating, setIsAnimating] = useState(false);
+    const [bindings, setBindings] = useState({});
+    const [derivativeVariable, setDerivativeVariable] = useState('x');
+    const [strictTypes, setStrictTypes] = useState(false);
+    const [maxDepth, setMaxDepth] = useState(initialMaxDepth);
+    const [parserMode, setParserMode] = useState('recursive');
+    const [grammarText, setGrammarText] = useState(() => formatBNF(GRAMMAR));
+
+    // Read and analyse the user's grammar as it is typed
+    const customGrammar = useMemo(() => {
+        const { grammar, errors: grammarErrors } = parseBNF(grammarText);
+        const conflicts = grammar ? buildParseTable(grammar).conflicts : [];
+        return { grammar, errors: grammarErrors, conflicts };
+    }, [grammarText]);
+
+    // Left-recursion removal and left factoring of the user's grammar
+    const grammarTransformation = useMemo(() => {
+        if (!customGrammar.grammar) return null;
+        const { grammar, steps: rewriteSteps } = transformGrammar(customGrammar.grammar);
+        return { grammar, steps: rewriteSteps, isLL1: buildParseTable(grammar).conflicts.length === 0 };
+    }, [customGrammar]);
+
+    const applyGrammarTransformation = useCallback(() => {
+        if (grammarTransformation) setGrammarText(formatBNF(grammarTransformation.grammar));
+    }, [grammarTransformation]);
+
+    // The background worker, the id of the request it is working on
+    // (null when idle) and the last id handed out
+    const workerRef = useRef(null);
+    const pendingRef = useRef(null);
+    const lastRequestRef = useRef(0);
+
+    // The latest parse tree and AST, which live re-parses take ids from
+    const previousTreesRef = useRef({ tree: null, ast: null });
+
+    // Abandons the parse in progress. A running parse cannot be
+    // interrupted, so the worker is terminated and replaced on demand.
+    const cancelParse = useCallback(() => {
+        if (pendingRef.current === null) return;
+        pendingRef.current = null;
+        workerRef.current?.terminate();
+        workerRef.current = null;
+        setIsParsing(false);
+    }, []);
 
-    const handleParse = useCallback(() => {
-        // Clear previous results
+    useEffect(() => () => workerRef.current?.terminate(), []);
+
+    const applyResult = useCallback((result) => {
+        setParsedInput(result.input);
+        setTokens(result.tokens);
+        setSteps(result.steps);
+        setError(result.error);
+        setErrorPos(result.errorPos);
+        setErrors(result.errors);
+        setParseTree(result.tree); // Partial tree with error nodes after syntax errors
+        setAst(result.ast);
+        setDerivative(result.derivative);
+        setTreeLayouts(result.layouts);
+        setIsParsed(result.isParsed);
+        setIsParsing(false);
+        setActiveStep(-1);
+        setVmStep(-1);
+        setLexStep(-1);
+        previousTreesRef.current = {
+            tree: result.tree ?? previousTreesRef.current.tree,
+            ast: result.ast ?? previousTreesRef.current.ast,
+        };
+    }, []);
+
+    const clearResults = useCallback(() => {
+        setParsedInput('');
         setError(null);
         setErrorPos(null);
+        setErrors([]);
         setParseTree(null);
+        setTreeLayouts(null);
+        setAst(null);
+        setDerivative(null);
         setSteps([]);
         setTokens([]);
         setActiveStep(-1);
+        setVmStep(-1);
+        setLexStep(-1);
         setIsAnimating(false);
+        previousTreesRef.current = { tree: null, ast: null };
+    }, []);
+
+    // A live parse keeps the current results up until it is done
+    const runParse = useCallback((mode, { live = false, variable = derivativeVariable } = {}) => {
+        cancelParse();
+
+        if (!live || !input.trim()) clearResults();
 
         if (!input.trim()) {
-            setError('Please enter an expression to parse.');
+            if (!live) setError('Please enter an expression to parse.');
+            setIsParsed(false);
             return;
         }
 
-        // Step 1: Tokenize
-        const { tokens: tokenResult, error: tokenError, errorPos: tokenErrorPos } = tokenize(input);
+        let grammarProblem = null;
+        if (!customGrammar.grammar) {
+            grammarProblem = 'The custom grammar has errors — fix them in the grammar editor first.';
+        } else if (customGrammar.conflicts.length > 0) {
+            grammarProblem = 'The custom grammar is not LL(1) — resolve its parse table conflicts first.';
+        }
+        const request = {
+            input,
+            mode,
+            grammar: customGrammar.grammar,
+            grammarProblem,
+            maxDepth,
+            derivativeVariable: variable,
+            previous: live ? previousTreesRef.current : null,
+        };
 
-        if (tokenError) {
-            setError(tokenError);
-            setErrorPos(tokenErrorPos);
-            setIsParsed(false);
-            return;
+        if (!workerRef.current) {
+            workerRef.current = startWorker();
+            if (!workerRef.current) {
+                applyResult(runPipeline(request));
+                return;
+            }
+            workerRef.current.onmessage = ({ data }) => {
+                // Answers to abandoned requests are dropped
+                if (data.id !== pendingRef.current) return;
+                pendingRef.current = null;
+                applyResult(data.result);
+            };
+            // The worker itself failed, e.g. ran out of memory
+            workerRef.current.onerror = (event) => {
+                event.preventDefault();
+                pendingRef.current = null;
+                workerRef.current.terminate();
+                workerRef.current = null;
+                setError(`Internal error: ${event.message || 'the parser stopped unexpectedly'}`);
+                setIsParsing(false);
+            };
         }
 
-        setTokens(tokenResult);
+        const id = ++lastRequestRef.current;
+        pendingRef.current = id;
+        setIsParsing(true);
+        workerRef.current.postMessage({ id, ...request });
+    }, [input, customGrammar, maxDepth, derivativeVariable, cancelParse, clearResults, applyResult]);
 
-        // Step 2: Parse
-        const { tree, steps: parseSteps, error: parseError, errorPos: parseErrorPos } = parse(tokenResult);
+    const handleParse = useCallback(() => runParse(parserMode), [runParse, parserMode]);
 
-        setSteps(parseSteps);
+    // Live mode: re-parse once typing pauses. runParse changes with
+    // the input and the custom grammar, restarting the wait.
+    useEffect(() => {
+        if (!liveMode) return;
+        const timer = setTimeout(() => runParse(parserMode, { live: true }), LIVE_PARSE_DELAY);
+        return () => clearTimeout(timer);
+    }, [liveMode, parserMode, runParse]);
 
-        if (parseError) {
-            setError(parseError);
-            setErrorPos(parseErrorPos);
-            setIsParsed(true);
-            return;
+    // Switching parsers re-parses the current input so both can be compared
+    // (in live mode the effect above does)
+    const changeParserMode = useCallback((mode) => {
+        setParserMode(mode);
+        if (isParsed && !liveMode) runParse(mode);
+    }, [isParsed, liveMode, runParse]);
+
+    // The derivative is worked out with the rest in the worker, so
+    // choosing another variable re-parses, keeping the results up
+    // until the new ones arrive (in live mode the effect above does)
+    const changeDerivativeVariable = useCallback((name) => {
+        setDerivativeVariable(name);
+        if (isParsed && !liveMode) runParse(parserMode, { live: true, variable: name });
+    }, [isParsed, liveMode, parserMode, runParse]);
+
+    // Blank variable fields are left unbound
+    const filledBindings = useMemo(() => {
+        const filled = {};
+        for (const [name, value] of Object.entries(bindings)) {
+            if (value.trim() !== '') filled[name] = value;
         }
+        return filled;
+    }, [bindings]);
+
+    // Evaluate the AST whenever it or the variable values change
+    const evaluation = useMemo(
+        () => (ast ? evaluate(ast, filledBindings) : null),
+        [ast, filledBindings]
+    );
+
+    // Postfix / prefix from the parse tree, checked against shunting-yard
+    const notation = useMemo(() => {
+        if (!ast) return null;
+        return {
+            postfix: toPostfix(parseTree),
+            prefix: toPrefix(parseTree),
+            shuntingYard: shuntingYard(tokens),
+        };
+    }, [ast, parseTree, tokens]);
 
-        setParseTree(tree);
-        setIsParsed(true);
-    }, [input]);
+    // Static int / float types of every AST node
+    const typeCheck = useMemo(
+        () => (ast ? checkTypes(ast, { strict: strictTypes }) : null),
+        [ast, strictTypes]
+    );
+
+    // Constant folding and algebraic simplification
+    const optimization = useMemo(() => (ast ? optimize(ast) : null), [ast]);
+
+    // Compile to stack machine bytecode and record its run for stepping through
+    const bytecode = useMemo(() => (ast ? compileToBytecode(ast) : null), [ast]);
+    const execution = useMemo(
+        () => (bytecode ? runBytecode(bytecode, filledBindings) : null),
+        [bytecode, filledBindings]
+    );
+
+    // Three-address code is generated from a complete LL(1) parse tree,
+    // which is exactly when an AST was built
+    const threeAddressCode = useMemo(
+        () => (ast ? generateThreeAddressCode(parseTree) : null),
+        [ast, parseTree]
+    );
+
+    const setBinding = useCallback((name, value) => {
+        setBindings((prev) => ({ ...prev, [name]: value }));
+    }, []);
 
     const handleReset = useCallback(() => {
+        cancelParse();
+        clearResults();
         setInput('');
-        setTokens([]);
-        setParseTree(null);
-        setSteps([]);
-        setError(null);
-        setErrorPos(null);
         setIsParsed(false);
-        setActiveStep(-1);
-        setIsAnimating(false);
-    }, []);
+        setBindings({});
+        setDerivativeVariable('x');
+    }, [cancelParse, clearResults]);
 
-    const animateSteps = useCallback(() => {
-        if (steps.length === 0) return;
+    // Moves the given step index through 0 … count - 1, one step at a time
+    const animate = useCallback((count, setStep) => {
+        if (count === 0) return;
 
         setIsAnimating(true);
-        setActiveStep(0);
+        setStep(0);
 
         let stepIndex = 0;
         const interval = setInterval(() => {
             stepIndex++;
-            if (stepIndex >= steps.length) {
+            if (stepIndex >= count) {
                 clearInterval(interval);
                 setIsAnimating(false);
-                setActiveStep(steps.length - 1);
+                setStep(count - 1);
                 return;
             }
-            setActiveStep(stepIndex);
+            setStep(stepIndex);
         }, 600);
 
         return () => clearInterval(interval);
-    }, [steps]);
+    }, []);
+
+    const animateSteps = useCallback(
+        () => animate(steps.length, setActiveStep),
+        [animate, steps]
+    );
+
+    const animateExecution = useCallback(
+        () => animate(execution ? execution.trace.length : 0, setVmStep),
+        [animate, execution]
+    );
+
+    // Replays the scan one token at a time, leaving out EOF
+    const animateLexing = useCallback(
+        () => animate(Math.max(tokens.length - 1, 0), setLexStep),
+        [animate, tokens]
+    );
 
     return {
         input,
         setInput,
         tokens,
         parseTree,
+        treeLayouts,
+        ast,
+        bindings,
+        setBinding,
+        evaluation,
+        threeAddressCode,
+        notation,
+        optimization,
+        derivative,
+        changeDerivativeVariable,
+        typeCheck,
+        strictTypes,
+        setStrictTypes,
+        bytecode,
+        execution,
+        vmStep,
+        setVmStep,
+        lexStep,
+        setLexStep,
         steps,
         error,
         errorPos,
+        errors,
+        parsedInput,
         isParsed,
+        isParsing,
+        liveMode,
+        setLiveMode,
+        maxDepth,
+        setMaxDepth,
         activeStep,
         setActiveStep,
         isAnimating,
+        parserMode,
+        changeParserMode,
+        grammarText,
+        setGrammarText,
+        customGrammar,
+        grammarTransformation,
+        applyGrammarTransformation,
         handleParse,
+        cancelParse,
         handleReset,
         animateSteps,
+        animateExecution,
+        animateLexing,
     };
 }
@@ -0,0 +1,19 @@
+/**
+ * ============================================================
+ * PARSE WORKER
+ * ============================================================
+ *
+ * Runs the parsing pipeline off the main thread. Each request is
+ * { id, ...pipeline request } and is answered with { id, result },
+ * so the page can drop answers to requests it has moved on from.
+ * A parse cannot be interrupted once started; the page cancels it
+ * by terminating the worker and starting a new one.
+ * ============================================================
+ */
+
+import { runPipeline } from '../compiler/pipeline';
+
+self.onmessage = ({ data }) => {
+    const { id, ...request } = data;
+    self.postMessage({ id, result: runPipeline(request) });
+};